@@ -1,83 +1,76 @@
 /**
  * Database Migration Script
- * Run this once to update the schema for global players support
+ * Usage: npm run migrate [status|up|down] [steps]
+ *   status      List migrations and whether they are applied
+ *   up [n]      Apply pending migrations (all by default)
+ *   down [n]    Roll back the last n applied migrations (1 by default)
  */
 
-import pg from 'pg';
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { readFileSync } from 'fs';
+import { closePool } from './src/config/database.js';
+import { getMigrationStatus, migrateUp, migrateDown } from './src/config/migrations.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const [command = 'up', stepsArg] = process.argv.slice(2);
 
-dotenv.config();
+/**
+ * Parse the optional step count
+ * @param {string|undefined} value - CLI argument
+ * @param {number} fallback - Default when not given
+ * @returns {number} Step count
+ */
+const parseSteps = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const steps = parseInt(value);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Steps must be a positive integer, got "${value}"`);
+  }
+  return steps;
+};
 
-const { Client } = pg;
+async function printStatus() {
+  const migrations = await getMigrationStatus();
 
-async function runMigration() {
-  const client = new Client({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false,
+  console.log('\n📊 Migration Status:');
+  migrations.forEach(migration => {
+    const state = migration.applied
+      ? `applied ${new Date(migration.applied_at).toISOString()}`
+      : 'pending';
+    console.log(`   ${migration.applied ? '✅' : '⏳'} ${migration.file} - ${state}`);
   });
 
-  try {
-    console.log('🔄 Connecting to database...');
-    await client.connect();
-    console.log('✅ Connected to database');
-
-    console.log('🔄 Running migration...');
-    
-    // Make team_id nullable
-    await client.query(`
-      ALTER TABLE players 
-      ALTER COLUMN team_id DROP NOT NULL
-    `);
-    console.log('✅ Made team_id nullable');
-
-    // Update foreign key constraint
-    await client.query(`
-      ALTER TABLE players
-      DROP CONSTRAINT IF EXISTS players_team_id_fkey
-    `);
-    console.log('✅ Dropped old foreign key constraint');
-
-    await client.query(`
-      ALTER TABLE players
-      ADD CONSTRAINT players_team_id_fkey 
-      FOREIGN KEY (team_id) 
-      REFERENCES teams(id) 
-      ON DELETE SET NULL
-    `);
-    console.log('✅ Added new foreign key constraint');
+  const pending = migrations.filter(migration => !migration.applied).length;
+  console.log(`\n   ${migrations.length - pending} applied, ${pending} pending`);
+}
 
-    // Verify
-    const result = await client.query(`
-      SELECT column_name, is_nullable, data_type 
-      FROM information_schema.columns 
-      WHERE table_name = 'players' AND column_name = 'team_id'
-    `);
-    
-    console.log('\n📊 Migration Verification:');
-    console.log(result.rows[0]);
-    
-    if (result.rows[0].is_nullable === 'YES') {
-      console.log('\n✅ Migration completed successfully!');
-      console.log('   You can now create global players without a team.');
-    } else {
-      console.log('\n⚠️ Warning: team_id might still be NOT NULL');
+async function runMigration() {
+  try {
+    switch (command) {
+      case 'status':
+        await printStatus();
+        break;
+      case 'up': {
+        const applied = await migrateUp(parseSteps(stepsArg, Infinity));
+        console.log(applied.length > 0
+          ? `\n✅ Applied ${applied.length} migration(s)`
+          : '\n✅ Database is up to date');
+        break;
+      }
+      case 'down': {
+        const rolledBack = await migrateDown(parseSteps(stepsArg, 1));
+        console.log(rolledBack.length > 0
+          ? `\n↩️  Rolled back ${rolledBack.length} migration(s)`
+          : '\n⚠️ Nothing to roll back');
+        break;
+      }
+      default:
+        console.error(`Unknown command "${command}". Use status, up or down.`);
+        process.exitCode = 1;
     }
-
   } catch (error) {
     console.error('❌ Migration failed:', error.message);
-    console.error('\nDetails:', error);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
-    await client.end();
-    console.log('\n🔌 Database connection closed');
+    await closePool();
   }
 }
 
 runMigration();
-
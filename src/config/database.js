@@ -1,6 +1,6 @@
 /**
  * Database Configuration - PostgreSQL
- * Sets up PostgreSQL database connection and initializes tables
+ * Sets up the PostgreSQL connection pool (schema lives in src/migrations)
  */
 
 import pg from 'pg';
@@ -43,82 +43,6 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
-/**
- * Initialize database tables
- */
-export async function initializeDatabase() {
-  const client = await pool.connect();
-  
-  try {
-    // Start transaction
-    await client.query('BEGIN');
-
-    // Create Users table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create Teams table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS teams (
-        id SERIAL PRIMARY KEY,
-        team_name VARCHAR(255) NOT NULL,
-        team_logo VARCHAR(50),
-        team_color VARCHAR(7) DEFAULT '#0ea5e9',
-        description TEXT,
-        user_id INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create Players table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS players (
-        id SERIAL PRIMARY KEY,
-        player_name VARCHAR(255) NOT NULL,
-        position VARCHAR(100),
-        jersey_number INTEGER,
-        team_id INTEGER,
-        user_id INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE SET NULL,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Create indices for faster queries
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_players_user_id ON players(user_id)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_players_team_id ON players(team_id)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_teams_user_id ON teams(user_id)
-    `);
-
-    // Commit transaction
-    await client.query('COMMIT');
-
-    console.log('✅ Database tables initialized successfully');
-  } catch (error) {
-    // Rollback on error
-    await client.query('ROLLBACK');
-    console.error('❌ Database initialization error:', error.message);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
 /**
  * Execute a query
  * @param {string} text - SQL query text
@@ -148,6 +72,24 @@ export async function getClient() {
   return await pool.connect();
 }
 
+/**
+ * Roll back a transaction from an error handler
+ * A failed rollback (e.g. a dropped connection) is logged and returned rather
+ * than thrown, so it never hides the error that caused it. Pass the result to
+ * client.release() so a connection stuck in the aborted transaction is
+ * discarded instead of going back to the pool.
+ * @param {Object} client - Client from getClient()
+ * @returns {Promise<Error|undefined>} The rollback error, if the rollback failed
+ */
+export async function rollbackQuietly(client) {
+  try {
+    await client.query('ROLLBACK');
+  } catch (error) {
+    console.error('Rollback error:', error);
+    return error;
+  }
+}
+
 /**
  * Close all database connections
  */
@@ -0,0 +1,38 @@
+/**
+ * League Configuration
+ * League-wide settings read from environment variables
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Read a non-negative integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+const readInteger = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const leagueConfig = {
+  // Smallest squad a team must be able to complete with its remaining purse
+  minSquadSize: readInteger('MIN_SQUAD_SIZE', 0),
+  // Purse held back for each squad slot still to be filled
+  minPlayerPrice: readInteger('MIN_PLAYER_PRICE', 0),
+  // Overs per innings for new matches when none is given
+  defaultOvers: readInteger('DEFAULT_MATCH_OVERS', 20),
+  // Points table defaults for leagues that have not saved their own
+  pointsForWin: readInteger('POINTS_FOR_WIN', 2),
+  pointsForTie: readInteger('POINTS_FOR_TIE', 1),
+  pointsForNoResult: readInteger('POINTS_FOR_NO_RESULT', 1),
+  tieBreakers: (process.env.STANDINGS_TIE_BREAKERS || 'won,net_run_rate,head_to_head')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+};
+
+export default leagueConfig;
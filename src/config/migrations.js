@@ -0,0 +1,195 @@
+/**
+ * Schema Migrations
+ * Runs the numbered migrations in src/migrations and tracks them in schema_migrations
+ */
+
+import { readdirSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import pool, { rollbackQuietly } from './database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MIGRATIONS_DIR = join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+// Arbitrary key so two migrate runs (or a run and a deploy) never interleave
+const MIGRATION_LOCK_KEY = 741852;
+
+/**
+ * List migration files in version order
+ * @returns {Array<Object>} Migrations ({ version, name, file })
+ */
+export const listMigrations = () => {
+  return readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      return match ? { version: match[1], name: match[2], file } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+/**
+ * Load a migration module
+ * @param {Object} migration - Migration from listMigrations
+ * @returns {Promise<Object>} Module with up and down functions
+ */
+const loadMigration = async (migration) => {
+  const module = await import(pathToFileURL(join(MIGRATIONS_DIR, migration.file)).href);
+
+  if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+    throw new Error(`Migration ${migration.file} must export up and down functions`);
+  }
+
+  return module;
+};
+
+/**
+ * Create the tracking table if needed
+ * @param {Object} client - Database client
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(3) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+/**
+ * Get applied migration versions
+ * @param {Object} client - Database client
+ * @returns {Promise<Map>} version -> applied_at
+ */
+const getAppliedVersions = async (client) => {
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations ORDER BY version ASC');
+  return new Map(result.rows.map(row => [row.version, row.applied_at]));
+};
+
+/**
+ * Run work on a dedicated client holding the migration lock
+ * @param {Function} work - async (client) => result
+ * @returns {Promise<*>} Result of work
+ */
+const withMigrationLock = async (work) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await work(client);
+  } finally {
+    try {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      client.release();
+    } catch (error) {
+      // A connection left unusable by a failed rollback is discarded; closing it drops the lock
+      client.release(error);
+    }
+  }
+};
+
+/**
+ * Get the status of every migration
+ * Read-only: a database without the tracking table has every migration pending.
+ * @returns {Promise<Array>} Migrations with applied flag and applied_at
+ */
+export async function getMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    const table = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL as exists");
+    const applied = table.rows[0].exists ? await getAppliedVersions(client) : new Map();
+
+    return listMigrations().map(migration => ({
+      ...migration,
+      applied: applied.has(migration.version),
+      applied_at: applied.get(migration.version) || null
+    }));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply pending migrations, each in its own transaction
+ * @param {number} steps - Maximum number to apply (default: all)
+ * @returns {Promise<Array>} Migrations that were applied
+ */
+export async function migrateUp(steps = Infinity) {
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = listMigrations().filter(migration => !applied.has(migration.version)).slice(0, steps);
+
+    for (const migration of pending) {
+      const { up } = await loadMigration(migration);
+
+      try {
+        await client.query('BEGIN');
+        await up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+        console.log(`✅ Applied ${migration.file}`);
+      } catch (error) {
+        await rollbackQuietly(client);
+        throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+      }
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations, each in its own transaction
+ * @param {number} steps - Number to roll back (default: 1)
+ * @returns {Promise<Array>} Migrations that were rolled back
+ */
+export async function migrateDown(steps = 1) {
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRollBack = listMigrations()
+      .filter(migration => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRollBack) {
+      const { down } = await loadMigration(migration);
+
+      try {
+        await client.query('BEGIN');
+        await down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+        console.log(`↩️  Rolled back ${migration.file}`);
+      } catch (error) {
+        await rollbackQuietly(client);
+        throw new Error(`Rollback of ${migration.file} failed: ${error.message}`);
+      }
+    }
+
+    return toRollBack;
+  });
+}
+
+/**
+ * Refuse to start against a database that is missing migrations
+ * @throws {Error} If any migration has not been applied
+ */
+export async function assertDatabaseMigrated() {
+  const pending = (await getMigrationStatus()).filter(migration => !migration.applied);
+
+  if (pending.length > 0) {
+    throw new Error(
+      `Database has ${pending.length} pending migration(s) (${pending.map(m => m.file).join(', ')}). ` +
+      'Run "npm run migrate up" first.'
+    );
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Trash Configuration
+ * How long deleted teams and players are kept before they are purged
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+const readInteger = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const trashConfig = {
+  // Days a deleted team or player can still be restored
+  retentionDays: readInteger('TRASH_RETENTION_DAYS', 30),
+  // How often the purge job runs
+  purgeIntervalHours: readInteger('TRASH_PURGE_INTERVAL_HOURS', 24)
+};
+
+/**
+ * Work out when a deleted item will be purged
+ * @param {Date} deletedAt - When the item was deleted
+ * @returns {Date} Purge date
+ */
+export const getPurgeDate = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + trashConfig.retentionDays * 24 * 60 * 60 * 1000);
+};
+
+export default trashConfig;
@@ -0,0 +1,37 @@
+/**
+ * Upload Configuration
+ * Where uploaded images are stored, how large they may be and how long their URLs last
+ */
+
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+const readInteger = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const uploadConfig = {
+  // Storage driver (see src/storage); only 'local' ships today
+  storageDriver: process.env.STORAGE_DRIVER || 'local',
+  // Root folder for the local driver
+  uploadDir: path.resolve(process.env.UPLOAD_DIR || 'uploads'),
+  // Largest accepted upload in bytes
+  maxFileBytes: readInteger('UPLOAD_MAX_BYTES', 5 * 1024 * 1024),
+  // Stored images are scaled down to fit this many pixels on their longest side
+  maxImageDimension: readInteger('UPLOAD_MAX_DIMENSION', 1024),
+  // Square thumbnail edge in pixels
+  thumbnailSize: readInteger('UPLOAD_THUMBNAIL_SIZE', 128),
+  // How long a signed image URL stays valid
+  urlTtlSeconds: readInteger('MEDIA_URL_TTL_SECONDS', 60 * 60)
+};
+
+export default uploadConfig;
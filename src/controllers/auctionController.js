@@ -0,0 +1,290 @@
+/**
+ * Auction Controller
+ * Handles auction sessions, lots, bids and hammer outcomes
+ */
+
+import Auction, { DEFAULT_INCREMENT_RULES } from '../models/Auction.js';
+import { handleError } from '../utils/httpError.js';
+
+/**
+ * Check that a value is a non-negative integer
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate bid increment tiers
+ * @param {*} rules - Rules from the request body
+ * @returns {string|null} Error message or null when valid
+ */
+const validateIncrementRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return 'increment_rules must be a non-empty array.';
+  }
+
+  const invalid = rules.some(rule => !rule
+    || !isNonNegativeInteger(rule.from)
+    || !Number.isInteger(rule.increment)
+    || rule.increment <= 0);
+
+  if (invalid) {
+    return 'Each increment rule needs a whole-number "from" (>= 0) and "increment" (> 0).';
+  }
+
+  if (new Set(rules.map(rule => rule.from)).size !== rules.length) {
+    return 'Increment rules must have distinct "from" values.';
+  }
+
+  return null;
+};
+
+/**
+ * Get all auction sessions for the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAllSessions = async (req, res) => {
+  try {
+    const sessions = await Auction.findAllByUserId(req.user.ownerId);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    handleError(res, error, 'Get auction sessions error', 'Server error while fetching auction sessions.');
+  }
+};
+
+/**
+ * Get an auction session with its lots
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSessionById = async (req, res) => {
+  try {
+    const session = await Auction.findById(req.params.id, req.user.ownerId);
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Auction session not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    handleError(res, error, 'Get auction session error', 'Server error while fetching auction session.');
+  }
+};
+
+/**
+ * Create a new auction session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createSession = async (req, res) => {
+  try {
+    const { session_name, increment_rules } = req.body;
+
+    if (!session_name || session_name.trim().length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Session name is required.' 
+      });
+    }
+
+    const rules = increment_rules ?? DEFAULT_INCREMENT_RULES;
+    const rulesError = validateIncrementRules(rules);
+
+    if (rulesError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: rulesError 
+      });
+    }
+
+    const session = await Auction.createSession(session_name.trim(), rules, req.user.ownerId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Auction session created successfully.',
+      data: session
+    });
+  } catch (error) {
+    handleError(res, error, 'Create auction session error', 'Server error while creating auction session.');
+  }
+};
+
+/**
+ * Close an auction session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const closeSession = async (req, res) => {
+  try {
+    const session = await Auction.closeSession(req.params.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: 'Auction session closed.',
+      data: session
+    });
+  } catch (error) {
+    handleError(res, error, 'Close auction session error', 'Server error while closing auction session.');
+  }
+};
+
+/**
+ * Put a player up for auction (the next global player if none is given)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const openLot = async (req, res) => {
+  try {
+    const { player_id } = req.body;
+
+    const lot = await Auction.openLot(req.params.id, player_id || null, req.user.ownerId);
+
+    res.status(201).json({
+      success: true,
+      message: `${lot.player_name} is up for auction.`,
+      data: lot
+    });
+  } catch (error) {
+    handleError(res, error, 'Open lot error', 'Server error while opening lot.');
+  }
+};
+
+/**
+ * Get a lot with its bid history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getLotById = async (req, res) => {
+  try {
+    const lot = await Auction.findLotById(req.params.lotId, req.params.id, req.user.ownerId);
+
+    if (!lot) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Lot not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: lot
+    });
+  } catch (error) {
+    handleError(res, error, 'Get lot error', 'Server error while fetching lot.');
+  }
+};
+
+/**
+ * Record a bid for a team (amount defaults to the minimum valid bid)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const placeBid = async (req, res) => {
+  try {
+    const { team_id, amount } = req.body;
+
+    if (!team_id) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Team ID is required.' 
+      });
+    }
+
+    if (amount !== undefined && amount !== null && !isNonNegativeInteger(amount)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Bid amount must be a whole number.' 
+      });
+    }
+
+    const bid = await Auction.placeBid(
+      req.params.lotId,
+      req.params.id,
+      team_id,
+      amount ?? null,
+      req.user.ownerId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${bid.team_name} bids ${bid.amount}.`,
+      data: bid
+    });
+  } catch (error) {
+    handleError(res, error, 'Place bid error', 'Server error while placing bid.');
+  }
+};
+
+/**
+ * Withdraw the highest bid on a lot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const withdrawBid = async (req, res) => {
+  try {
+    const bid = await Auction.withdrawBid(req.params.lotId, req.params.id, req.params.bidId, req.user.ownerId);
+    const lot = await Auction.findLotById(req.params.lotId, req.params.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: bid.team_name ? `${bid.team_name}'s bid of ${bid.amount} withdrawn.` : `Bid of ${bid.amount} withdrawn.`,
+      data: lot
+    });
+  } catch (error) {
+    handleError(res, error, 'Withdraw bid error', 'Server error while withdrawing bid.');
+  }
+};
+
+/**
+ * Sell a lot to the highest bidder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const sellLot = async (req, res) => {
+  try {
+    await Auction.sellLot(req.params.lotId, req.params.id, req.user.ownerId, req.user.id);
+    const lot = await Auction.findLotById(req.params.lotId, req.params.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: `${lot.player_name} sold to ${lot.sold_to_team_name} for ${lot.sold_price}.`,
+      data: lot
+    });
+  } catch (error) {
+    handleError(res, error, 'Sell lot error', 'Server error while selling lot.');
+  }
+};
+
+/**
+ * Mark a lot as unsold (a lot with bids only when the highest bid cannot be completed)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const markLotUnsold = async (req, res) => {
+  try {
+    const passed = await Auction.markUnsold(req.params.lotId, req.params.id, req.user.ownerId);
+    const lot = await Auction.findLotById(req.params.lotId, req.params.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: passed.sale_blocked_by
+        ? `${lot.player_name} goes unsold; the highest bid cannot be completed. ${passed.sale_blocked_by}`
+        : `${lot.player_name} goes unsold.`,
+      data: lot
+    });
+  } catch (error) {
+    handleError(res, error, 'Mark lot unsold error', 'Server error while marking lot unsold.');
+  }
+};
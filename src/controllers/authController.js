@@ -4,11 +4,45 @@
  */
 
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import User, { MIN_PASSWORD_LENGTH } from '../models/User.js';
+import Session from '../models/Session.js';
+import LoginAttempt, { loginAttemptKeys } from '../models/LoginAttempt.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Compared against when the username does not exist, so both paths take as long
+const DUMMY_PASSWORD_HASH = '$2a$10$CwTycUXWue0Thq9StjUM0uJ8.fJ7Q4Tq0N/ySEhDH0RWy7W3MT9hW';
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User row
+ * @param {number} sessionId - Session ID (checked for revocation on every request)
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, username: user.username, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+/**
+ * Shape the user object returned to the client
+ * @param {Object} user - User row
+ * @returns {Object} Public user fields
+ */
+const toAuthUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  team_id: user.team_id,
+  must_change_password: user.must_change_password
+});
+
 /**
  * User login handler
  * @param {Object} req - Express request object
@@ -26,42 +60,61 @@ export const login = async (req, res) => {
       });
     }
 
+    const attemptKeys = loginAttemptKeys(username, req.ip);
+    const lockedUntil = await LoginAttempt.getLockedUntil(attemptKeys);
+
+    if (lockedUntil) {
+      const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        message: 'Too many failed login attempts. Please try again later.',
+        retry_after: retryAfter
+      });
+    }
+
     // Find user by username
     const user = await User.findByUsername(username);
+
+    // Verify password (against a dummy hash for unknown users, to keep timing equal)
+    const isPasswordValid = await User.verifyPassword(
+      password,
+      user ? user.password_hash : DUMMY_PASSWORD_HASH
+    );
     
-    if (!user) {
+    // Same message for unknown users and wrong passwords so usernames are not revealed
+    if (!user || !isPasswordValid) {
+      await LoginAttempt.recordFailure(attemptKeys);
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid username or password.' 
       });
     }
 
-    // Verify password
-    const isPasswordValid = await User.verifyPassword(password, user.password_hash);
-    
-    if (!isPasswordValid) {
-      return res.status(401).json({ 
+    // Only checked after the password so disabled usernames are not revealed
+    if (!user.is_active) {
+      return res.status(403).json({ 
         success: false, 
-        message: 'Invalid username or password.' 
+        message: 'This account has been disabled.' 
       });
     }
 
-    // Generate JWT token (expires in 24 hours)
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await LoginAttempt.reset(attemptKeys);
+
+    // Start a session: short-lived access token plus a rotating refresh token
+    const { session, refreshToken } = await Session.create(user.id, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
 
-    // Return success response with token
+    // Return success response with tokens
     res.json({
       success: true,
       message: 'Login successful.',
-      token,
-      user: {
-        id: user.id,
-        username: user.username
-      }
+      token: signAccessToken(user, session.id),
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_TTL,
+      user: toAuthUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -91,10 +144,7 @@ export const verifyToken = async (req, res) => {
 
     res.json({
       success: true,
-      user: {
-        id: user.id,
-        username: user.username
-      }
+      user: toAuthUser(user)
     });
   } catch (error) {
     console.error('Verify token error:', error);
@@ -106,16 +156,137 @@ export const verifyToken = async (req, res) => {
 };
 
 /**
- * User logout handler (client-side token removal)
+ * Exchange a refresh token for a new access token and refresh token
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const logout = (req, res) => {
-  // Note: JWT tokens are stateless, so actual logout happens client-side
-  // by removing the token from storage
-  res.json({
-    success: true,
-    message: 'Logout successful.'
-  });
+export const refresh = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Refresh token is required.' 
+      });
+    }
+
+    const rotated = await Session.rotate(refresh_token);
+    const user = rotated ? await User.findById(rotated.session.user_id) : null;
+
+    if (!rotated || !user || !user.is_active) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid or expired refresh token. Please log in again.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      token: signAccessToken(user, rotated.session.id),
+      refresh_token: rotated.refreshToken,
+      expires_in: ACCESS_TOKEN_TTL,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during token refresh.' 
+    });
+  }
 };
 
+/**
+ * User logout handler
+ * Revokes the current session (or every session with { all: true }), so its
+ * access and refresh tokens stop working immediately.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const logout = async (req, res) => {
+  try {
+    if (req.body && req.body.all === true) {
+      await Session.revokeAllForUser(req.user.id);
+    } else {
+      await Session.revoke(req.user.sessionId, req.user.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout successful.'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during logout.' 
+    });
+  }
+};
+
+/**
+ * Change the authenticated user's password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Current and new password are required.' 
+      });
+    }
+
+    if (typeof new_password !== 'string' || new_password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters.` 
+      });
+    }
+
+    if (new_password === current_password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'New password must be different from the current password.' 
+      });
+    }
+
+    const user = await User.findByIdWithPassword(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found.' 
+      });
+    }
+
+    const isPasswordValid = await User.verifyPassword(current_password, user.password_hash);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Current password is incorrect.' 
+      });
+    }
+
+    await User.updatePassword(user.id, new_password);
+
+    // Sign out everywhere else in case the old password leaked
+    await Session.revokeAllForUser(user.id, req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully.'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while changing password.' 
+    });
+  }
+};
@@ -0,0 +1,502 @@
+/**
+ * Match Controller
+ * Handles fixtures, match status and round-robin schedule generation
+ */
+
+import Match, { MATCH_STATUSES, MATCH_SORT_FIELDS } from '../models/Match.js';
+import Team from '../models/Team.js';
+import Season from '../models/Season.js';
+import leagueConfig from '../config/league.js';
+import { getClient, rollbackQuietly } from '../config/database.js';
+import { buildRoundRobin, orderFixtures } from '../utils/fixtures.js';
+import { parsePaging, parseSort, buildPageInfo } from '../utils/pagination.js';
+import { handleError } from '../utils/httpError.js';
+
+const MAX_OVERS = 50;
+const MAX_VENUE_LENGTH = 255;
+const MAX_INTERVAL_DAYS = 30;
+const MAX_MATCHES_PER_DAY = 10;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check whether a flag in the query string or body is switched on
+ * @param {*} value - Raw value
+ * @returns {boolean} True for true, "true", "1" or "yes"
+ */
+const isFlagSet = (value) => ['true', '1', 'yes'].includes(String(value ?? '').toLowerCase());
+
+/**
+ * Read an optional date-time (ISO 8601)
+ * @param {*} value - Raw value
+ * @returns {Date|null|undefined} Date, null when blank, or undefined when invalid
+ */
+const parseDateTime = (value) => {
+  if (value === null || value === '') return null;
+  const date = typeof value === 'string' ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+/**
+ * Validate match fields from the request body
+ * Fields left out of an update keep their current values.
+ * @param {Object} body - req.body
+ * @param {Object|null} current - Match being updated, or null when creating
+ * @returns {Object} { match } or { error }
+ */
+const parseMatchBody = (body, current = null) => {
+  const value = (field, fallback) => (body[field] === undefined ? fallback : body[field]);
+
+  const homeTeamId = Number(value('home_team_id', current?.home_team_id));
+  const awayTeamId = Number(value('away_team_id', current?.away_team_id));
+  if (!Number.isInteger(homeTeamId) || homeTeamId < 1 || !Number.isInteger(awayTeamId) || awayTeamId < 1) {
+    return { error: 'home_team_id and away_team_id are required.' };
+  }
+  if (homeTeamId === awayTeamId) {
+    return { error: 'A team cannot play itself.' };
+  }
+
+  const scheduledAt = body.scheduled_at === undefined
+    ? current?.scheduled_at ?? null
+    : parseDateTime(body.scheduled_at);
+  if (scheduledAt === undefined) {
+    return { error: 'scheduled_at must be a valid ISO 8601 date and time.' };
+  }
+
+  const rawVenue = value('venue', current?.venue ?? null);
+  const venue = typeof rawVenue === 'string' ? rawVenue.trim() || null : null;
+  if (rawVenue !== null && typeof rawVenue !== 'string') {
+    return { error: 'venue must be text.' };
+  }
+  if (venue && venue.length > MAX_VENUE_LENGTH) {
+    return { error: `venue cannot be longer than ${MAX_VENUE_LENGTH} characters.` };
+  }
+
+  const overs = value('overs', current?.overs ?? leagueConfig.defaultOvers);
+  if (!Number.isInteger(overs) || overs < 1 || overs > MAX_OVERS) {
+    return { error: `overs must be a whole number between 1 and ${MAX_OVERS}.` };
+  }
+
+  return { match: { homeTeamId, awayTeamId, scheduledAt, venue, overs } };
+};
+
+/**
+ * Read the match list filters from the query string
+ * @param {Object} queryParams - req.query
+ * @returns {Object} { filters } or { error } with a validation message
+ */
+const parseMatchFilters = (queryParams) => {
+  const filters = { teamId: null, status: null, from: null, to: null };
+
+  if (queryParams.team_id !== undefined) {
+    if (!/^\d+$/.test(String(queryParams.team_id))) {
+      return { error: 'team_id must be a positive integer.' };
+    }
+    filters.teamId = parseInt(queryParams.team_id);
+  }
+
+  if (queryParams.status !== undefined) {
+    const status = String(queryParams.status).trim().toLowerCase();
+    if (!MATCH_STATUSES.includes(status)) {
+      return { error: `status must be one of: ${MATCH_STATUSES.join(', ')}.` };
+    }
+    filters.status = status;
+  }
+
+  for (const param of ['from', 'to']) {
+    if (queryParams[param] === undefined) continue;
+    const date = parseDateTime(String(queryParams[param]));
+    if (!date) {
+      return { error: `${param} must be a valid ISO 8601 date.` };
+    }
+    filters[param] = date;
+  }
+
+  return { filters };
+};
+
+/**
+ * Validate the fixture generator options from the request body
+ * Body: { start_date?, match_times?, interval_days?, venue?, overs?, double_round_robin?, replace? }
+ * Times are in the server's time zone.
+ * @param {Object} body - req.body
+ * @returns {Object} { options } or { error }
+ */
+const parseGeneratorOptions = (body) => {
+  const startDate = body.start_date ?? null;
+  if (startDate !== null && (typeof startDate !== 'string' || !DATE_PATTERN.test(startDate) || Number.isNaN(new Date(`${startDate}T00:00:00`).getTime()))) {
+    return { error: 'start_date must be a date in YYYY-MM-DD format.' };
+  }
+
+  const matchTimes = body.match_times ?? ['10:00'];
+  if (!Array.isArray(matchTimes) || matchTimes.length < 1 || matchTimes.length > MAX_MATCHES_PER_DAY
+    || !matchTimes.every(time => typeof time === 'string' && TIME_PATTERN.test(time))) {
+    return { error: `match_times must be a list of 1 to ${MAX_MATCHES_PER_DAY} times in HH:MM format.` };
+  }
+
+  const intervalDays = body.interval_days ?? 1;
+  if (!Number.isInteger(intervalDays) || intervalDays < 1 || intervalDays > MAX_INTERVAL_DAYS) {
+    return { error: `interval_days must be a whole number between 1 and ${MAX_INTERVAL_DAYS}.` };
+  }
+
+  const venue = typeof body.venue === 'string' ? body.venue.trim() || null : null;
+  if (venue && venue.length > MAX_VENUE_LENGTH) {
+    return { error: `venue cannot be longer than ${MAX_VENUE_LENGTH} characters.` };
+  }
+
+  const overs = body.overs ?? leagueConfig.defaultOvers;
+  if (!Number.isInteger(overs) || overs < 1 || overs > MAX_OVERS) {
+    return { error: `overs must be a whole number between 1 and ${MAX_OVERS}.` };
+  }
+
+  return {
+    options: {
+      startDate,
+      matchTimes: [...matchTimes].sort(),
+      intervalDays,
+      venue,
+      overs,
+      doubleRoundRobin: body.double_round_robin === true,
+      replace: body.replace === true
+    }
+  };
+};
+
+/**
+ * Work out the kick-off time of the nth fixture
+ * Fixtures fill each match day's time slots in order, one match day every intervalDays.
+ * @param {number} index - Fixture position in play order
+ * @param {Object} options - Parsed generator options
+ * @returns {Date|null} Start time, or null when no start date was given
+ */
+const fixtureStartTime = (index, { startDate, matchTimes, intervalDays }) => {
+  if (!startDate) return null;
+
+  const date = new Date(`${startDate}T${matchTimes[index % matchTimes.length]}:00`);
+  date.setDate(date.getDate() + Math.floor(index / matchTimes.length) * intervalDays);
+  return date;
+};
+
+/**
+ * Get all matches for a season of the league (the active season by default)
+ * Supports filters (season_id, team_id, status, from, to), sorting (sort, direction) and paging (limit, offset).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAllMatches = async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseMatchFilters(req.query);
+    const { sort, error: sortError } = parseSort(req.query, MATCH_SORT_FIELDS);
+    const { paging, error: pagingError } = parsePaging(req.query);
+    const error = filterError || sortError || pagingError;
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const season = await Season.resolve(req.user.ownerId, req.query.season_id);
+    const seasonFilters = { ...filters, seasonId: season.id };
+    const [matches, total] = await Promise.all([
+      Match.findAllByUserId(req.user.ownerId, seasonFilters, { sort, ...paging }),
+      Match.countByUserId(req.user.ownerId, seasonFilters)
+    ]);
+
+    res.json({
+      success: true,
+      count: matches.length,
+      season,
+      pagination: buildPageInfo(req, paging, total),
+      data: matches
+    });
+  } catch (error) {
+    handleError(res, error, 'Get matches error', 'Server error while fetching matches.');
+  }
+};
+
+/**
+ * Get a single match
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMatchById = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id, req.user.ownerId);
+
+    if (!match) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Match not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: match
+    });
+  } catch (error) {
+    console.error('Get match error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching match.' 
+    });
+  }
+};
+
+/**
+ * Create a match
+ * Body: { home_team_id, away_team_id, scheduled_at?, venue?, overs? }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createMatch = async (req, res) => {
+  try {
+    const { match, error } = parseMatchBody(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const created = await Match.create(match, req.user.ownerId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Match created successfully.',
+      data: await Match.findById(created.id, req.user.ownerId)
+    });
+  } catch (error) {
+    handleError(res, error, 'Create match error', 'Server error while creating match.');
+  }
+};
+
+/**
+ * Update a match's teams, time, venue or overs (fields left out are kept)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateMatch = async (req, res) => {
+  try {
+    const current = await Match.findById(req.params.id, req.user.ownerId);
+
+    if (!current) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Match not found.' 
+      });
+    }
+
+    if (current.status === 'completed') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Completed matches cannot be changed.' 
+      });
+    }
+
+    const { match, error } = parseMatchBody(req.body, current);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    await Match.update(current.id, match, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: 'Match updated successfully.',
+      data: await Match.findById(current.id, req.user.ownerId)
+    });
+  } catch (error) {
+    handleError(res, error, 'Update match error', 'Server error while updating match.');
+  }
+};
+
+/**
+ * Change a match's status (scheduled, live, completed, abandoned)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateMatchStatus = async (req, res) => {
+  try {
+    const status = typeof req.body.status === 'string' ? req.body.status.trim().toLowerCase() : null;
+
+    if (!MATCH_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `status must be one of: ${MATCH_STATUSES.join(', ')}.` 
+      });
+    }
+
+    const updated = await Match.setStatus(req.params.id, status, req.user.ownerId);
+
+    if (!updated) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Match not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Match is now ${status}.`,
+      data: await Match.findById(req.params.id, req.user.ownerId)
+    });
+  } catch (error) {
+    handleError(res, error, 'Update match status error', 'Server error while updating match status.');
+  }
+};
+
+/**
+ * Delete a match that has not started or was abandoned
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteMatch = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id, req.user.ownerId);
+
+    if (!match) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Match not found.' 
+      });
+    }
+
+    if (!['scheduled', 'abandoned'].includes(match.status)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `A ${match.status} match cannot be deleted.` 
+      });
+    }
+
+    await Match.delete(match.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: 'Match deleted successfully.'
+    });
+  } catch (error) {
+    console.error('Delete match error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while deleting match.' 
+    });
+  }
+};
+
+/**
+ * Generate a round-robin fixture list for every team in the league
+ * Fixtures are ordered so no team plays two matches in a row where the number
+ * of teams allows it (five or more). Existing scheduled matches must be
+ * replaced explicitly (replace: true); live and finished matches are kept.
+ * Query: dry_run=true previews the schedule without saving it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const generateFixtures = async (req, res) => {
+  let client;
+  let rollbackError;
+
+  try {
+    const { options, error } = parseGeneratorOptions(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const teams = await Team.findAllByUserId(req.user.ownerId);
+
+    if (teams.length < 2) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'At least two teams are needed to generate fixtures.' 
+      });
+    }
+
+    const scheduledCount = await Match.countScheduled(req.user.ownerId);
+
+    if (scheduledCount > 0 && !options.replace) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `${scheduledCount} match(es) are already scheduled. Send replace: true to replace them.`,
+        scheduled_count: scheduledCount
+      });
+    }
+
+    const teamNames = new Map(teams.map(team => [team.id, team.team_name]));
+    const pairings = buildRoundRobin(teams.map(team => team.id), { doubleRoundRobin: options.doubleRoundRobin });
+    const { fixtures, backToBack } = orderFixtures(pairings);
+
+    const plan = fixtures.map((fixture, index) => ({
+      round: fixture.round,
+      home_team_id: fixture.home_team_id,
+      home_team_name: teamNames.get(fixture.home_team_id),
+      away_team_id: fixture.away_team_id,
+      away_team_name: teamNames.get(fixture.away_team_id),
+      scheduled_at: fixtureStartTime(index, options),
+      venue: options.venue,
+      overs: options.overs
+    }));
+    const summary = {
+      teams: teams.length,
+      rounds: Math.max(...plan.map(fixture => fixture.round)),
+      matches: plan.length,
+      back_to_back: backToBack,
+      replaced: options.replace ? scheduledCount : 0
+    };
+
+    if (isFlagSet(req.query.dry_run)) {
+      return res.json({
+        success: true,
+        dry_run: true,
+        summary,
+        data: plan
+      });
+    }
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    if (options.replace) {
+      await Match.deleteScheduled(req.user.ownerId, { client });
+    }
+    for (const fixture of plan) {
+      await Match.create({
+        homeTeamId: fixture.home_team_id,
+        awayTeamId: fixture.away_team_id,
+        scheduledAt: fixture.scheduled_at,
+        venue: fixture.venue,
+        overs: fixture.overs,
+        round: fixture.round
+      }, req.user.ownerId, { client });
+    }
+
+    await client.query('COMMIT');
+
+    const season = await Season.findActive(req.user.ownerId);
+    const matches = await Match.findAllByUserId(req.user.ownerId, { status: 'scheduled', seasonId: season.id });
+
+    res.status(201).json({
+      success: true,
+      message: `Generated ${plan.length} match(es) over ${summary.rounds} round(s).`,
+      summary,
+      data: matches
+    });
+  } catch (error) {
+    if (client) rollbackError = await rollbackQuietly(client);
+    handleError(res, error, 'Generate fixtures error', 'Server error while generating fixtures.');
+  } finally {
+    if (client) client.release(rollbackError);
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Media Controller
+ * Serves uploaded images through signed URLs
+ */
+
+import storage from '../storage/index.js';
+import uploadConfig from '../config/uploads.js';
+import { verifyMediaSignature, getMediaContentType } from '../utils/mediaUrl.js';
+
+/**
+ * Serve a stored image (?expires=&signature= from signMediaUrl)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMedia = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (!verifyMediaSignature(key, expires, signature)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Invalid or expired image link.' 
+      });
+    }
+
+    const data = await storage.read(key);
+
+    if (!data) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Image not found.' 
+      });
+    }
+
+    // Keys are never reused, so browsers may cache for as long as the link is valid
+    res.set({
+      'Content-Type': getMediaContentType(key),
+      'Cache-Control': `private, max-age=${uploadConfig.urlTtlSeconds}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(data);
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching image.' 
+    });
+  }
+};
@@ -3,21 +3,465 @@
  * Handles player CRUD operations including global players
  */
 
-import Player from '../models/Player.js';
+import Player, {
+  MAX_JERSEY_NUMBER,
+  PLAYER_SORT_FIELDS,
+  PLAYING_ROLES,
+  BATTING_HANDS,
+  BOWLING_STYLES,
+  PROFILE_FIELDS
+} from '../models/Player.js';
+import Team from '../models/Team.js';
+import PlayerTransfer from '../models/PlayerTransfer.js';
+import Scorecard from '../models/Scorecard.js';
+import Season from '../models/Season.js';
+import { getClient, rollbackQuietly } from '../config/database.js';
+import { parseCsv } from '../utils/csv.js';
+import { sendSpreadsheet, parseExportFormat, EXPORT_FORMATS } from '../utils/spreadsheet.js';
+import { parsePaging, parseSort, buildPageInfo } from '../utils/pagination.js';
+import { getPurgeDate } from '../config/trash.js';
+import { withPlayerPhoto } from '../utils/mediaUrl.js';
+import { storeImage } from '../utils/images.js';
+import { removeFiles } from '../storage/index.js';
+import HttpError, { handleError } from '../utils/httpError.js';
+
+const MAX_REASON_LENGTH = 500;
+const MAX_BULK_IDS = 500;
+const MAX_PLAYER_AGE = 100;
+const MAX_CLUB_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_LEADERBOARD_SIZE = 50;
+
+// Digits with optional leading + and spaces or dashes between groups
+const PHONE_PATTERN = /^\+?\d[\d -]*\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Bulk actions and the past-tense verb used in their messages
+const BULK_ACTIONS = {
+  assign: 'assigned',
+  unassign: 'unassigned',
+  delete: 'deleted',
+  set_position: 'updated'
+};
+const BULK_MODES = ['all_or_nothing', 'best_effort'];
+
+// Export columns double as the CSV import header, so exports round-trip
+const PLAYER_EXPORT_COLUMNS = [
+  { key: 'player_name', header: 'player_name', width: 28 },
+  { key: 'position', header: 'position', width: 16 },
+  { key: 'jersey_number', header: 'jersey_number', width: 14 },
+  { key: 'team_name', header: 'team_name', width: 24 }
+];
+
+/**
+ * Check whether a query-string flag is switched on
+ * @param {string|undefined} value - Raw query value
+ * @returns {boolean} True for "true", "1" or "yes"
+ */
+const isFlagSet = (value) => ['true', '1', 'yes'].includes(String(value || '').toLowerCase());
+
+/**
+ * Normalize an optional transfer reason from the request body
+ * @param {*} reason - Raw reason
+ * @returns {string|null} Trimmed reason, or null when missing or blank
+ */
+const cleanReason = (reason) => {
+  if (typeof reason !== 'string') return null;
+  return reason.trim().slice(0, MAX_REASON_LENGTH) || null;
+};
+
+/**
+ * Check a value against a list of allowed codes (case-insensitive)
+ * @param {*} value - Raw value
+ * @param {Array<string>} allowed - Allowed codes
+ * @param {string} field - Field name for the error message
+ * @returns {Object} { value } or { error }
+ */
+const parseChoice = (value, allowed, field) => {
+  const code = typeof value === 'string' ? value.trim().toLowerCase() : null;
+  if (!allowed.includes(code)) {
+    return { error: `${field} must be one of: ${allowed.join(', ')}.` };
+  }
+  return { value: code };
+};
+
+/**
+ * Validate an optional jersey number (a whole number from 0 to MAX_JERSEY_NUMBER)
+ * @param {*} value - Raw value; empty means no jersey
+ * @returns {Object} { value } or { error }
+ */
+const parseJerseyNumber = (value) => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  if (text === '') return { value: null };
+  if (!/^\d+$/.test(text) || parseInt(text) > MAX_JERSEY_NUMBER) {
+    return { error: `Jersey number must be a whole number between 0 and ${MAX_JERSEY_NUMBER}.` };
+  }
+  return { value: parseInt(text) };
+};
+
+/**
+ * Validate a date of birth (YYYY-MM-DD, in the past, at most MAX_PLAYER_AGE years ago)
+ * @param {*} value - Raw value
+ * @returns {Object} { value } or { error }
+ */
+const parseDateOfBirth = (value) => {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())
+    ? new Date(`${value.trim()}T00:00:00Z`)
+    : null;
+
+  // Rejects impossible dates such as 2001-02-30, which Date rolls over
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value.trim()) {
+    return { error: 'date_of_birth must be a valid date in YYYY-MM-DD format.' };
+  }
+
+  const today = new Date();
+  const oldest = new Date(Date.UTC(today.getUTCFullYear() - MAX_PLAYER_AGE, today.getUTCMonth(), today.getUTCDate()));
+  if (date >= today || date < oldest) {
+    return { error: `date_of_birth must be in the past and within the last ${MAX_PLAYER_AGE} years.` };
+  }
+
+  return { value: value.trim() };
+};
+
+// Validators for each profile field; null or an empty string clears the field
+const PROFILE_VALIDATORS = {
+  date_of_birth: parseDateOfBirth,
+  playing_role: (value) => parseChoice(value, PLAYING_ROLES, 'playing_role'),
+  batting_hand: (value) => parseChoice(value, BATTING_HANDS, 'batting_hand'),
+  bowling_style: (value) => parseChoice(value, BOWLING_STYLES, 'bowling_style'),
+  phone: (value) => {
+    const phone = String(value).trim();
+    const digits = phone.replace(/\D/g, '').length;
+    if (!PHONE_PATTERN.test(phone) || digits < 7 || digits > 15) {
+      return { error: 'phone must have 7 to 15 digits, optionally starting with +.' };
+    }
+    return { value: phone };
+  },
+  email: (value) => {
+    const email = String(value).trim().toLowerCase();
+    if (email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email)) {
+      return { error: 'email must be a valid email address.' };
+    }
+    return { value: email };
+  },
+  club: (value) => {
+    const club = String(value).trim();
+    if (club.length > MAX_CLUB_LENGTH) {
+      return { error: `club cannot be longer than ${MAX_CLUB_LENGTH} characters.` };
+    }
+    return { value: club };
+  },
+  is_overseas: (value) => {
+    if (typeof value !== 'boolean') {
+      return { error: 'is_overseas must be true or false.' };
+    }
+    return { value };
+  }
+};
+
+/**
+ * Read the profile fields present in a request body
+ * Fields left out of the body are not included, so updates keep their current values.
+ * @param {Object} body - req.body
+ * @returns {Object} { profile } keyed by column, or { error }
+ */
+const parsePlayerProfile = (body) => {
+  const profile = {};
+
+  for (const field of PROFILE_FIELDS) {
+    const raw = body[field];
+    if (raw === undefined) continue;
+
+    if (field !== 'is_overseas' && (raw === null || (typeof raw === 'string' && raw.trim() === ''))) {
+      profile[field] = null;
+      continue;
+    }
+
+    const { value, error } = PROFILE_VALIDATORS[field](raw);
+    if (error) return { error };
+    profile[field] = value;
+  }
+
+  return { profile };
+};
+
+/**
+ * Drop a player's phone and email unless the account may contact them
+ * Organisers see every player's details; a team manager only their own players'.
+ * @param {Object} user - req.user
+ * @param {Object} player - Player from Player.findById with contact details
+ * @returns {Object} Player, without phone and email for everyone else
+ */
+const withContactFor = (user, player) => {
+  const { phone, email, ...rest } = player;
+  const canContact = ['admin', 'organiser'].includes(user.role)
+    || (user.role === 'team_manager' && player.team_id !== null && user.teamId === player.team_id);
+
+  return canContact ? player : rest;
+};
+
+/**
+ * Read the player list filters from the query string
+ * @param {Object} queryParams - req.query
+ * @returns {Object} { filters } or { error } with a validation message
+ */
+const parsePlayerFilters = (queryParams) => {
+  const filters = {
+    unassigned: isFlagSet(queryParams.unassigned),
+    position: queryParams.position ? String(queryParams.position).trim() : null,
+    teamId: null,
+    jerseyMin: null,
+    jerseyMax: null,
+    role: null,
+    ageMin: null,
+    ageMax: null,
+    overseas: null
+  };
+
+  if (queryParams.team_id) {
+    if (!/^\d+$/.test(String(queryParams.team_id))) {
+      return { error: 'team_id must be a positive integer.' };
+    }
+    filters.teamId = parseInt(queryParams.team_id);
+  }
+
+  if (filters.teamId && filters.unassigned) {
+    return { error: 'team_id and unassigned cannot be combined.' };
+  }
+
+  for (const [param, key] of [['jersey_min', 'jerseyMin'], ['jersey_max', 'jerseyMax']]) {
+    if (queryParams[param] === undefined) continue;
+    if (!/^\d+$/.test(String(queryParams[param])) || parseInt(queryParams[param]) > MAX_JERSEY_NUMBER) {
+      return { error: `${param} must be a whole number between 0 and ${MAX_JERSEY_NUMBER}.` };
+    }
+    filters[key] = parseInt(queryParams[param]);
+  }
+
+  if (filters.jerseyMin !== null && filters.jerseyMax !== null && filters.jerseyMin > filters.jerseyMax) {
+    return { error: 'jersey_min cannot be larger than jersey_max.' };
+  }
+
+  if (queryParams.role !== undefined) {
+    const { value, error } = parseChoice(queryParams.role, PLAYING_ROLES, 'role');
+    if (error) return { error };
+    filters.role = value;
+  }
+
+  // Age bracket, in whole years as of today (e.g. age_max=18 for an under-19 list)
+  for (const [param, key] of [['age_min', 'ageMin'], ['age_max', 'ageMax']]) {
+    if (queryParams[param] === undefined) continue;
+    if (!/^\d+$/.test(String(queryParams[param])) || parseInt(queryParams[param]) > MAX_PLAYER_AGE) {
+      return { error: `${param} must be a whole number between 0 and ${MAX_PLAYER_AGE}.` };
+    }
+    filters[key] = parseInt(queryParams[param]);
+  }
+
+  if (filters.ageMin !== null && filters.ageMax !== null && filters.ageMin > filters.ageMax) {
+    return { error: 'age_min cannot be larger than age_max.' };
+  }
+
+  if (queryParams.overseas !== undefined) {
+    const overseas = String(queryParams.overseas).toLowerCase();
+    if (!['true', 'false'].includes(overseas)) {
+      return { error: 'overseas must be true or false.' };
+    }
+    filters.overseas = overseas === 'true';
+  }
+
+  return { filters };
+};
+
+/**
+ * Validate parsed CSV records and decide what each row would do
+ * A blank team cell means the player is (or becomes) a global player.
+ * @param {Array} records - Records from parseCsv
+ * @param {Array} teams - Teams owned by the user
+ * @param {Array} existingPlayers - Players owned by the user
+ * @returns {Object} { created, updated, unchanged, rejected }
+ */
+const planPlayerImport = (records, teams, existingPlayers) => {
+  const teamsByName = new Map(teams.map(team => [team.team_name.trim().toLowerCase(), team]));
+  const playersByName = new Map();
+  existingPlayers.forEach(player => {
+    const key = player.player_name.trim().toLowerCase();
+    playersByName.set(key, [...(playersByName.get(key) || []), player]);
+  });
+
+  const plan = { created: [], updated: [], unchanged: [], rejected: [] };
+  const seenNames = new Map();
+
+  records.forEach(record => {
+    const errors = [];
+    const playerName = record.player_name || '';
+    const position = record.position || null;
+    const jerseyText = record.jersey_number || '';
+    const teamName = record.team_name || record.team || '';
+    const key = playerName.toLowerCase();
+
+    if (!playerName) {
+      errors.push('Player name is required.');
+    } else if (seenNames.has(key)) {
+      errors.push(`Duplicate of row ${seenNames.get(key)}.`);
+    }
+
+    const jersey = parseJerseyNumber(jerseyText);
+    if (jersey.error) errors.push(jersey.error);
+    const jerseyNumber = jersey.value ?? null;
+
+    let team = null;
+    if (teamName) {
+      team = teamsByName.get(teamName.toLowerCase()) || null;
+      if (!team) errors.push(`Team "${teamName}" not found.`);
+    }
+
+    const matches = playerName ? playersByName.get(key) || [] : [];
+    if (matches.length > 1) {
+      errors.push(`Player name matches ${matches.length} existing players.`);
+    }
+
+    if (playerName && !seenNames.has(key)) {
+      seenNames.set(key, record.row);
+    }
+
+    const entry = {
+      row: record.row,
+      player_name: playerName,
+      position,
+      jersey_number: jerseyNumber,
+      team_id: team ? team.id : null,
+      team_name: team ? team.team_name : null
+    };
+
+    if (errors.length > 0) {
+      plan.rejected.push({ ...entry, errors });
+      return;
+    }
+
+    const existing = matches[0];
+    if (!existing) {
+      plan.created.push(entry);
+      return;
+    }
+
+    const isUnchanged = existing.position === position
+      && existing.jersey_number === jerseyNumber
+      && existing.team_id === entry.team_id;
+
+    plan[isUnchanged ? 'unchanged' : 'updated'].push({ ...entry, player_id: existing.id });
+  });
+
+  return plan;
+};
+
+/**
+ * Validate a bulk request body
+ * @param {Object} body - Request body
+ * @returns {Object} { bulk } with camelCase fields, or { error } with a validation message
+ */
+const parseBulkRequest = (body) => {
+  const { action, ids, team_id, position, mode = 'all_or_nothing', reason, reassign_jersey } = body;
+
+  if (!Object.hasOwn(BULK_ACTIONS, action)) {
+    return { error: `action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}.` };
+  }
+  if (!BULK_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${BULK_MODES.join(', ')}.` };
+  }
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS) {
+    return { error: `ids must be a list of 1 to ${MAX_BULK_IDS} player IDs.` };
+  }
+  if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: 'Every player ID must be a positive integer.' };
+  }
+  if (action === 'assign' && !(Number.isInteger(team_id) && team_id > 0)) {
+    return { error: 'team_id is required to assign players.' };
+  }
+  if (action === 'set_position' && position !== null && typeof position !== 'string') {
+    return { error: 'position is required to set positions (null clears it).' };
+  }
+
+  return {
+    bulk: {
+      action,
+      mode,
+      ids: [...new Set(ids)],
+      teamId: team_id ?? null,
+      position: typeof position === 'string' ? position.trim() || null : null,
+      reason: cleanReason(reason),
+      reassignJersey: reassign_jersey === true
+    }
+  };
+};
+
+/**
+ * Apply a bulk action to one player
+ * @param {Object} bulk - Request from parseBulkRequest
+ * @param {number} playerId - Player ID
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} client - Transaction client
+ * @returns {Promise<boolean>} False if the player was not found
+ */
+const applyBulkAction = async (bulk, playerId, user, client) => {
+  switch (bulk.action) {
+    case 'assign':
+      return Boolean(await Player.assignToTeam(playerId, bulk.teamId, user.ownerId, {
+        client,
+        changedBy: user.id,
+        reason: bulk.reason,
+        reassignJersey: bulk.reassignJersey
+      }));
+    case 'unassign':
+      return Player.unassignFromTeam(playerId, user.ownerId, { client, changedBy: user.id, reason: bulk.reason });
+    case 'delete':
+      return Player.delete(playerId, user.ownerId, { client });
+    default:
+      return Player.setPosition(playerId, bulk.position, user.ownerId, { client });
+  }
+};
+
+/**
+ * Summarize an import plan as row counts
+ * @param {Object} plan - Plan from planPlayerImport
+ * @returns {Object} Counts per outcome
+ */
+const summarizeImport = (plan) => ({
+  created: plan.created.length,
+  updated: plan.updated.length,
+  unchanged: plan.unchanged.length,
+  rejected: plan.rejected.length
+});
 
 /**
  * Get all players for the authenticated user
+ * Supports filters (team_id, unassigned, position, jersey_min, jersey_max, role,
+ * age_min, age_max, overseas), sorting (sort, direction) and paging (limit, offset).
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const getAllPlayers = async (req, res) => {
   try {
-    const players = await Player.findAllByUserId(req.user.id);
+    const { filters, error: filterError } = parsePlayerFilters(req.query);
+    const { sort, error: sortError } = parseSort(req.query, PLAYER_SORT_FIELDS);
+    const { paging, error: pagingError } = parsePaging(req.query);
+    const error = filterError || sortError || pagingError;
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const [players, total] = await Promise.all([
+      Player.findAllByUserId(req.user.ownerId, filters, { sort, ...paging }),
+      Player.countByUserId(req.user.ownerId, filters)
+    ]);
     
     res.json({
       success: true,
       count: players.length,
-      data: players
+      pagination: buildPageInfo(req, paging, total),
+      data: players.map(withPlayerPhoto)
     });
   } catch (error) {
     console.error('Get players error:', error);
@@ -35,12 +479,21 @@ export const getAllPlayers = async (req, res) => {
  */
 export const getGlobalPlayers = async (req, res) => {
   try {
-    const players = await Player.findGlobalPlayers(req.user.id);
+    const { filters, error } = parsePlayerFilters(req.query);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const players = await Player.findGlobalPlayers(req.user.ownerId, filters);
     
     res.json({
       success: true,
       count: players.length,
-      data: players
+      data: players.map(withPlayerPhoto)
     });
   } catch (error) {
     console.error('Get global players error:', error);
@@ -51,6 +504,77 @@ export const getGlobalPlayers = async (req, res) => {
   }
 };
 
+/**
+ * Export players as CSV or XLSX
+ * Accepts the same filters as the list endpoint (team_id, unassigned, position, role, age_min, age_max, overseas)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const exportPlayers = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query);
+    const { filters, error } = parsePlayerFilters(req.query);
+
+    if (!format || error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error || `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` 
+      });
+    }
+
+    const players = await Player.findAllByUserId(req.user.ownerId, filters);
+
+    await sendSpreadsheet(res, {
+      format,
+      fileName: 'players',
+      sheetName: 'Players',
+      columns: PLAYER_EXPORT_COLUMNS,
+      rows: players
+    });
+  } catch (error) {
+    console.error('Export players error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while exporting players.' 
+    });
+  }
+};
+
+/**
+ * Export global (unassigned) players as CSV or XLSX
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const exportGlobalPlayers = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query);
+
+    if (!format) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` 
+      });
+    }
+
+    const { filters } = parsePlayerFilters(req.query);
+    const players = await Player.findGlobalPlayers(req.user.ownerId, filters);
+
+    await sendSpreadsheet(res, {
+      format,
+      fileName: 'global-players',
+      sheetName: 'Global Players',
+      columns: PLAYER_EXPORT_COLUMNS,
+      rows: players
+    });
+  } catch (error) {
+    console.error('Export global players error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while exporting global players.' 
+    });
+  }
+};
+
 /**
  * Get a single player by ID
  * @param {Object} req - Express request object
@@ -58,7 +582,7 @@ export const getGlobalPlayers = async (req, res) => {
  */
 export const getPlayerById = async (req, res) => {
   try {
-    const player = await Player.findById(req.params.id, req.user.id);
+    const player = await Player.findById(req.params.id, req.user.ownerId, { withContact: true });
     
     if (!player) {
       return res.status(404).json({ 
@@ -69,7 +593,7 @@ export const getPlayerById = async (req, res) => {
 
     res.json({
       success: true,
-      data: player
+      data: withPlayerPhoto(withContactFor(req.user, player))
     });
   } catch (error) {
     console.error('Get player error:', error);
@@ -80,6 +604,105 @@ export const getPlayerById = async (req, res) => {
   }
 };
 
+/**
+ * Get a player's transfer history (oldest first)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPlayerHistory = async (req, res) => {
+  try {
+    const player = await Player.findTeamId(req.params.id, req.user.ownerId);
+
+    if (!player) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Player not found.' 
+      });
+    }
+
+    const transfers = await PlayerTransfer.findByPlayerId(player.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      count: transfers.length,
+      data: transfers
+    });
+  } catch (error) {
+    console.error('Get player history error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching player history.' 
+    });
+  }
+};
+
+/**
+ * Get a player's career and per-season batting and bowling statistics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPlayerStats = async (req, res) => {
+  try {
+    const player = await Player.findById(req.params.id, req.user.ownerId);
+
+    if (!player) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Player not found.' 
+      });
+    }
+
+    const stats = await Scorecard.getPlayerStats(player.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      data: {
+        player: { id: player.id, player_name: player.player_name, team_id: player.team_id, team_name: player.team_name },
+        ...stats
+      }
+    });
+  } catch (error) {
+    console.error('Get player stats error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching player statistics.' 
+    });
+  }
+};
+
+/**
+ * Get the top run scorers and wicket takers
+ * Query: season_id (the active season by default, or "all"), limit (default 10)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getLeaderboard = async (req, res) => {
+  try {
+    const { season_id: seasonId, limit } = req.query;
+    const size = limit === undefined ? 10 : Number(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_LEADERBOARD_SIZE) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `limit must be a whole number between 1 and ${MAX_LEADERBOARD_SIZE}.` 
+      });
+    }
+
+    const season = seasonId === 'all' ? null : await Season.resolve(req.user.ownerId, seasonId);
+    const leaderboards = await Scorecard.getLeaderboards(req.user.ownerId, {
+      seasonId: season ? season.id : null,
+      limit: size
+    });
+
+    res.json({
+      success: true,
+      season,
+      data: leaderboards
+    });
+  } catch (error) {
+    handleError(res, error, 'Get leaderboard error', 'Server error while fetching leaderboard.');
+  }
+};
+
 /**
  * Create a new player
  * @param {Object} req - Express request object
@@ -100,7 +723,6 @@ export const createPlayer = async (req, res) => {
     // Trim whitespace
     const cleanPlayerName = player_name.trim();
     const cleanPosition = position ? position.trim() : null;
-    const cleanJerseyNumber = jersey_number || null;
 
     if (cleanPlayerName.length === 0) {
       return res.status(400).json({ 
@@ -109,26 +731,43 @@ export const createPlayer = async (req, res) => {
       });
     }
 
+    const jersey = parseJerseyNumber(jersey_number);
+
+    if (jersey.error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: jersey.error 
+      });
+    }
+
+    const cleanJerseyNumber = jersey.value;
+
+    const { profile, error } = parsePlayerProfile(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
     // Create player (team_id can be null for global players)
     const player = await Player.create(
       cleanPlayerName, 
       cleanPosition, 
       cleanJerseyNumber, 
       team_id || null, 
-      req.user.id
+      req.user.ownerId,
+      { changedBy: req.user.id, profile }
     );
 
     res.status(201).json({
       success: true,
       message: team_id ? 'Player created successfully.' : 'Global player created successfully.',
-      data: player
+      data: withPlayerPhoto(await Player.findById(player.id, req.user.ownerId))
     });
   } catch (error) {
-    console.error('Create player error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while creating player.' 
-    });
+    handleError(res, error, 'Create player error', 'Server error while creating player.');
   }
 };
 
@@ -139,7 +778,7 @@ export const createPlayer = async (req, res) => {
  */
 export const updatePlayer = async (req, res) => {
   try {
-    const { player_name, position, jersey_number, team_id } = req.body;
+    const { player_name, position, jersey_number, team_id, reason } = req.body;
 
     // Validate input - team_id is now optional
     if (!player_name) {
@@ -152,7 +791,6 @@ export const updatePlayer = async (req, res) => {
     // Trim whitespace
     const cleanPlayerName = player_name.trim();
     const cleanPosition = position ? position.trim() : null;
-    const cleanJerseyNumber = jersey_number || null;
 
     if (cleanPlayerName.length === 0) {
       return res.status(400).json({ 
@@ -161,6 +799,26 @@ export const updatePlayer = async (req, res) => {
       });
     }
 
+    const jersey = parseJerseyNumber(jersey_number);
+
+    if (jersey.error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: jersey.error 
+      });
+    }
+
+    const cleanJerseyNumber = jersey.value;
+
+    const { profile, error } = parsePlayerProfile(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
     // Update player (team_id can be null to make player global)
     const success = await Player.update(
       req.params.id, 
@@ -168,7 +826,8 @@ export const updatePlayer = async (req, res) => {
       cleanPosition, 
       cleanJerseyNumber, 
       team_id || null,
-      req.user.id
+      req.user.ownerId,
+      { changedBy: req.user.id, reason: cleanReason(reason), profile }
     );
 
     if (!success) {
@@ -179,30 +838,26 @@ export const updatePlayer = async (req, res) => {
     }
 
     // Fetch updated player
-    const updatedPlayer = await Player.findById(req.params.id, req.user.id);
+    const updatedPlayer = await Player.findById(req.params.id, req.user.ownerId);
 
     res.json({
       success: true,
       message: 'Player updated successfully.',
-      data: updatedPlayer
+      data: withPlayerPhoto(updatedPlayer)
     });
   } catch (error) {
-    console.error('Update player error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while updating player.' 
-    });
+    handleError(res, error, 'Update player error', 'Server error while updating player.');
   }
 };
 
 /**
- * Assign player to a team
+ * Assign player to a team (sold_price defaults to the player's base price)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const assignPlayerToTeam = async (req, res) => {
   try {
-    const { team_id } = req.body;
+    const { team_id, sold_price, reason, reassign_jersey } = req.body;
     const playerId = req.params.id;
 
     if (!team_id) {
@@ -212,27 +867,79 @@ export const assignPlayerToTeam = async (req, res) => {
       });
     }
 
-    const success = await Player.assignToTeam(playerId, team_id, req.user.id);
+    if (sold_price !== undefined && sold_price !== null && (!Number.isInteger(sold_price) || sold_price < 0)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Sold price must be a whole number of 0 or more.' 
+      });
+    }
 
-    if (!success) {
+    const assignment = await Player.assignToTeam(playerId, team_id, req.user.ownerId, {
+      soldPrice: sold_price ?? null,
+      changedBy: req.user.id,
+      reason: cleanReason(reason),
+      reassignJersey: reassign_jersey === true
+    });
+
+    if (!assignment) {
       return res.status(404).json({ 
         success: false, 
         message: 'Player not found or assignment failed.' 
       });
     }
 
-    const updatedPlayer = await Player.findById(playerId, req.user.id);
+    const updatedPlayer = await Player.findById(playerId, req.user.ownerId);
+
+    const { previousJerseyNumber, jerseyNumber } = assignment;
+    const message = previousJerseyNumber !== jerseyNumber
+      ? `Player assigned to team successfully. Jersey ${previousJerseyNumber} was taken, so they now wear ${jerseyNumber}.`
+      : 'Player assigned to team successfully.';
+
+    res.json({
+      success: true,
+      message,
+      data: withPlayerPhoto(updatedPlayer)
+    });
+  } catch (error) {
+    handleError(res, error, 'Assign player error', 'Server error while assigning player.');
+  }
+};
+
+/**
+ * Set a player's auction base price
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const setPlayerBasePrice = async (req, res) => {
+  try {
+    const { base_price } = req.body;
+
+    if (!Number.isInteger(base_price) || base_price < 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Base price must be a whole number of 0 or more.' 
+      });
+    }
+
+    const success = await Player.setBasePrice(req.params.id, base_price, req.user.ownerId);
+
+    if (!success) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Player not found or update failed.' 
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Player assigned to team successfully.',
-      data: updatedPlayer
+      message: 'Base price updated successfully.',
+      data: { id: parseInt(req.params.id), base_price }
     });
   } catch (error) {
-    console.error('Assign player error:', error);
+    console.error('Set base price error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error while assigning player.' 
+      message: 'Server error while setting base price.' 
     });
   }
 };
@@ -246,7 +953,10 @@ export const unassignPlayerFromTeam = async (req, res) => {
   try {
     const playerId = req.params.id;
 
-    const success = await Player.unassignFromTeam(playerId, req.user.id);
+    const success = await Player.unassignFromTeam(playerId, req.user.ownerId, {
+      changedBy: req.user.id,
+      reason: cleanReason(req.body?.reason)
+    });
 
     if (!success) {
       return res.status(404).json({ 
@@ -275,7 +985,7 @@ export const unassignPlayerFromTeam = async (req, res) => {
  */
 export const deletePlayer = async (req, res) => {
   try {
-    const success = await Player.delete(req.params.id, req.user.id);
+    const success = await Player.delete(req.params.id, req.user.ownerId);
 
     if (!success) {
       return res.status(404).json({ 
@@ -286,7 +996,7 @@ export const deletePlayer = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Player deleted successfully.'
+      message: 'Player moved to the trash.'
     });
   } catch (error) {
     console.error('Delete player error:', error);
@@ -298,7 +1008,134 @@ export const deletePlayer = async (req, res) => {
 };
 
 /**
- * Search players by name or team
+ * Upload a player headshot (multipart field "photo"); replaces any previous upload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const uploadPlayerPhoto = async (req, res) => {
+  try {
+    const player = await Player.findTeamId(req.params.id, req.user.ownerId);
+
+    if (!player) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Player not found.' 
+      });
+    }
+
+    const keys = await storeImage(req.file.buffer, `players/${player.id}`);
+    const replaced = await Player.setPhoto(player.id, req.user.ownerId, keys);
+
+    // The player was deleted while the image was being processed
+    if (!replaced) {
+      await removeFiles([keys.imageKey, keys.thumbKey]);
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Player not found.' 
+      });
+    }
+
+    await removeFiles([replaced.photo_key, replaced.photo_thumb_key]);
+
+    const updatedPlayer = await Player.findById(player.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: 'Player photo uploaded successfully.',
+      data: withPlayerPhoto(updatedPlayer)
+    });
+  } catch (error) {
+    handleError(res, error, 'Upload player photo error', 'Server error while uploading player photo.');
+  }
+};
+
+/**
+ * Remove a player's uploaded headshot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const removePlayerPhoto = async (req, res) => {
+  try {
+    const replaced = await Player.setPhoto(req.params.id, req.user.ownerId);
+
+    if (!replaced) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Player not found.' 
+      });
+    }
+
+    await removeFiles([replaced.photo_key, replaced.photo_thumb_key]);
+
+    const updatedPlayer = await Player.findById(req.params.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: 'Player photo removed.',
+      data: withPlayerPhoto(updatedPlayer)
+    });
+  } catch (error) {
+    console.error('Remove player photo error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while removing player photo.' 
+    });
+  }
+};
+
+/**
+ * List players in the trash with the date each will be purged
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getDeletedPlayers = async (req, res) => {
+  try {
+    const players = await Player.findDeleted(req.user.ownerId);
+
+    res.json({
+      success: true,
+      count: players.length,
+      data: players.map(player => ({ ...player, purge_at: getPurgeDate(player.deleted_at) }))
+    });
+  } catch (error) {
+    console.error('Get deleted players error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching deleted players.' 
+    });
+  }
+};
+
+/**
+ * Restore a player from the trash (back to their team if it still exists)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const restorePlayer = async (req, res) => {
+  try {
+    const success = await Player.restore(req.params.id, req.user.ownerId, { changedBy: req.user.id });
+
+    if (!success) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Player not found in the trash.' 
+      });
+    }
+
+    const player = await Player.findById(req.params.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: player.team_id ? 'Player restored to their team.' : 'Player restored to the global pool.',
+      data: withPlayerPhoto(player)
+    });
+  } catch (error) {
+    handleError(res, error, 'Restore player error', 'Server error while restoring player.');
+  }
+};
+
+/**
+ * Fuzzy search players by name, team, position or jersey number (?q=), best matches first
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -313,12 +1150,12 @@ export const searchPlayers = async (req, res) => {
       });
     }
 
-    const players = await Player.search(q.trim(), req.user.id);
+    const players = await Player.search(q.trim(), req.user.ownerId);
 
     res.json({
       success: true,
       count: players.length,
-      data: players
+      data: players.map(withPlayerPhoto)
     });
   } catch (error) {
     console.error('Search players error:', error);
@@ -328,3 +1165,208 @@ export const searchPlayers = async (req, res) => {
     });
   }
 };
+
+/**
+ * Apply one action to many players in a single transaction
+ * Body: { action, ids, team_id?, position?, mode?, reason?, reassign_jersey? }.
+ * In all_or_nothing mode (the default) any failure rolls every change back;
+ * in best_effort mode failed players are skipped and the rest are saved.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const bulkUpdatePlayers = async (req, res) => {
+  let client;
+  let rollbackError;
+
+  try {
+    const { bulk, error } = parseBulkRequest(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    // Each player runs under a savepoint so one failure does not abort the rest
+    const results = [];
+    for (const id of bulk.ids) {
+      await client.query('SAVEPOINT bulk_player');
+
+      try {
+        const found = await applyBulkAction(bulk, id, req.user, client);
+
+        if (found) {
+          await client.query('RELEASE SAVEPOINT bulk_player');
+          results.push({ id, status: 'ok' });
+        } else {
+          await client.query('ROLLBACK TO SAVEPOINT bulk_player');
+          results.push({ id, status: 'failed', message: 'Player not found.' });
+        }
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+
+        await client.query('ROLLBACK TO SAVEPOINT bulk_player');
+        results.push({ id, status: 'failed', message: error.message, ...error.details });
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    const verb = BULK_ACTIONS[bulk.action];
+
+    if (failed > 0 && bulk.mode === 'all_or_nothing') {
+      await client.query('ROLLBACK');
+      results.forEach(result => {
+        if (result.status === 'ok') result.status = 'rolled_back';
+      });
+
+      return res.status(422).json({
+        success: false,
+        message: `${failed} player(s) could not be ${verb}. Nothing was changed.`,
+        summary: { requested: results.length, succeeded: 0, failed },
+        results
+      });
+    }
+
+    await client.query('COMMIT');
+
+    const succeeded = results.length - failed;
+    res.json({
+      success: true,
+      message: failed > 0
+        ? `${succeeded} of ${results.length} player(s) ${verb}; ${failed} failed.`
+        : `${succeeded} player(s) ${verb}.`,
+      summary: { requested: results.length, succeeded, failed },
+      results
+    });
+  } catch (error) {
+    if (client) rollbackError = await rollbackQuietly(client);
+    handleError(res, error, 'Bulk player update error', 'Server error while updating players.');
+  } finally {
+    if (client) client.release(rollbackError);
+  }
+};
+
+/**
+ * Bulk import players from CSV
+ * Columns: player_name, position, jersey_number and an optional team (or team_name).
+ * Players are matched to existing ones by name (case-insensitive) and updated;
+ * the rest are created. All writes happen in a single transaction.
+ * Query: dry_run=true previews without writing; skip_invalid=true imports valid
+ * rows even when others are rejected.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const importPlayers = async (req, res) => {
+  let client;
+  let rollbackError;
+  try {
+    const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    if (!csvText || csvText.trim().length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'CSV content is required.' 
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseCsv(csvText);
+    } catch (parseError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Invalid CSV: ${parseError.message}.` 
+      });
+    }
+
+    if (!parsed.headers.includes('player_name')) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'CSV must include a player_name column.' 
+      });
+    }
+
+    const [teams, existingPlayers] = await Promise.all([
+      Team.findAllByUserId(req.user.ownerId),
+      Player.findAllByUserId(req.user.ownerId)
+    ]);
+
+    const plan = planPlayerImport(parsed.records, teams, existingPlayers);
+    const summary = summarizeImport(plan);
+
+    if (isFlagSet(req.query.dry_run)) {
+      return res.json({
+        success: true,
+        dry_run: true,
+        summary,
+        data: plan
+      });
+    }
+
+    if (plan.rejected.length > 0 && !isFlagSet(req.query.skip_invalid)) {
+      return res.status(422).json({
+        success: false,
+        message: `${plan.rejected.length} row(s) rejected. Nothing was imported.`,
+        summary,
+        data: plan
+      });
+    }
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    let currentEntry = null;
+    try {
+      for (const entry of plan.created) {
+        currentEntry = entry;
+        const player = await Player.create(
+          entry.player_name,
+          entry.position,
+          entry.jersey_number,
+          entry.team_id,
+          req.user.ownerId,
+          { client, changedBy: req.user.id }
+        );
+        entry.player_id = player.id;
+      }
+
+      for (const entry of plan.updated) {
+        currentEntry = entry;
+        await Player.update(
+          entry.player_id,
+          entry.player_name,
+          entry.position,
+          entry.jersey_number,
+          entry.team_id,
+          req.user.ownerId,
+          { client, changedBy: req.user.id, reason: 'CSV import' }
+        );
+      }
+    } catch (error) {
+      // Point the client at the row that broke a rule (e.g. a team budget)
+      if (error instanceof HttpError) {
+        error.message = `Row ${currentEntry.row}: ${error.message} Nothing was imported.`;
+        error.details = { ...error.details, row: currentEntry.row };
+      }
+      throw error;
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${summary.created} new and ${summary.updated} updated player(s).`,
+      summary,
+      data: plan
+    });
+  } catch (error) {
+    if (client) rollbackError = await rollbackQuietly(client);
+    handleError(res, error, 'Import players error', 'Server error while importing players.');
+  } finally {
+    if (client) client.release(rollbackError);
+  }
+};
@@ -0,0 +1,309 @@
+/**
+ * Scorecard Controller
+ * Handles entering and reading innings scorecards for played matches
+ */
+
+import Match from '../models/Match.js';
+import Scorecard, {
+  BALLS_PER_OVER,
+  MAX_WICKETS,
+  DISMISSAL_TYPES,
+  NOT_OUT_DISMISSALS,
+  BOWLER_DISMISSALS,
+  oversToBalls
+} from '../models/Scorecard.js';
+import { handleError } from '../utils/httpError.js';
+
+const MAX_INNINGS = 4;
+const MAX_PLAYERS_PER_SIDE = 11;
+const MAX_EXTRAS = 999;
+
+/**
+ * Read a non-negative whole number
+ * @param {*} value - Raw value
+ * @param {number} fallback - Value used when missing
+ * @returns {number|null} Number, or null when invalid
+ */
+const parseCount = (value, fallback = 0) => {
+  const number = value === undefined || value === null ? fallback : value;
+  return Number.isInteger(number) && number >= 0 ? number : null;
+};
+
+/**
+ * Read the innings number from the URL
+ * @param {string} value - req.params.number
+ * @returns {number|null} Innings number, or null when invalid
+ */
+const parseInningsNumber = (value) => {
+  const number = /^\d+$/.test(String(value)) ? parseInt(value) : null;
+  return number >= 1 && number <= MAX_INNINGS ? number : null;
+};
+
+/**
+ * Validate one batter's line of the scorecard
+ * @param {Object} entry - { player_id, runs, balls, fours, sixes, dismissal, bowler_id }
+ * @param {number} index - Position in the batting list (for messages)
+ * @returns {Object} { entry } or { error }
+ */
+const parseBattingEntry = (entry, index) => {
+  const label = `batting[${index}]`;
+  if (!entry || typeof entry !== 'object') {
+    return { error: `${label} must be an object.` };
+  }
+
+  const playerId = Number(entry.player_id);
+  if (!Number.isInteger(playerId) || playerId < 1) {
+    return { error: `${label}.player_id is required.` };
+  }
+
+  const figures = {};
+  for (const field of ['runs', 'balls', 'fours', 'sixes']) {
+    figures[field] = parseCount(entry[field]);
+    if (figures[field] === null) {
+      return { error: `${label}.${field} must be a whole number of 0 or more.` };
+    }
+  }
+  if (figures.fours * 4 + figures.sixes * 6 > figures.runs) {
+    return { error: `${label} has more runs in boundaries than runs scored.` };
+  }
+  if (figures.fours + figures.sixes > figures.balls) {
+    return { error: `${label} has more boundaries than balls faced.` };
+  }
+
+  const dismissal = typeof entry.dismissal === 'string' ? entry.dismissal.trim().toLowerCase() : 'not_out';
+  if (!DISMISSAL_TYPES.includes(dismissal)) {
+    return { error: `${label}.dismissal must be one of: ${DISMISSAL_TYPES.join(', ')}.` };
+  }
+
+  let bowlerId = null;
+  if (entry.bowler_id !== undefined && entry.bowler_id !== null) {
+    bowlerId = Number(entry.bowler_id);
+    if (!Number.isInteger(bowlerId) || bowlerId < 1) {
+      return { error: `${label}.bowler_id must be a player ID.` };
+    }
+    if (!BOWLER_DISMISSALS.includes(dismissal)) {
+      return { error: `${label}.bowler_id can only be given for: ${BOWLER_DISMISSALS.join(', ')}.` };
+    }
+  }
+
+  return { entry: { player_id: playerId, ...figures, dismissal, bowler_id: bowlerId } };
+};
+
+/**
+ * Validate one bowler's line of the scorecard
+ * @param {Object} entry - { player_id, overs, maidens, runs, wickets }
+ * @param {number} index - Position in the bowling list (for messages)
+ * @returns {Object} { entry } or { error }
+ */
+const parseBowlingEntry = (entry, index) => {
+  const label = `bowling[${index}]`;
+  if (!entry || typeof entry !== 'object') {
+    return { error: `${label} must be an object.` };
+  }
+
+  const playerId = Number(entry.player_id);
+  if (!Number.isInteger(playerId) || playerId < 1) {
+    return { error: `${label}.player_id is required.` };
+  }
+
+  const balls = typeof entry.overs === 'number' || typeof entry.overs === 'string' ? oversToBalls(entry.overs) : null;
+  if (balls === null) {
+    return { error: `${label}.overs must be in overs notation, e.g. 4 or 3.2.` };
+  }
+
+  const maidens = parseCount(entry.maidens);
+  const runs = parseCount(entry.runs);
+  const wickets = parseCount(entry.wickets);
+  if (maidens === null || runs === null || wickets === null) {
+    return { error: `${label}.maidens, runs and wickets must be whole numbers of 0 or more.` };
+  }
+  if (maidens > Math.floor(balls / BALLS_PER_OVER)) {
+    return { error: `${label} has more maidens than completed overs.` };
+  }
+  if (wickets > MAX_WICKETS) {
+    return { error: `${label}.wickets cannot be more than ${MAX_WICKETS}.` };
+  }
+
+  return { entry: { player_id: playerId, balls, maidens, runs, wickets } };
+};
+
+/**
+ * Validate an innings scorecard against its match
+ * Body: { batting_team_id, extras?, batting: [...], bowling: [...] }
+ * Batters are listed in batting order.
+ * @param {Object} body - req.body
+ * @param {Object} match - Match the innings belongs to
+ * @returns {Object} { innings } or { error }
+ */
+const parseInningsBody = (body, match) => {
+  const battingTeamId = Number(body.batting_team_id);
+  if (![match.home_team_id, match.away_team_id].includes(battingTeamId)) {
+    return { error: 'batting_team_id must be one of the teams playing this match.' };
+  }
+  const bowlingTeamId = battingTeamId === match.home_team_id ? match.away_team_id : match.home_team_id;
+
+  const extras = parseCount(body.extras);
+  if (extras === null || extras > MAX_EXTRAS) {
+    return { error: `extras must be a whole number between 0 and ${MAX_EXTRAS}.` };
+  }
+
+  for (const side of ['batting', 'bowling']) {
+    if (!Array.isArray(body[side]) || body[side].length > MAX_PLAYERS_PER_SIDE) {
+      return { error: `${side} must be a list of up to ${MAX_PLAYERS_PER_SIDE} players.` };
+    }
+  }
+
+  const batting = [];
+  for (const [index, raw] of body.batting.entries()) {
+    const { entry, error } = parseBattingEntry(raw, index);
+    if (error) return { error };
+    batting.push(entry);
+  }
+  const bowling = [];
+  for (const [index, raw] of body.bowling.entries()) {
+    const { entry, error } = parseBowlingEntry(raw, index);
+    if (error) return { error };
+    bowling.push(entry);
+  }
+
+  const battingIds = batting.map(entry => entry.player_id);
+  const bowlingIds = bowling.map(entry => entry.player_id);
+  if (new Set(battingIds).size !== battingIds.length || new Set(bowlingIds).size !== bowlingIds.length) {
+    return { error: 'A player can only be listed once per side.' };
+  }
+  if (battingIds.some(id => bowlingIds.includes(id))) {
+    return { error: 'A player cannot bat and bowl in the same innings.' };
+  }
+  if (batting.some(entry => entry.bowler_id !== null && !bowlingIds.includes(entry.bowler_id))) {
+    return { error: 'bowler_id must be one of the bowlers in this innings.' };
+  }
+
+  const wickets = batting.filter(entry => !NOT_OUT_DISMISSALS.includes(entry.dismissal)).length;
+  if (wickets > MAX_WICKETS) {
+    return { error: `An innings cannot have more than ${MAX_WICKETS} wickets.` };
+  }
+  if (bowling.reduce((sum, entry) => sum + entry.wickets, 0) > wickets) {
+    return { error: 'Bowlers cannot take more wickets than batters were dismissed.' };
+  }
+  if (bowling.reduce((sum, entry) => sum + entry.balls, 0) > match.overs * BALLS_PER_OVER) {
+    return { error: `More than ${match.overs} overs were bowled in a ${match.overs}-over match.` };
+  }
+
+  return { innings: { battingTeamId, bowlingTeamId, extras, batting, bowling } };
+};
+
+/**
+ * Get the scorecard of a match
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getScorecard = async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id, req.user.ownerId);
+
+    if (!match) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Match not found.' 
+      });
+    }
+
+    const innings = await Scorecard.findByMatchId(match.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      data: { match, innings }
+    });
+  } catch (error) {
+    console.error('Get scorecard error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching scorecard.' 
+    });
+  }
+};
+
+/**
+ * Enter or replace one innings of a match's scorecard
+ * The match must have started (live, completed or abandoned).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const saveInnings = async (req, res) => {
+  try {
+    const inningsNumber = parseInningsNumber(req.params.number);
+
+    if (!inningsNumber) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Innings number must be between 1 and ${MAX_INNINGS}.` 
+      });
+    }
+
+    const match = await Match.findById(req.params.id, req.user.ownerId);
+
+    if (!match) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Match not found.' 
+      });
+    }
+
+    if (match.status === 'scheduled') {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Scorecards can only be entered once the match has started.' 
+      });
+    }
+
+    const { innings, error } = parseInningsBody(req.body, match);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    await Scorecard.saveInnings(match.id, inningsNumber, innings, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: `Innings ${inningsNumber} saved successfully.`,
+      data: { match, innings: await Scorecard.findByMatchId(match.id, req.user.ownerId) }
+    });
+  } catch (error) {
+    handleError(res, error, 'Save innings error', 'Server error while saving innings.');
+  }
+};
+
+/**
+ * Delete one innings of a match's scorecard
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteInnings = async (req, res) => {
+  try {
+    const inningsNumber = parseInningsNumber(req.params.number);
+    const match = inningsNumber ? await Match.findById(req.params.id, req.user.ownerId) : null;
+    const deleted = match ? await Scorecard.deleteInnings(match.id, inningsNumber, req.user.ownerId) : false;
+
+    if (!deleted) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Innings not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Innings ${inningsNumber} deleted successfully.`
+    });
+  } catch (error) {
+    console.error('Delete innings error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while deleting innings.' 
+    });
+  }
+};
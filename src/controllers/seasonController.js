@@ -0,0 +1,275 @@
+/**
+ * Season Controller
+ * Handles seasons, switching the active season and cloning a season's teams
+ */
+
+import Season from '../models/Season.js';
+import Team from '../models/Team.js';
+import { copyImage } from '../utils/images.js';
+import { handleError } from '../utils/httpError.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_RETAINED_IDS = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read an optional date (YYYY-MM-DD)
+ * @param {*} value - Raw value
+ * @returns {string|null|undefined} Date, null when blank, or undefined when invalid
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const valid = typeof value === 'string' && DATE_PATTERN.test(value)
+    && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+  return valid ? value : undefined;
+};
+
+/**
+ * Validate season fields from the request body
+ * Body: { name, start_date?, end_date? }
+ * @param {Object} body - req.body
+ * @returns {Object} { season } or { error }
+ */
+const parseSeasonBody = (body) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    return { error: 'Season name is required.' };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Season name cannot be longer than ${MAX_NAME_LENGTH} characters.` };
+  }
+
+  const startDate = parseDate(body.start_date);
+  const endDate = parseDate(body.end_date);
+  if (startDate === undefined || endDate === undefined) {
+    return { error: 'start_date and end_date must be dates in YYYY-MM-DD format.' };
+  }
+  if (startDate && endDate && endDate < startDate) {
+    return { error: 'end_date cannot be before start_date.' };
+  }
+
+  return { season: { name, startDate, endDate } };
+};
+
+/**
+ * Validate which players a cloned season keeps
+ * Body: { retain_players?: boolean, retained_player_ids?: number[] }
+ * @param {Object} body - req.body
+ * @returns {Object} { retention: { retainAll, retainedPlayerIds } } or { error }
+ */
+const parseRetention = (body) => {
+  const retainAll = body.retain_players === true;
+  const ids = body.retained_player_ids ?? [];
+
+  if (!Array.isArray(ids) || ids.length > MAX_RETAINED_IDS || !ids.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: `retained_player_ids must be a list of up to ${MAX_RETAINED_IDS} player IDs.` };
+  }
+  if (retainAll && ids.length > 0) {
+    return { error: 'Send either retain_players: true or retained_player_ids, not both.' };
+  }
+
+  return { retention: { retainAll, retainedPlayerIds: [...new Set(ids)] } };
+};
+
+/**
+ * Get all seasons of the league
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAllSeasons = async (req, res) => {
+  try {
+    const seasons = await Season.findAllByUserId(req.user.ownerId);
+
+    res.json({
+      success: true,
+      count: seasons.length,
+      data: seasons
+    });
+  } catch (error) {
+    console.error('Get seasons error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching seasons.' 
+    });
+  }
+};
+
+/**
+ * Get a single season
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSeasonById = async (req, res) => {
+  try {
+    const season = await Season.findById(req.params.id, req.user.ownerId);
+
+    if (!season) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Season not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: season
+    });
+  } catch (error) {
+    console.error('Get season error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching season.' 
+    });
+  }
+};
+
+/**
+ * Create an empty season (it does not become active)
+ * Body: { name, start_date?, end_date? }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createSeason = async (req, res) => {
+  try {
+    const { season, error } = parseSeasonBody(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const created = await Season.create(season, req.user.ownerId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Season created successfully.',
+      data: created
+    });
+  } catch (error) {
+    handleError(res, error, 'Create season error', 'Server error while creating season.');
+  }
+};
+
+/**
+ * Rename a season or change its dates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateSeason = async (req, res) => {
+  try {
+    const { season, error } = parseSeasonBody(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const updated = await Season.update(req.params.id, season, req.user.ownerId);
+
+    if (!updated) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Season not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Season updated successfully.',
+      data: updated
+    });
+  } catch (error) {
+    handleError(res, error, 'Update season error', 'Server error while updating season.');
+  }
+};
+
+/**
+ * Make a season the active one
+ * Lists default to the active season, and only its teams can sign players or
+ * be given fixtures. The outgoing season's squads are kept for its history.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const activateSeason = async (req, res) => {
+  try {
+    const season = await Season.activate(req.params.id, req.user.ownerId);
+
+    if (!season) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Season not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${season.name} is now the active season.`,
+      data: season
+    });
+  } catch (error) {
+    handleError(res, error, 'Activate season error', 'Server error while activating season.');
+  }
+};
+
+/**
+ * Start a new season with copies of a season's teams
+ * Body: { name, start_date?, end_date?, retain_players?, retained_player_ids?, activate? }
+ * retain_players: true carries every squad player over; retained_player_ids
+ * carries only those. activate: true switches to the new season straight away.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const cloneSeason = async (req, res) => {
+  try {
+    const { season, error: seasonError } = parseSeasonBody(req.body);
+    const { retention, error: retentionError } = parseRetention(req.body);
+    const error = seasonError || retentionError;
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const source = await Season.findById(req.params.id, req.user.ownerId);
+
+    if (!source) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Season not found.' 
+      });
+    }
+
+    const sourceTeams = await Team.findAllWithPlayerCounts(req.user.ownerId, { seasonId: source.id });
+    const clone = await Season.clone(source.id, season, req.user.ownerId, {
+      ...retention,
+      activate: req.body.activate === true
+    });
+
+    // Each copy gets its own logo files, so purging one season's team never breaks another's
+    const logos = new Map(sourceTeams.filter(team => team.logo_key).map(team => [team.id, team]));
+    for (const team of clone.teams.filter(copy => logos.has(copy.source_team_id))) {
+      const sourceTeam = logos.get(team.source_team_id);
+      try {
+        const keys = await copyImage({ imageKey: sourceTeam.logo_key, thumbKey: sourceTeam.logo_thumb_key }, `teams/${team.id}`);
+        if (keys) await Team.setLogo(team.id, req.user.ownerId, keys);
+      } catch (copyError) {
+        console.error(`Copy logo of team ${team.source_team_id} error:`, copyError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${clone.season.name} created with ${clone.teams.length} team(s) and ${clone.retained_players} retained player(s).`,
+      data: clone
+    });
+  } catch (error) {
+    handleError(res, error, 'Clone season error', 'Server error while cloning season.');
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * Squad Rule Controller
+ * Handles the league's squad size limits and position quotas
+ */
+
+import SquadRule from '../models/SquadRule.js';
+
+/**
+ * Check an optional limit from the request body
+ * @param {*} value - Raw value
+ * @returns {boolean} True if absent/null or a non-negative whole number
+ */
+const isValidLimit = (value) => {
+  return value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+};
+
+/**
+ * Validate squad rules from the request body
+ * @param {Object} body - Request body
+ * @returns {Object} { rules } with camelCase fields, or { error } with a client-facing message
+ */
+const parseSquadRules = (body) => {
+  const { min_squad_size, max_squad_size, position_quotas = [] } = body;
+
+  if (!isValidLimit(min_squad_size) || !isValidLimit(max_squad_size)) {
+    return { error: 'Squad sizes must be whole numbers of 0 or more.' };
+  }
+
+  const minSquadSize = min_squad_size ?? null;
+  const maxSquadSize = max_squad_size ?? null;
+
+  if (minSquadSize !== null && maxSquadSize !== null && minSquadSize > maxSquadSize) {
+    return { error: 'Minimum squad size cannot be larger than the maximum.' };
+  }
+
+  if (!Array.isArray(position_quotas)) {
+    return { error: 'Position quotas must be a list of { position, min, max }.' };
+  }
+
+  const positionQuotas = [];
+  const seenPositions = new Set();
+
+  for (const quota of position_quotas) {
+    const position = typeof quota?.position === 'string' ? quota.position.trim() : '';
+
+    if (!position) {
+      return { error: 'Each position quota needs a position.' };
+    }
+    if (seenPositions.has(position.toLowerCase())) {
+      return { error: `Position "${position}" has more than one quota.` };
+    }
+    if (!isValidLimit(quota.min) || !isValidLimit(quota.max)) {
+      return { error: `Quota limits for "${position}" must be whole numbers of 0 or more.` };
+    }
+
+    const min = quota.min ?? null;
+    const max = quota.max ?? null;
+
+    if (min === null && max === null) {
+      return { error: `Quota for "${position}" needs a min or a max.` };
+    }
+    if (min !== null && max !== null && min > max) {
+      return { error: `Quota minimum for "${position}" cannot be larger than its maximum.` };
+    }
+
+    seenPositions.add(position.toLowerCase());
+    positionQuotas.push({ position, min, max });
+  }
+
+  const totalMinimum = positionQuotas.reduce((sum, quota) => sum + (quota.min ?? 0), 0);
+  if (maxSquadSize !== null && totalMinimum > maxSquadSize) {
+    return { error: `Position minimums add up to ${totalMinimum}, more than the maximum squad size of ${maxSquadSize}.` };
+  }
+
+  return { rules: { minSquadSize, maxSquadSize, positionQuotas } };
+};
+
+/**
+ * Get the league's squad rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSquadRules = async (req, res) => {
+  try {
+    const rules = await SquadRule.findByUserId(req.user.ownerId);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get squad rules error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching squad rules.' 
+    });
+  }
+};
+
+/**
+ * Replace the league's squad rules
+ * Existing squads are not changed; use GET /api/teams/:id/compliance to find teams that now break a rule.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateSquadRules = async (req, res) => {
+  try {
+    const { rules, error } = parseSquadRules(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const savedRules = await SquadRule.upsert(req.user.ownerId, rules);
+
+    res.json({
+      success: true,
+      message: 'Squad rules updated successfully.',
+      data: savedRules
+    });
+  } catch (error) {
+    console.error('Update squad rules error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while updating squad rules.' 
+    });
+  }
+};
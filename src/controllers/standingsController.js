@@ -0,0 +1,128 @@
+/**
+ * Standings Controller
+ * Handles the points table and the league's points and tie-break rules
+ */
+
+import Team from '../models/Team.js';
+import Scorecard from '../models/Scorecard.js';
+import StandingsRule from '../models/StandingsRule.js';
+import Season from '../models/Season.js';
+import { buildStandings, TIE_BREAKERS } from '../utils/standings.js';
+import { handleError } from '../utils/httpError.js';
+
+const MAX_POINTS = 100;
+
+/**
+ * Validate standings rules from the request body
+ * Body: { points_for_win, points_for_tie, points_for_no_result, tie_breakers }
+ * @param {Object} body - Request body
+ * @returns {Object} { rules } with camelCase fields, or { error } with a client-facing message
+ */
+const parseStandingsRules = (body) => {
+  const { points_for_win, points_for_tie, points_for_no_result, tie_breakers } = body;
+
+  for (const value of [points_for_win, points_for_tie, points_for_no_result]) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_POINTS) {
+      return { error: `points_for_win, points_for_tie and points_for_no_result must be whole numbers between 0 and ${MAX_POINTS}.` };
+    }
+  }
+
+  if (!Array.isArray(tie_breakers) || !tie_breakers.every(name => TIE_BREAKERS.includes(name))) {
+    return { error: `tie_breakers must be a list drawn from: ${TIE_BREAKERS.join(', ')}.` };
+  }
+  if (new Set(tie_breakers).size !== tie_breakers.length) {
+    return { error: 'Each tie-breaker can only be listed once.' };
+  }
+
+  return {
+    rules: {
+      pointsForWin: points_for_win,
+      pointsForTie: points_for_tie,
+      pointsForNoResult: points_for_no_result,
+      tieBreakers: tie_breakers
+    }
+  };
+};
+
+/**
+ * Get the points table for a season (?season_id, the active season by default)
+ * Teams are ranked on points, then on the league's tie-breakers in order.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getStandings = async (req, res) => {
+  try {
+    const season = await Season.resolve(req.user.ownerId, req.query.season_id);
+    const [teams, matches, rules] = await Promise.all([
+      Team.findAllWithPlayerCounts(req.user.ownerId, { seasonId: season.id }),
+      Scorecard.findMatchTotals(req.user.ownerId, season.id),
+      StandingsRule.findByUserId(req.user.ownerId)
+    ]);
+
+    const standings = buildStandings(teams, matches, rules);
+
+    res.json({
+      success: true,
+      count: standings.length,
+      season,
+      rules,
+      data: standings
+    });
+  } catch (error) {
+    handleError(res, error, 'Get standings error', 'Server error while fetching standings.');
+  }
+};
+
+/**
+ * Get the league's points and tie-break rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getStandingsRules = async (req, res) => {
+  try {
+    const rules = await StandingsRule.findByUserId(req.user.ownerId);
+
+    res.json({
+      success: true,
+      data: { ...rules, available_tie_breakers: TIE_BREAKERS }
+    });
+  } catch (error) {
+    console.error('Get standings rules error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching standings rules.' 
+    });
+  }
+};
+
+/**
+ * Replace the league's points and tie-break rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateStandingsRules = async (req, res) => {
+  try {
+    const { rules, error } = parseStandingsRules(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const savedRules = await StandingsRule.upsert(req.user.ownerId, rules);
+
+    res.json({
+      success: true,
+      message: 'Standings rules updated successfully.',
+      data: savedRules
+    });
+  } catch (error) {
+    console.error('Update standings rules error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while updating standings rules.' 
+    });
+  }
+};
@@ -3,28 +3,264 @@
  * Handles team CRUD operations
  */
 
-import Team from '../models/Team.js';
+import Team, { TEAM_SORT_FIELDS } from '../models/Team.js';
+import Player, { MAX_JERSEY_NUMBER, suggestJerseyNumbers } from '../models/Player.js';
+import PlayerTransfer from '../models/PlayerTransfer.js';
+import Season from '../models/Season.js';
+import { getClient, rollbackQuietly } from '../config/database.js';
+import { buildRosterPdf } from '../utils/rosterPdf.js';
+import { sendSpreadsheet, parseExportFormat, EXPORT_FORMATS } from '../utils/spreadsheet.js';
+import { parsePaging, parseSort, buildPageInfo } from '../utils/pagination.js';
+import { getPurgeDate } from '../config/trash.js';
+import { withTeamImages } from '../utils/mediaUrl.js';
+import { storeImage } from '../utils/images.js';
+import { removeFiles } from '../storage/index.js';
+import HttpError, { handleError } from '../utils/httpError.js';
+
+const TEAM_EXPORT_COLUMNS = [
+  { key: 'team_name', header: 'team_name', width: 24 },
+  { key: 'team_logo', header: 'team_logo', width: 10 },
+  { key: 'team_color', header: 'team_color', width: 12 },
+  { key: 'description', header: 'description', width: 40 },
+  { key: 'player_count', header: 'player_count', width: 14 },
+  { key: 'purse_amount', header: 'purse_amount', width: 14 },
+  { key: 'total_spend', header: 'total_spend', width: 14 },
+  { key: 'remaining_purse', header: 'remaining_purse', width: 16 },
+  { key: 'average_price', header: 'average_price', width: 14 }
+];
+
+const DEFAULT_JERSEY_SUGGESTIONS = 10;
+const MAX_JERSEY_SUGGESTIONS = 100;
+
+// What happens to a deleted team's players, and the outcome reported for each
+const TEAM_DELETE_MODES = {
+  release: 'released',
+  delete: 'deleted',
+  transfer: 'transferred'
+};
+
+/**
+ * Validate an optional purse amount from the request body
+ * @param {*} purseAmount - Value from req.body
+ * @returns {boolean} True if absent/null or a non-negative whole number
+ */
+const isValidPurse = (purseAmount) => {
+  return purseAmount === undefined || purseAmount === null
+    || (Number.isInteger(purseAmount) && purseAmount >= 0);
+};
+
+/**
+ * Parse team deletion options from the query string
+ * ?mode=release|delete|transfer (default release), ?target_team_id= for transfer,
+ * ?reassign_jersey=true to give transferred players a free number on a clash
+ * @param {Object} queryParams - req.query
+ * @param {string} teamId - ID of the team being deleted
+ * @returns {Object} { options } or { error }
+ */
+const parseDeleteOptions = (queryParams, teamId) => {
+  const mode = queryParams.mode ? String(queryParams.mode).trim().toLowerCase() : 'release';
+
+  if (!Object.hasOwn(TEAM_DELETE_MODES, mode)) {
+    return { error: `Mode must be one of: ${Object.keys(TEAM_DELETE_MODES).join(', ')}.` };
+  }
+
+  if (mode !== 'transfer') {
+    return { options: { mode, targetTeamId: null, reassignJersey: false } };
+  }
+
+  const targetTeamId = Number(queryParams.target_team_id);
+  if (!Number.isInteger(targetTeamId) || targetTeamId < 1) {
+    return { error: 'target_team_id is required to transfer players.' };
+  }
+  if (targetTeamId === Number(teamId)) {
+    return { error: 'Players cannot be transferred to the team being deleted.' };
+  }
+
+  return {
+    options: {
+      mode,
+      targetTeamId,
+      reassignJersey: ['true', '1', 'yes'].includes(String(queryParams.reassign_jersey || '').toLowerCase())
+    }
+  };
+};
 
 /**
- * Get all teams for the authenticated user
+ * Describe one player of a team being deleted
+ * @param {Object} player - Player row (see Player.findAllByTeamId)
+ * @param {Object} options - Parsed deletion options
+ * @returns {Object} Player summary with the outcome of the deletion
+ */
+const deletionResult = (player, options) => ({
+  id: player.id,
+  player_name: player.player_name,
+  position: player.position,
+  jersey_number: player.jersey_number,
+  outcome: TEAM_DELETE_MODES[options.mode]
+});
+
+/**
+ * Work out what deleting a team would do to each player, using reads only
+ * Reports the same per-player results as applyTeamDeletion.
+ * @param {Object} team - Team being deleted
+ * @param {Object} options - Parsed deletion options
+ * @param {Object} user - req.user
+ * @returns {Promise<Array>} Per-player results with status 'ok' or 'failed'
+ */
+const previewTeamDeletionResults = async (team, options, user) => {
+  const players = await Player.findAllByTeamId(team.id, user.ownerId);
+
+  if (options.mode !== 'transfer') {
+    return players.map(player => ({ ...deletionResult(player, options), status: 'ok' }));
+  }
+
+  const transfers = await Player.previewTransfers(players, options.targetTeamId, user.ownerId, {
+    reassignJersey: options.reassignJersey
+  });
+  return players.map((player, index) => ({ ...deletionResult(player, options), ...transfers[index] }));
+};
+
+/**
+ * Delete a team inside a transaction and report what happened to each player
+ * In transfer mode each move runs under a savepoint, so every player that
+ * cannot join the target team is reported rather than only the first.
+ * @param {Object} client - Transaction client
+ * @param {Object} team - Team being deleted
+ * @param {Object} options - Parsed deletion options
+ * @param {Object} user - req.user
+ * @returns {Promise<Array>} Per-player results with status 'ok' or 'failed'
+ */
+const applyTeamDeletion = async (client, team, options, user) => {
+  const players = await Player.findAllByTeamId(team.id, user.ownerId, { client });
+  const results = [];
+
+  for (const player of players) {
+    const result = deletionResult(player, options);
+
+    if (options.mode !== 'transfer') {
+      results.push({ ...result, status: 'ok' });
+      continue;
+    }
+
+    await client.query('SAVEPOINT team_delete_player');
+
+    try {
+      const moved = await Player.assignToTeam(player.id, options.targetTeamId, user.ownerId, {
+        client,
+        soldPrice: player.sold_price,
+        changedBy: user.id,
+        reason: 'Team deleted',
+        reassignJersey: options.reassignJersey
+      });
+
+      await client.query('RELEASE SAVEPOINT team_delete_player');
+      results.push({ ...result, new_jersey_number: moved.jerseyNumber, status: 'ok' });
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+
+      await client.query('ROLLBACK TO SAVEPOINT team_delete_player');
+      results.push({ ...result, status: 'failed', message: error.message, ...error.details });
+    }
+  }
+
+  // Transferred players have already left, so only the release or delete applies here
+  await Team.delete(team.id, user.ownerId, {
+    client,
+    mode: options.mode === 'delete' ? 'delete' : 'release',
+    changedBy: user.id
+  });
+
+  return results;
+};
+
+/**
+ * Build a filesystem-safe file name from a team name
+ * @param {string} name - Team name
+ * @returns {string} Slug for use in Content-Disposition
+ */
+const toFileSlug = (name) => {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'team';
+};
+
+/**
+ * Send a PDF buffer as a download
+ * @param {Object} res - Express response object
+ * @param {Buffer} pdf - PDF contents
+ * @param {string} fileName - Download file name
+ */
+const sendPdf = (res, pdf, fileName) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  res.setHeader('Content-Length', pdf.length);
+  res.send(pdf);
+};
+
+/**
+ * Get all teams of a season for the authenticated user (the active season by default)
+ * Supports season_id and name filters, sorting (sort, direction) and paging (limit, offset).
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const getAllTeams = async (req, res) => {
   try {
-    const teams = await Team.findAllWithPlayerCounts(req.user.id);
+    const { sort, error: sortError } = parseSort(req.query, TEAM_SORT_FIELDS);
+    const { paging, error: pagingError } = parsePaging(req.query);
+    const error = sortError || pagingError;
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const season = await Season.resolve(req.user.ownerId, req.query.season_id);
+    const filters = { name: req.query.name ? String(req.query.name).trim() : null, seasonId: season.id };
+    const [teams, total] = await Promise.all([
+      Team.findAllWithPlayerCounts(req.user.ownerId, filters, { sort, ...paging }),
+      Team.countByUserId(req.user.ownerId, filters)
+    ]);
     
     res.json({
       success: true,
       count: teams.length,
-      data: teams
+      season,
+      pagination: buildPageInfo(req, paging, total),
+      data: teams.map(withTeamImages)
     });
   } catch (error) {
-    console.error('Get teams error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while fetching teams.' 
+    handleError(res, error, 'Get teams error', 'Server error while fetching teams.');
+  }
+};
+
+/**
+ * Export a season's teams with player counts as CSV or XLSX (?season_id, the active season by default)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const exportTeams = async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query);
+
+    if (!format) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}.` 
+      });
+    }
+
+    const season = await Season.resolve(req.user.ownerId, req.query.season_id);
+    const teams = await Team.findAllWithPlayerCounts(req.user.ownerId, { seasonId: season.id });
+
+    await sendSpreadsheet(res, {
+      format,
+      fileName: 'teams',
+      sheetName: 'Teams',
+      columns: TEAM_EXPORT_COLUMNS,
+      rows: teams
     });
+  } catch (error) {
+    handleError(res, error, 'Export teams error', 'Server error while exporting teams.');
   }
 };
 
@@ -35,7 +271,7 @@ export const getAllTeams = async (req, res) => {
  */
 export const getTeamById = async (req, res) => {
   try {
-    const team = await Team.findByIdWithPlayerCount(req.params.id, req.user.id);
+    const team = await Team.findByIdWithPlayerCount(req.params.id, req.user.ownerId);
     
     if (!team) {
       return res.status(404).json({ 
@@ -46,7 +282,7 @@ export const getTeamById = async (req, res) => {
 
     res.json({
       success: true,
-      data: team
+      data: withTeamImages(team)
     });
   } catch (error) {
     console.error('Get team error:', error);
@@ -64,7 +300,7 @@ export const getTeamById = async (req, res) => {
  */
 export const getTeamHierarchy = async (req, res) => {
   try {
-    const teamHierarchy = await Team.getTeamHierarchy(req.params.id, req.user.id);
+    const teamHierarchy = await Team.getTeamHierarchy(req.params.id, req.user.ownerId);
     
     if (!teamHierarchy) {
       return res.status(404).json({ 
@@ -75,7 +311,7 @@ export const getTeamHierarchy = async (req, res) => {
 
     res.json({
       success: true,
-      data: teamHierarchy
+      data: withTeamImages(teamHierarchy)
     });
   } catch (error) {
     console.error('Get team hierarchy error:', error);
@@ -86,6 +322,177 @@ export const getTeamHierarchy = async (req, res) => {
   }
 };
 
+/**
+ * Get the players who joined (ins) and left (outs) a team, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTeamTransfers = async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id, req.user.ownerId);
+
+    if (!team) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Team not found.' 
+      });
+    }
+
+    const { ins, outs } = await PlayerTransfer.findByTeamId(team.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      data: {
+        team_id: team.id,
+        team_name: team.team_name,
+        ins,
+        outs
+      }
+    });
+  } catch (error) {
+    console.error('Get team transfers error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching team transfers.' 
+    });
+  }
+};
+
+/**
+ * Report which squad rules a team currently breaks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTeamCompliance = async (req, res) => {
+  try {
+    const compliance = await Team.getCompliance(req.params.id, req.user.ownerId);
+
+    if (!compliance) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Team not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: compliance
+    });
+  } catch (error) {
+    console.error('Get team compliance error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while checking squad rules.' 
+    });
+  }
+};
+
+/**
+ * Suggest free jersey numbers for a team (?preferred=7 ranks nearby numbers first, ?limit=10)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAvailableJerseys = async (req, res) => {
+  try {
+    const { preferred, limit } = req.query;
+    const preferredNumber = preferred === undefined ? null : Number(preferred);
+    const suggestionLimit = limit === undefined ? DEFAULT_JERSEY_SUGGESTIONS : Number(limit);
+
+    if (preferredNumber !== null && (!Number.isInteger(preferredNumber) || preferredNumber < 0 || preferredNumber > MAX_JERSEY_NUMBER)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Preferred jersey must be a whole number between 0 and ${MAX_JERSEY_NUMBER}.` 
+      });
+    }
+
+    if (!Number.isInteger(suggestionLimit) || suggestionLimit < 1 || suggestionLimit > MAX_JERSEY_SUGGESTIONS) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Limit must be a whole number between 1 and ${MAX_JERSEY_SUGGESTIONS}.` 
+      });
+    }
+
+    const team = await Team.findById(req.params.id, req.user.ownerId);
+
+    if (!team) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Team not found.' 
+      });
+    }
+
+    const taken = await Player.findTakenJerseys(team.id);
+
+    res.json({
+      success: true,
+      data: {
+        team_id: team.id,
+        team_name: team.team_name,
+        preferred: preferredNumber,
+        preferred_available: preferredNumber === null ? null : !taken.includes(preferredNumber),
+        taken,
+        suggestions: suggestJerseyNumbers(taken, { preferred: preferredNumber, limit: suggestionLimit })
+      }
+    });
+  } catch (error) {
+    console.error('Get available jerseys error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching available jerseys.' 
+    });
+  }
+};
+
+/**
+ * Download a printable roster PDF for a single team
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTeamRosterPdf = async (req, res) => {
+  try {
+    const teamHierarchy = await Team.getTeamHierarchy(req.params.id, req.user.ownerId);
+
+    if (!teamHierarchy) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Team not found.' 
+      });
+    }
+
+    const pdf = buildRosterPdf([teamHierarchy]);
+    sendPdf(res, pdf, `${toFileSlug(teamHierarchy.team_name)}-roster.pdf`);
+  } catch (error) {
+    console.error('Get team roster PDF error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while generating team roster.' 
+    });
+  }
+};
+
+/**
+ * Download a league-wide roster PDF (one page per team)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getLeagueRosterPdf = async (req, res) => {
+  try {
+    const teams = await Team.findAllByUserId(req.user.ownerId);
+    const hierarchies = await Promise.all(
+      teams.map(team => Team.getTeamHierarchy(team.id, req.user.ownerId))
+    );
+
+    const pdf = buildRosterPdf(hierarchies.filter(Boolean));
+    sendPdf(res, pdf, 'league-roster.pdf');
+  } catch (error) {
+    console.error('Get league roster PDF error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while generating league roster.' 
+    });
+  }
+};
+
 /**
  * Create a new team
  * @param {Object} req - Express request object
@@ -93,7 +500,7 @@ export const getTeamHierarchy = async (req, res) => {
  */
 export const createTeam = async (req, res) => {
   try {
-    const { team_name, team_logo, team_color, description } = req.body;
+    const { team_name, team_logo, team_color, description, purse_amount } = req.body;
 
     // Validate input
     if (!team_name) {
@@ -116,19 +523,27 @@ export const createTeam = async (req, res) => {
       });
     }
 
+    if (!isValidPurse(purse_amount)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Purse amount must be a whole number of 0 or more.' 
+      });
+    }
+
     // Create team
     const team = await Team.create(
       cleanTeamName, 
       cleanTeamLogo, 
       cleanTeamColor, 
       cleanDescription,
-      req.user.id
+      req.user.ownerId,
+      purse_amount
     );
 
     res.status(201).json({
       success: true,
       message: 'Team created successfully.',
-      data: team
+      data: withTeamImages(team)
     });
   } catch (error) {
     console.error('Create team error:', error);
@@ -146,7 +561,7 @@ export const createTeam = async (req, res) => {
  */
 export const updateTeam = async (req, res) => {
   try {
-    const { team_name, team_logo, team_color, description } = req.body;
+    const { team_name, team_logo, team_color, description, purse_amount } = req.body;
 
     // Validate input
     if (!team_name) {
@@ -169,6 +584,23 @@ export const updateTeam = async (req, res) => {
       });
     }
 
+    if (!isValidPurse(purse_amount)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Purse amount must be a whole number of 0 or more.' 
+      });
+    }
+
+    // A purse cannot drop below what the team has already spent
+    const currentTeam = await Team.findByIdWithPlayerCount(req.params.id, req.user.ownerId);
+    if (currentTeam && purse_amount !== undefined && purse_amount !== null
+      && purse_amount < currentTeam.total_spend) {
+      return res.status(409).json({ 
+        success: false, 
+        message: `Purse cannot be less than the ${currentTeam.total_spend} already spent.` 
+      });
+    }
+
     // Update team
     const success = await Team.update(
       req.params.id, 
@@ -176,7 +608,8 @@ export const updateTeam = async (req, res) => {
       cleanTeamLogo, 
       cleanTeamColor, 
       cleanDescription,
-      req.user.id
+      req.user.ownerId,
+      purse_amount
     );
 
     if (!success) {
@@ -187,12 +620,12 @@ export const updateTeam = async (req, res) => {
     }
 
     // Fetch updated team
-    const updatedTeam = await Team.findById(req.params.id, req.user.id);
+    const updatedTeam = await Team.findById(req.params.id, req.user.ownerId);
 
     res.json({
       success: true,
       message: 'Team updated successfully.',
-      data: updatedTeam
+      data: withTeamImages(updatedTeam)
     });
   } catch (error) {
     console.error('Update team error:', error);
@@ -204,31 +637,253 @@ export const updateTeam = async (req, res) => {
 };
 
 /**
- * Delete a team
+ * Upload a team logo image (multipart field "logo"); replaces any previous upload
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-export const deleteTeam = async (req, res) => {
+export const uploadTeamLogo = async (req, res) => {
   try {
-    const success = await Team.delete(req.params.id, req.user.id);
+    const team = await Team.findById(req.params.id, req.user.ownerId);
 
-    if (!success) {
+    if (!team) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Team not found or deletion failed.' 
+        message: 'Team not found.' 
       });
     }
 
+    const keys = await storeImage(req.file.buffer, `teams/${team.id}`);
+    const replaced = await Team.setLogo(team.id, req.user.ownerId, keys);
+
+    // The team was deleted while the image was being processed
+    if (!replaced) {
+      await removeFiles([keys.imageKey, keys.thumbKey]);
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Team not found.' 
+      });
+    }
+
+    await removeFiles([replaced.logo_key, replaced.logo_thumb_key]);
+
+    const updatedTeam = await Team.findById(team.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: 'Team logo uploaded successfully.',
+      data: withTeamImages(updatedTeam)
+    });
+  } catch (error) {
+    handleError(res, error, 'Upload team logo error', 'Server error while uploading team logo.');
+  }
+};
+
+/**
+ * Remove a team's uploaded logo (the emoji logo is used again)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const removeTeamLogo = async (req, res) => {
+  try {
+    const replaced = await Team.setLogo(req.params.id, req.user.ownerId);
+
+    if (!replaced) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Team not found.' 
+      });
+    }
+
+    await removeFiles([replaced.logo_key, replaced.logo_thumb_key]);
+
+    const updatedTeam = await Team.findById(req.params.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: 'Team logo removed.',
+      data: withTeamImages(updatedTeam)
+    });
+  } catch (error) {
+    console.error('Remove team logo error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while removing team logo.' 
+    });
+  }
+};
+
+/**
+ * List teams in the trash with the date each will be purged
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getDeletedTeams = async (req, res) => {
+  try {
+    const teams = await Team.findDeleted(req.user.ownerId);
+
     res.json({
       success: true,
-      message: 'Team and all associated players deleted successfully.'
+      count: teams.length,
+      data: teams.map(team => ({ ...team, purge_at: getPurgeDate(team.deleted_at) }))
     });
   } catch (error) {
-    console.error('Delete team error:', error);
+    console.error('Get deleted teams error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error while deleting team.' 
+      message: 'Server error while fetching deleted teams.' 
+    });
+  }
+};
+
+/**
+ * Restore a team from the trash and re-link the players released when it was deleted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const restoreTeam = async (req, res) => {
+  try {
+    const restored = await Team.restore(req.params.id, req.user.ownerId, { changedBy: req.user.id });
+
+    if (!restored) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Team not found in the trash.' 
+      });
+    }
+
+    const team = await Team.getTeamHierarchy(req.params.id, req.user.ownerId);
+
+    res.json({
+      success: true,
+      message: `Team restored with ${restored.restored.length} player(s) restored and ${restored.relinked.length} re-linked.`,
+      restored: restored.restored,
+      relinked: restored.relinked,
+      skipped: restored.skipped,
+      data: withTeamImages(team)
+    });
+  } catch (error) {
+    handleError(res, error, 'Restore team error', 'Server error while restoring team.');
+  }
+};
+
+/**
+ * Run a team deletion, or (for a preview) report what it would do without changing anything
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} dryRun - Report instead of deleting
+ */
+const runTeamDeletion = async (req, res, dryRun) => {
+  let client;
+  let rollbackError;
+
+  try {
+    const { options, error } = parseDeleteOptions(req.query, req.params.id);
+
+    if (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error 
+      });
+    }
+
+    const team = await Team.findById(req.params.id, req.user.ownerId);
+
+    if (!team) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Team not found.' 
+      });
+    }
+
+    let targetTeam = null;
+    if (options.mode === 'transfer') {
+      targetTeam = await Team.findById(options.targetTeamId, req.user.ownerId);
+
+      if (!targetTeam) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Target team not found.' 
+        });
+      }
+    }
+
+    if (!dryRun) {
+      client = await getClient();
+      await client.query('BEGIN');
+    }
+
+    const players = dryRun
+      ? await previewTeamDeletionResults(team, options, req.user)
+      : await applyTeamDeletion(client, team, options, req.user);
+    const failed = players.filter(player => player.status === 'failed').length;
+    const summary = { affected: players.length, failed };
+    const data = {
+      team: { id: team.id, team_name: team.team_name },
+      target_team: targetTeam && { id: targetTeam.id, team_name: targetTeam.team_name },
+      players
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dry_run: true,
+        mode: options.mode,
+        can_delete: failed === 0,
+        summary,
+        data
+      });
+    }
+
+    if (failed > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `${failed} player(s) cannot be transferred to ${targetTeam.team_name}. Nothing was changed.`,
+        mode: options.mode,
+        summary,
+        data
+      });
+    }
+
+    await client.query('COMMIT');
+
+    const messages = {
+      release: `Team moved to the trash; ${players.length} player(s) released to the global pool.`,
+      delete: `Team and ${players.length} player(s) moved to the trash.`,
+      transfer: `Team moved to the trash; ${players.length} player(s) transferred to ${targetTeam?.team_name}.`
+    };
+
+    res.json({
+      success: true,
+      message: messages[options.mode],
+      mode: options.mode,
+      summary,
+      data
     });
+  } catch (error) {
+    if (client) rollbackError = await rollbackQuietly(client);
+    handleError(res, error, 'Delete team error', 'Server error while deleting team.');
+  } finally {
+    if (client) client.release(rollbackError);
   }
 };
 
+/**
+ * Preview a team deletion: lists exactly which players would be released,
+ * deleted or transferred, and which transfers would fail
+ * Takes the same query parameters as deleteTeam.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const previewTeamDeletion = (req, res) => runTeamDeletion(req, res, true);
+
+/**
+ * Delete a team (moves it to the trash)
+ * Query: mode=release (default) returns its players to the global pool,
+ * mode=delete trashes them with the team, mode=transfer&target_team_id=
+ * moves them to another team (all or nothing).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteTeam = (req, res) => runTeamDeletion(req, res, false);
+
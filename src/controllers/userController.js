@@ -0,0 +1,452 @@
+/**
+ * User Controller
+ * Handles admin-only user account management
+ */
+
+import User, { USER_ROLES, LEAGUE_MEMBER_ROLES, MIN_PASSWORD_LENGTH } from '../models/User.js';
+import Team from '../models/Team.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+
+/**
+ * Validate a new password
+ * @param {*} password - Password from the request body
+ * @returns {string|null} Error message or null when valid
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+};
+
+/**
+ * Work out the league owner and managed team for a role
+ * Team managers and viewers belong to an organiser's (or admin's) league,
+ * defaulting to the acting admin; team managers also need a team in it.
+ * @param {string} role - Requested role
+ * @param {number|undefined} ownerId - Requested league owner
+ * @param {number|undefined} teamId - Requested managed team
+ * @param {number} adminId - ID of the acting admin
+ * @returns {Object} { ownerId, teamId } or { error }
+ */
+const resolveMembership = async (role, ownerId, teamId, adminId) => {
+  if (!USER_ROLES.includes(role)) {
+    return { error: `Role must be one of: ${USER_ROLES.join(', ')}.` };
+  }
+
+  if (!LEAGUE_MEMBER_ROLES.includes(role)) {
+    return { ownerId: null, teamId: null };
+  }
+
+  const owner = await User.findById(ownerId || adminId);
+  if (!owner || !['admin', 'organiser'].includes(owner.role)) {
+    return { error: 'owner_id must be an admin or organiser account.' };
+  }
+
+  if (role === 'viewer') {
+    return { ownerId: owner.id, teamId: null };
+  }
+
+  if (!teamId) {
+    return { error: 'team_id is required for team managers.' };
+  }
+
+  const team = await Team.findById(teamId, owner.id);
+  if (!team) {
+    return { error: 'team_id must be a team in the owner\'s league.' };
+  }
+
+  return { ownerId: owner.id, teamId: team.id };
+};
+
+/**
+ * Check whether changing a user would leave the league without an active admin
+ * @param {Object} user - User being disabled or deleted
+ * @returns {boolean} True if the user is the last active admin
+ */
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.is_active) return false;
+  return (await User.countActiveByRole('admin')) <= 1;
+};
+
+/**
+ * Get all users
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAllUsers = async (req, res) => {
+  try {
+    const users = await User.findAll();
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching users.' 
+    });
+  }
+};
+
+/**
+ * Get a single user by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getUserById = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching user.' 
+    });
+  }
+};
+
+/**
+ * Create a new user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createUser = async (req, res) => {
+  try {
+    const { username, password, role, owner_id, team_id } = req.body;
+
+    if (!username || username.trim().length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Username is required.' 
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: passwordError 
+      });
+    }
+
+    const cleanRole = role || 'organiser';
+    const membership = await resolveMembership(cleanRole, owner_id, team_id, req.user.id);
+    if (membership.error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: membership.error 
+      });
+    }
+
+    const cleanUsername = username.trim();
+    if (await User.findByUsername(cleanUsername)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Username is already taken.' 
+      });
+    }
+
+    const user = await User.create(cleanUsername, password, cleanRole, {
+      ownerId: membership.ownerId,
+      teamId: membership.teamId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully.',
+      data: user
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while creating user.' 
+    });
+  }
+};
+
+/**
+ * Change a user's role, league owner and managed team
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const setUserRole = async (req, res) => {
+  try {
+    const { role, owner_id, team_id } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found.' 
+      });
+    }
+
+    const membership = await resolveMembership(role, owner_id, team_id, req.user.id);
+    if (membership.error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: membership.error 
+      });
+    }
+
+    if (role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Cannot change the role of the last active admin.' 
+      });
+    }
+
+    await User.updateRole(user.id, role, membership.ownerId, membership.teamId);
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully.',
+      data: await User.findById(user.id)
+    });
+  } catch (error) {
+    console.error('Set user role error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while updating user role.' 
+    });
+  }
+};
+
+/**
+ * Enable or disable a user account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const setUserStatus = async (req, res) => {
+  try {
+    const { is_active } = req.body;
+
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'is_active must be true or false.' 
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found.' 
+      });
+    }
+
+    if (!is_active && user.id === req.user.id) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'You cannot disable your own account.' 
+      });
+    }
+
+    if (!is_active && await isLastActiveAdmin(user)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Cannot disable the last active admin.' 
+      });
+    }
+
+    await User.setActive(user.id, is_active);
+
+    if (!is_active) {
+      await Session.revokeAllForUser(user.id);
+    }
+
+    res.json({
+      success: true,
+      message: is_active ? 'User enabled successfully.' : 'User disabled successfully.',
+      data: await User.findById(user.id)
+    });
+  } catch (error) {
+    console.error('Set user status error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while updating user status.' 
+    });
+  }
+};
+
+/**
+ * Reset a user's password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const resetUserPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: passwordError 
+      });
+    }
+
+    // The user must pick their own password on next login
+    const success = await User.updatePassword(req.params.id, password, true);
+
+    if (!success) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found.' 
+      });
+    }
+
+    await Session.revokeAllForUser(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. The user must change it on next login.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while resetting password.' 
+    });
+  }
+};
+
+/**
+ * Delete a user and all of their teams and players
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'User not found.' 
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'You cannot delete your own account.' 
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Cannot delete the last active admin.' 
+      });
+    }
+
+    await User.delete(user.id);
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully.'
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while deleting user.' 
+    });
+  }
+};
+
+/**
+ * Get all active login lockouts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getLockouts = async (req, res) => {
+  try {
+    const lockouts = await LoginAttempt.findActiveLockouts();
+
+    res.json({
+      success: true,
+      count: lockouts.length,
+      data: lockouts
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching lockouts.' 
+    });
+  }
+};
+
+/**
+ * Clear a single login lockout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const clearLockout = async (req, res) => {
+  try {
+    const success = await LoginAttempt.clear(req.params.lockoutId);
+
+    if (!success) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Lockout not found.' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared successfully.'
+    });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while clearing lockout.' 
+    });
+  }
+};
+
+/**
+ * Clear every active login lockout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const clearAllLockouts = async (req, res) => {
+  try {
+    const cleared = await LoginAttempt.clearAllLockouts();
+
+    res.json({
+      success: true,
+      message: `${cleared} lockout(s) cleared.`
+    });
+  } catch (error) {
+    console.error('Clear lockouts error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while clearing lockouts.' 
+    });
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Trash Purge Job
+ * Permanently deletes teams and players that have been in the trash past the retention period
+ */
+
+import trashConfig from '../config/trash.js';
+import Player from '../models/Player.js';
+import Team from '../models/Team.js';
+import { removeFiles } from '../storage/index.js';
+
+/**
+ * Purge expired trash once, including uploaded logos and headshots
+ * @param {number} retentionDays - Days deleted items are kept
+ * @returns {Promise<Object>} Number of purged { teams, players }
+ */
+export const purgeExpiredTrash = async (retentionDays = trashConfig.retentionDays) => {
+  const players = await Player.purgeDeleted(retentionDays);
+  const teams = await Team.purgeDeleted(retentionDays);
+
+  await removeFiles([
+    ...players.flatMap(player => [player.photo_key, player.photo_thumb_key]),
+    ...teams.flatMap(team => [team.logo_key, team.logo_thumb_key])
+  ]);
+
+  return { teams: teams.length, players: players.length };
+};
+
+/**
+ * Run the purge now and then on a fixed interval
+ * The timer is unref'd so it never keeps the process alive on shutdown.
+ * @returns {Object} Interval timer
+ */
+export const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged.teams > 0 || purged.players > 0) {
+        console.log(`🗑️  Purged ${purged.teams} team(s) and ${purged.players} player(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, trashConfig.purgeIntervalHours * 60 * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
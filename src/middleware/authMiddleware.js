@@ -5,16 +5,18 @@
 
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
 
 dotenv.config();
 
 /**
- * Middleware to verify JWT token and authenticate user
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Build the token authentication middleware
+ * @param {Object} options - Middleware options
+ * @param {boolean} options.allowPendingPasswordChange - Let users who must rotate their password through
+ * @returns {Function} Express middleware
  */
-export const authenticateToken = (req, res, next) => {
+const createAuthenticator = ({ allowPendingPasswordChange = false } = {}) => async (req, res, next) => {
   // Get token from Authorization header
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Format: "Bearer TOKEN"
@@ -27,24 +29,79 @@ export const authenticateToken = (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Attach user info to request object
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    // Token is invalid or expired
+    return res.status(403).json({ 
+      success: false, 
+      message: 'Invalid or expired token.' 
+    });
+  }
+
+  try {
+    // Revoked sessions (logout, password change) stop working before the token expires
+    const isSessionActive = decoded.sid ? await Session.isActive(decoded.sid, decoded.id) : false;
+
+    // Re-read the account so disabled users and pending password changes apply immediately
+    const user = isSessionActive ? await User.findById(decoded.id) : null;
+
+    if (!user || !user.is_active) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Invalid or expired token.' 
+      });
+    }
+
+    if (user.must_change_password && !allowPendingPasswordChange) {
+      return res.status(403).json({ 
+        success: false, 
+        code: 'PASSWORD_CHANGE_REQUIRED',
+        message: 'You must change your password before continuing.' 
+      });
+    }
+
+    // Attach user info to request object. Role and league come from the
+    // database so changes apply before the token expires. ownerId is the
+    // account whose teams and players this user works on.
     req.user = {
-      id: decoded.id,
-      username: decoded.username
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      ownerId: user.owner_id ?? user.id,
+      teamId: user.team_id,
+      sessionId: decoded.sid
     };
     
     // Proceed to next middleware/route handler
     next();
   } catch (error) {
-    // Token is invalid or expired
-    return res.status(403).json({ 
+    console.error('Authentication error:', error);
+    res.status(500).json({ 
       success: false, 
-      message: 'Invalid or expired token.' 
+      message: 'Server error during authentication.' 
     });
   }
 };
 
+/**
+ * Middleware to verify JWT token and authenticate user
+ * Blocks users who still have to change their password.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const authenticateToken = createAuthenticator();
+
+/**
+ * Same as authenticateToken, but lets users with a pending password change through.
+ * Only for the routes they need to rotate it (change-password, verify, logout).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const authenticateTokenAllowingPasswordChange = createAuthenticator({
+  allowPendingPasswordChange: true
+});
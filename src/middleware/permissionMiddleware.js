@@ -0,0 +1,101 @@
+/**
+ * Permission Middleware
+ * Role-based access checks; must run after authenticateToken
+ */
+
+import Player from '../models/Player.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Send a 403 response
+ * @param {Object} res - Express response object
+ * @param {string} message - Reason shown to the client
+ */
+const forbid = (res, message = 'You do not have permission to perform this action.') => {
+  return res.status(403).json({ 
+    success: false, 
+    message 
+  });
+};
+
+/**
+ * Middleware factory allowing only the given roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return forbid(res);
+  }
+  next();
+};
+
+/**
+ * Middleware limiting viewers to read-only requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const denyViewerWrites = (req, res, next) => {
+  if (req.user.role === 'viewer' && !READ_METHODS.includes(req.method)) {
+    return forbid(res, 'Viewers have read-only access.');
+  }
+  next();
+};
+
+/**
+ * Middleware keeping team managers to their own team's roster
+ * Other roles pass straight through. A team manager may only target their own
+ * team in body.team_id, and may only touch a player (req.params.id) who is on
+ * their team, or a global player they are bringing into it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const restrictToManagedTeam = async (req, res, next) => {
+  if (req.user.role !== 'team_manager') return next();
+
+  const managedTeamId = req.user.teamId;
+  if (!managedTeamId) {
+    return forbid(res, 'No team is assigned to your account.');
+  }
+
+  const requestedTeamId = req.body && req.body.team_id ? Number(req.body.team_id) : null;
+  if (requestedTeamId !== null && requestedTeamId !== managedTeamId) {
+    return forbid(res, 'Team managers can only manage their own team.');
+  }
+
+  if (!req.params.id) {
+    // Creating a player: it has to join the manager's team
+    return requestedTeamId === managedTeamId
+      ? next()
+      : forbid(res, 'Team managers must add players to their own team.');
+  }
+
+  try {
+    const player = await Player.findTeamId(req.params.id, req.user.ownerId);
+
+    if (!player) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Player not found.' 
+      });
+    }
+
+    const isOwnPlayer = player.team_id === managedTeamId;
+    const isSigning = player.team_id === null && requestedTeamId === managedTeamId;
+
+    if (!isOwnPlayer && !isSigning) {
+      return forbid(res, 'Team managers can only manage players on their own team.');
+    }
+
+    next();
+  } catch (error) {
+    console.error('Roster permission error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during authorization.' 
+    });
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Upload Middleware
+ * Parses single-image multipart uploads into memory
+ */
+
+import multer from 'multer';
+import uploadConfig from '../config/uploads.js';
+import { IMAGE_TYPES } from '../utils/images.js';
+
+/**
+ * Middleware factory accepting one image in the given form field as req.file
+ * The declared type is checked here; the contents are checked again when the
+ * image is processed.
+ * @param {string} field - Multipart field name
+ * @returns {Function} Express middleware
+ */
+export const imageUpload = (field) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: uploadConfig.maxFileBytes, files: 1 },
+    fileFilter: (req, file, callback) => {
+      callback(null, Object.hasOwn(IMAGE_TYPES, file.mimetype));
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (!req.file) {
+          return res.status(400).json({ 
+            success: false, 
+            message: `Upload a JPEG, PNG or WebP image in the "${field}" field.` 
+          });
+        }
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ 
+          success: false, 
+          message: `Images cannot be larger than ${Math.floor(uploadConfig.maxFileBytes / 1024 / 1024 * 10) / 10} MB.` 
+        });
+      }
+
+      res.status(400).json({ 
+        success: false, 
+        message: error instanceof multer.MulterError ? `Upload error: ${error.message}.` : 'Could not read the upload.' 
+      });
+    });
+  };
+};
@@ -0,0 +1,84 @@
+/**
+ * Migration 001 - Initial schema
+ * Users, teams and players. Written with IF NOT EXISTS so databases created
+ * by the old boot-time initializer can adopt it; also applies the former
+ * migrate.js change that made team_id nullable for global players.
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // Create Users table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create Teams table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id SERIAL PRIMARY KEY,
+      team_name VARCHAR(255) NOT NULL,
+      team_logo VARCHAR(50),
+      team_color VARCHAR(7) DEFAULT '#0ea5e9',
+      description TEXT,
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create Players table (team_id is NULL for global players)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS players (
+      id SERIAL PRIMARY KEY,
+      player_name VARCHAR(255) NOT NULL,
+      position VARCHAR(100),
+      jersey_number INTEGER,
+      team_id INTEGER,
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Older databases had a NOT NULL team_id with ON DELETE CASCADE
+  await client.query(`
+    ALTER TABLE players ALTER COLUMN team_id DROP NOT NULL
+  `);
+  await client.query(`
+    ALTER TABLE players DROP CONSTRAINT IF EXISTS players_team_id_fkey
+  `);
+  await client.query(`
+    ALTER TABLE players
+    ADD CONSTRAINT players_team_id_fkey
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE SET NULL
+  `);
+
+  // Create indices for faster queries
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_players_user_id ON players(user_id)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_players_team_id ON players(team_id)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_teams_user_id ON teams(user_id)
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS players');
+  await client.query('DROP TABLE IF EXISTS teams');
+  await client.query('DROP TABLE IF EXISTS users');
+};
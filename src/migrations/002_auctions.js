@@ -0,0 +1,88 @@
+/**
+ * Migration 002 - Auctions
+ * Player base prices, auction sessions, lots and bid history
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // Base price used as the opening bid in auctions
+  await client.query(`
+    ALTER TABLE players ADD COLUMN IF NOT EXISTS base_price INTEGER NOT NULL DEFAULT 0
+  `);
+
+  // Create Auction Sessions table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS auction_sessions (
+      id SERIAL PRIMARY KEY,
+      session_name VARCHAR(255) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+      increment_rules JSONB NOT NULL,
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      closed_at TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create Auction Lots table (one player up for bidding)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS auction_lots (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'sold', 'unsold')),
+      base_price INTEGER NOT NULL DEFAULT 0,
+      sold_to_team_id INTEGER,
+      sold_price INTEGER,
+      opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      closed_at TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES auction_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
+      FOREIGN KEY (sold_to_team_id) REFERENCES teams(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create Auction Bids table (full bid history per lot)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS auction_bids (
+      id SERIAL PRIMARY KEY,
+      lot_id INTEGER NOT NULL,
+      team_id INTEGER,
+      amount INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (lot_id) REFERENCES auction_lots(id) ON DELETE CASCADE,
+      FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE SET NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_auction_sessions_user_id ON auction_sessions(user_id)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_auction_lots_session_id ON auction_lots(session_id)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_auction_bids_lot_id ON auction_bids(lot_id)
+  `);
+
+  // Only one lot per session can be under the hammer at a time
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_auction_lots_one_open
+    ON auction_lots(session_id) WHERE status = 'open'
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS auction_bids');
+  await client.query('DROP TABLE IF EXISTS auction_lots');
+  await client.query('DROP TABLE IF EXISTS auction_sessions');
+  await client.query('ALTER TABLE players DROP COLUMN IF EXISTS base_price');
+};
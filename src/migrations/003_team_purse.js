@@ -0,0 +1,27 @@
+/**
+ * Migration 003 - Team purse
+ * Team budgets and the price paid for each player
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // Price paid when a player joins a team (counts against the team purse)
+  await client.query(`
+    ALTER TABLE players ADD COLUMN IF NOT EXISTS sold_price INTEGER
+  `);
+
+  // Team budget; NULL means the team has no spending limit
+  await client.query(`
+    ALTER TABLE teams ADD COLUMN IF NOT EXISTS purse_amount INTEGER
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('ALTER TABLE teams DROP COLUMN IF EXISTS purse_amount');
+  await client.query('ALTER TABLE players DROP COLUMN IF EXISTS sold_price');
+};
@@ -0,0 +1,67 @@
+/**
+ * Migration 004 - User accounts
+ * Roles, enable/disable, forced password changes and league membership
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // Account role and enable/disable flag
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'organiser'
+  `);
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE
+  `);
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  `);
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE
+  `);
+
+  // Accounts from before the organiser/manager/viewer split keep full access to their data
+  await client.query(`
+    UPDATE users SET role = 'organiser' WHERE role = 'user'
+  `);
+  await client.query(`
+    ALTER TABLE users ALTER COLUMN role SET DEFAULT 'organiser'
+  `);
+  await client.query(`
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check
+  `);
+  await client.query(`
+    ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('admin', 'organiser', 'team_manager', 'viewer'))
+  `);
+
+  // Databases created before roles existed: the original account becomes admin
+  await client.query(`
+    UPDATE users SET role = 'admin'
+    WHERE id = (SELECT MIN(id) FROM users)
+      AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+  `);
+
+  // Team managers and viewers work inside an organiser's league (owner_id);
+  // team managers are tied to the one team whose roster they may edit
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE
+  `);
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS team_id');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS owner_id');
+  await client.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS must_change_password');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS updated_at');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS is_active');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS role');
+};
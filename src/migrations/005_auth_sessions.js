@@ -0,0 +1,51 @@
+/**
+ * Migration 005 - Auth sessions
+ * Revocable login sessions and rotating refresh tokens
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // Create Auth Sessions table (one per login; revoked on logout)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create Refresh Tokens table (hashed, single use, rotated on every refresh)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES auth_sessions(id) ON DELETE CASCADE
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id)
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS refresh_tokens');
+  await client.query('DROP TABLE IF EXISTS auth_sessions');
+};
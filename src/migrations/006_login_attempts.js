@@ -0,0 +1,28 @@
+/**
+ * Migration 006 - Login attempts
+ * Failed-login counters and lockouts per username and per IP
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id SERIAL PRIMARY KEY,
+      key_type VARCHAR(10) NOT NULL CHECK (key_type IN ('username', 'ip')),
+      key_value VARCHAR(255) NOT NULL,
+      failed_count INTEGER NOT NULL DEFAULT 0,
+      last_failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      locked_until TIMESTAMP,
+      UNIQUE (key_type, key_value)
+    )
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS login_attempts');
+};
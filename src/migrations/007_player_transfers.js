@@ -0,0 +1,48 @@
+/**
+ * Migration 007 - Player transfers
+ * Audit trail of every team change (signings, releases and moves)
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // Team names are copied so the history still reads after a team is deleted
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS player_transfers (
+      id SERIAL PRIMARY KEY,
+      player_id INTEGER NOT NULL,
+      from_team_id INTEGER,
+      from_team_name VARCHAR(255),
+      to_team_id INTEGER,
+      to_team_name VARCHAR(255),
+      sold_price INTEGER,
+      reason TEXT,
+      changed_by INTEGER,
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
+      FOREIGN KEY (from_team_id) REFERENCES teams(id) ON DELETE SET NULL,
+      FOREIGN KEY (to_team_id) REFERENCES teams(id) ON DELETE SET NULL,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_player_transfers_player_id ON player_transfers(player_id)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_player_transfers_from_team_id ON player_transfers(from_team_id)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_player_transfers_to_team_id ON player_transfers(to_team_id)
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS player_transfers');
+};
@@ -0,0 +1,66 @@
+/**
+ * Migration 008 - Unique team jerseys
+ * One player per jersey number within a team
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // Existing clashes keep the number on the player who joined first; the
+  // others lose it and can pick a free one later. The cleared numbers are kept
+  // so they can be reviewed, and so down can give them back.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS cleared_team_jerseys (
+      player_id INTEGER PRIMARY KEY,
+      team_id INTEGER NOT NULL,
+      jersey_number INTEGER NOT NULL,
+      cleared_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+    )
+  `);
+
+  const cleared = await client.query(`
+    INSERT INTO cleared_team_jerseys (player_id, team_id, jersey_number)
+    SELECT id, team_id, jersey_number FROM (
+      SELECT id, team_id, jersey_number,
+        ROW_NUMBER() OVER (PARTITION BY team_id, jersey_number ORDER BY id) as jersey_rank
+      FROM players
+      WHERE team_id IS NOT NULL AND jersey_number IS NOT NULL
+    ) numbered
+    WHERE jersey_rank > 1
+    ON CONFLICT (player_id) DO NOTHING
+    RETURNING player_id, team_id, jersey_number
+  `);
+
+  await client.query(`
+    UPDATE players p SET jersey_number = NULL, updated_at = CURRENT_TIMESTAMP
+    FROM cleared_team_jerseys c
+    WHERE p.id = c.player_id AND p.team_id = c.team_id AND p.jersey_number = c.jersey_number
+  `);
+
+  for (const row of cleared.rows) {
+    console.log(`⚠️  Cleared jersey ${row.jersey_number} of player ${row.player_id} (clash in team ${row.team_id})`);
+  }
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_players_team_jersey
+    ON players(team_id, jersey_number)
+    WHERE team_id IS NOT NULL AND jersey_number IS NOT NULL
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_players_team_jersey');
+
+  // Give cleared numbers back to players still in that team without a number
+  await client.query(`
+    UPDATE players p SET jersey_number = c.jersey_number, updated_at = CURRENT_TIMESTAMP
+    FROM cleared_team_jerseys c
+    WHERE p.id = c.player_id AND p.team_id = c.team_id AND p.jersey_number IS NULL
+  `);
+  await client.query('DROP TABLE IF EXISTS cleared_team_jerseys');
+};
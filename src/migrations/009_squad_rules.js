@@ -0,0 +1,31 @@
+/**
+ * Migration 009 - Squad rules
+ * Per-league squad size limits and position quotas
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // One row per league owner; NULL limits are not enforced.
+  // position_quotas is a list of { position, min, max }.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS squad_rules (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL UNIQUE,
+      min_squad_size INTEGER,
+      max_squad_size INTEGER,
+      position_quotas JSONB NOT NULL DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS squad_rules');
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 010 - Fuzzy search
+ * Trigram matching for typo-tolerant player search
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // pg_trgm is a trusted extension, so the database owner can create it
+  await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+  // Search finds its candidates through these (word-similarity and ILIKE hits) instead of
+  // scoring every player; the club index is added with the column in migration 012
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_players_player_name_trgm ON players USING GIN (player_name gin_trgm_ops)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_players_position_trgm ON players USING GIN (position gin_trgm_ops)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_teams_team_name_trgm ON teams USING GIN (team_name gin_trgm_ops)
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_teams_team_name_trgm');
+  await client.query('DROP INDEX IF EXISTS idx_players_position_trgm');
+  await client.query('DROP INDEX IF EXISTS idx_players_player_name_trgm');
+  await client.query('DROP EXTENSION IF EXISTS pg_trgm');
+};
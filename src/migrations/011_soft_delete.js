@@ -0,0 +1,60 @@
+/**
+ * Migration 011 - Soft delete
+ * Trash for teams and players (deleted_at) and the link used to restore a team's players
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE teams ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP
+  `);
+  await client.query(`
+    ALTER TABLE players ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP
+  `);
+
+  // Team a player was released from when that team went to the trash
+  await client.query(`
+    ALTER TABLE players ADD COLUMN IF NOT EXISTS released_from_team_id INTEGER
+    REFERENCES teams(id) ON DELETE SET NULL
+  `);
+
+  // Deleted players keep their team so a restore can put them back,
+  // but they no longer hold on to their jersey number
+  await client.query('DROP INDEX IF EXISTS idx_players_team_jersey');
+  await client.query(`
+    CREATE UNIQUE INDEX idx_players_team_jersey
+    ON players(team_id, jersey_number)
+    WHERE team_id IS NOT NULL AND jersey_number IS NOT NULL AND deleted_at IS NULL
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_teams_deleted_at ON teams(deleted_at) WHERE deleted_at IS NOT NULL
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_players_deleted_at ON players(deleted_at) WHERE deleted_at IS NOT NULL
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  // Without deleted_at, trashed rows would come back to life, so remove them for good
+  await client.query('DELETE FROM players WHERE deleted_at IS NOT NULL');
+  await client.query('DELETE FROM teams WHERE deleted_at IS NOT NULL');
+
+  await client.query('DROP INDEX IF EXISTS idx_players_deleted_at');
+  await client.query('DROP INDEX IF EXISTS idx_teams_deleted_at');
+  await client.query('DROP INDEX IF EXISTS idx_players_team_jersey');
+  await client.query(`
+    CREATE UNIQUE INDEX idx_players_team_jersey
+    ON players(team_id, jersey_number)
+    WHERE team_id IS NOT NULL AND jersey_number IS NOT NULL
+  `);
+
+  await client.query('ALTER TABLE players DROP COLUMN IF EXISTS released_from_team_id');
+  await client.query('ALTER TABLE players DROP COLUMN IF EXISTS deleted_at');
+  await client.query('ALTER TABLE teams DROP COLUMN IF EXISTS deleted_at');
+};
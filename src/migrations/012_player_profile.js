@@ -0,0 +1,50 @@
+/**
+ * Migration 012 - Player profile
+ * Cricket profile details kept for each player (allowed values are checked in the API)
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE players
+      ADD COLUMN IF NOT EXISTS date_of_birth DATE,
+      ADD COLUMN IF NOT EXISTS playing_role VARCHAR(30),
+      ADD COLUMN IF NOT EXISTS batting_hand VARCHAR(10),
+      ADD COLUMN IF NOT EXISTS bowling_style VARCHAR(30),
+      ADD COLUMN IF NOT EXISTS phone VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS email VARCHAR(254),
+      ADD COLUMN IF NOT EXISTS club VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS is_overseas BOOLEAN NOT NULL DEFAULT FALSE
+  `);
+
+  // Role is a list filter
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_players_playing_role ON players(user_id, playing_role)
+  `);
+
+  // Club is a search field (pg_trgm comes from migration 010)
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_players_club_trgm ON players USING GIN (club gin_trgm_ops)
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_players_club_trgm');
+  await client.query('DROP INDEX IF EXISTS idx_players_playing_role');
+  await client.query(`
+    ALTER TABLE players
+      DROP COLUMN IF EXISTS is_overseas,
+      DROP COLUMN IF EXISTS club,
+      DROP COLUMN IF EXISTS email,
+      DROP COLUMN IF EXISTS phone,
+      DROP COLUMN IF EXISTS bowling_style,
+      DROP COLUMN IF EXISTS batting_hand,
+      DROP COLUMN IF EXISTS playing_role,
+      DROP COLUMN IF EXISTS date_of_birth
+  `);
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration 013 - Images
+ * Storage keys for uploaded team logos and player headshots (files live in src/storage)
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // The emoji in team_logo stays as the fallback when no image is uploaded
+  await client.query(`
+    ALTER TABLE teams
+      ADD COLUMN IF NOT EXISTS logo_key VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS logo_thumb_key VARCHAR(255)
+  `);
+
+  await client.query(`
+    ALTER TABLE players
+      ADD COLUMN IF NOT EXISTS photo_key VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS photo_thumb_key VARCHAR(255)
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('ALTER TABLE players DROP COLUMN IF EXISTS photo_thumb_key, DROP COLUMN IF EXISTS photo_key');
+  await client.query('ALTER TABLE teams DROP COLUMN IF EXISTS logo_thumb_key, DROP COLUMN IF EXISTS logo_key');
+};
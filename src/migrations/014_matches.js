@@ -0,0 +1,50 @@
+/**
+ * Migration 014 - Matches
+ * Fixtures between two teams with date/time, venue, overs format and status
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // round is set for generated round-robin fixtures and NULL for one-off matches
+  // Team keys block deletes instead of cascading, so purging a trashed team never erases
+  // results. The check is deferred to commit so removing a league owner can still cascade
+  // through teams, matches and scorecards in one statement.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS matches (
+      id SERIAL PRIMARY KEY,
+      home_team_id INTEGER NOT NULL,
+      away_team_id INTEGER NOT NULL,
+      scheduled_at TIMESTAMPTZ,
+      venue VARCHAR(255),
+      overs INTEGER NOT NULL CHECK (overs > 0),
+      status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'live', 'completed', 'abandoned')),
+      round INTEGER,
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (home_team_id <> away_team_id),
+      FOREIGN KEY (home_team_id) REFERENCES teams(id) ON DELETE NO ACTION DEFERRABLE INITIALLY DEFERRED,
+      FOREIGN KEY (away_team_id) REFERENCES teams(id) ON DELETE NO ACTION DEFERRABLE INITIALLY DEFERRED,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_matches_user_scheduled_at ON matches(user_id, scheduled_at)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_matches_home_team_id ON matches(home_team_id)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_matches_away_team_id ON matches(away_team_id)
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS matches');
+};
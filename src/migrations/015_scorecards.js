@@ -0,0 +1,85 @@
+/**
+ * Migration 015 - Scorecards
+ * Innings totals plus batting and bowling figures per player
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS innings (
+      id SERIAL PRIMARY KEY,
+      match_id INTEGER NOT NULL,
+      innings_number INTEGER NOT NULL CHECK (innings_number BETWEEN 1 AND 4),
+      batting_team_id INTEGER NOT NULL,
+      bowling_team_id INTEGER NOT NULL,
+      extras INTEGER NOT NULL DEFAULT 0 CHECK (extras >= 0),
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (match_id, innings_number),
+      FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE,
+      FOREIGN KEY (batting_team_id) REFERENCES teams(id) ON DELETE NO ACTION DEFERRABLE INITIALLY DEFERRED,
+      FOREIGN KEY (bowling_team_id) REFERENCES teams(id) ON DELETE NO ACTION DEFERRABLE INITIALLY DEFERRED,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  // team_id is the side the player batted for, kept even if they move teams later.
+  // Player and team keys never cascade (see 014): the trash purge skips anyone with scorecard lines.
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS batting_entries (
+      id SERIAL PRIMARY KEY,
+      innings_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      team_id INTEGER NOT NULL,
+      batting_position INTEGER NOT NULL,
+      runs INTEGER NOT NULL DEFAULT 0 CHECK (runs >= 0),
+      balls INTEGER NOT NULL DEFAULT 0 CHECK (balls >= 0),
+      fours INTEGER NOT NULL DEFAULT 0 CHECK (fours >= 0),
+      sixes INTEGER NOT NULL DEFAULT 0 CHECK (sixes >= 0),
+      dismissal VARCHAR(20) NOT NULL,
+      bowler_id INTEGER,
+      UNIQUE (innings_id, player_id),
+      FOREIGN KEY (innings_id) REFERENCES innings(id) ON DELETE CASCADE,
+      FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE NO ACTION DEFERRABLE INITIALLY DEFERRED,
+      FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE NO ACTION DEFERRABLE INITIALLY DEFERRED,
+      FOREIGN KEY (bowler_id) REFERENCES players(id) ON DELETE NO ACTION DEFERRABLE INITIALLY DEFERRED
+    )
+  `);
+
+  // Overs are stored as legal balls bowled (3.4 overs = 22 balls)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS bowling_entries (
+      id SERIAL PRIMARY KEY,
+      innings_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      team_id INTEGER NOT NULL,
+      balls INTEGER NOT NULL DEFAULT 0 CHECK (balls >= 0),
+      maidens INTEGER NOT NULL DEFAULT 0 CHECK (maidens >= 0),
+      runs INTEGER NOT NULL DEFAULT 0 CHECK (runs >= 0),
+      wickets INTEGER NOT NULL DEFAULT 0 CHECK (wickets BETWEEN 0 AND 10),
+      UNIQUE (innings_id, player_id),
+      FOREIGN KEY (innings_id) REFERENCES innings(id) ON DELETE CASCADE,
+      FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE NO ACTION DEFERRABLE INITIALLY DEFERRED,
+      FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE NO ACTION DEFERRABLE INITIALLY DEFERRED
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_batting_entries_player_id ON batting_entries(player_id)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_bowling_entries_player_id ON bowling_entries(player_id)
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS bowling_entries');
+  await client.query('DROP TABLE IF EXISTS batting_entries');
+  await client.query('DROP TABLE IF EXISTS innings');
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration 016 - Standings rules
+ * Per-league points and tie-break order for the points table
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  // One row per league owner; tie_breakers is an ordered list of rule names
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS standings_rules (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL UNIQUE,
+      points_for_win INTEGER NOT NULL CHECK (points_for_win >= 0),
+      points_for_tie INTEGER NOT NULL CHECK (points_for_tie >= 0),
+      points_for_no_result INTEGER NOT NULL CHECK (points_for_no_result >= 0),
+      tie_breakers JSONB NOT NULL DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS standings_rules');
+};
@@ -0,0 +1,105 @@
+/**
+ * Migration 017 - Seasons
+ * Teams belong to a season; squads of seasons other than the active one are
+ * kept in squad_memberships, while players.team_id holds the active squads
+ */
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS seasons (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      start_date DATE,
+      end_date DATE,
+      is_active BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      CHECK (start_date IS NULL OR end_date IS NULL OR end_date >= start_date)
+    )
+  `);
+
+  // One active season per league, and no two seasons with the same name
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_one_active ON seasons(user_id) WHERE is_active
+  `);
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_user_name ON seasons(user_id, LOWER(name))
+  `);
+
+  // Every league owner (and anyone who still owns teams) starts with a season
+  // named after the current year; new owners get theirs when the account is created
+  await client.query(`
+    INSERT INTO seasons (user_id, name, is_active)
+    SELECT id, EXTRACT(YEAR FROM CURRENT_DATE)::text, TRUE FROM users WHERE owner_id IS NULL
+    UNION
+    SELECT DISTINCT user_id, EXTRACT(YEAR FROM CURRENT_DATE)::text, TRUE FROM teams
+  `);
+
+  // source_team_id links a cloned team to the team it was copied from
+  await client.query(`
+    ALTER TABLE teams
+      ADD COLUMN IF NOT EXISTS season_id INTEGER REFERENCES seasons(id) ON DELETE CASCADE,
+      ADD COLUMN IF NOT EXISTS source_team_id INTEGER REFERENCES teams(id) ON DELETE SET NULL
+  `);
+  await client.query(`
+    UPDATE teams t SET season_id = s.id
+    FROM seasons s
+    WHERE s.user_id = t.user_id AND s.is_active AND t.season_id IS NULL
+  `);
+  await client.query('ALTER TABLE teams ALTER COLUMN season_id SET NOT NULL');
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_teams_season_id ON teams(season_id)
+  `);
+
+  // A row is either a squad place (team_id) or a release from a trashed team
+  // (released_from_team_id), kept so restoring the team can bring the player back
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS squad_memberships (
+      id SERIAL PRIMARY KEY,
+      season_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      team_id INTEGER,
+      released_from_team_id INTEGER,
+      jersey_number INTEGER,
+      sold_price INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (season_id) REFERENCES seasons(id) ON DELETE CASCADE,
+      FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
+      FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+      FOREIGN KEY (released_from_team_id) REFERENCES teams(id) ON DELETE CASCADE,
+      CHECK ((team_id IS NULL) <> (released_from_team_id IS NULL)),
+      UNIQUE (season_id, player_id)
+    )
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_squad_memberships_team_id ON squad_memberships(team_id)
+  `);
+
+  // Every squad place in every season, whichever table holds it
+  await client.query(`
+    CREATE OR REPLACE VIEW squad_members AS
+    SELECT p.id, p.team_id, p.jersey_number, p.sold_price, p.deleted_at
+    FROM players p
+    WHERE p.team_id IS NOT NULL
+    UNION ALL
+    SELECT m.player_id, m.team_id, m.jersey_number, m.sold_price, p.deleted_at
+    FROM squad_memberships m
+    JOIN players p ON m.player_id = p.id
+    WHERE m.team_id IS NOT NULL
+  `);
+};
+
+/**
+ * @param {Object} client - Transaction client
+ */
+export const down = async (client) => {
+  await client.query('DROP VIEW IF EXISTS squad_members');
+  await client.query('DROP TABLE IF EXISTS squad_memberships');
+  await client.query('ALTER TABLE teams DROP COLUMN IF EXISTS source_team_id, DROP COLUMN IF EXISTS season_id');
+  await client.query('DROP TABLE IF EXISTS seasons');
+};
@@ -0,0 +1,512 @@
+/**
+ * Auction Model - PostgreSQL
+ * Handles auction sessions, lots and bids
+ */
+
+import { query, getClient, rollbackQuietly } from '../config/database.js';
+import Player from './Player.js';
+import Team from './Team.js';
+import HttpError from '../utils/httpError.js';
+
+// Bids below 'from' the first tier use that tier's increment
+export const DEFAULT_INCREMENT_RULES = [{ from: 0, increment: 1 }];
+
+/**
+ * Get the minimum raise required over the current highest bid
+ * Rules are tiers sorted by 'from'; the last tier whose 'from' is <= the
+ * current amount applies.
+ * @param {Array} rules - Increment rules ({ from, increment })
+ * @param {number} currentAmount - Current highest bid
+ * @returns {number} Minimum increment
+ */
+export const getMinimumIncrement = (rules, currentAmount) => {
+  const sorted = [...rules].sort((a, b) => a.from - b.from);
+  let increment = sorted[0].increment;
+
+  sorted.forEach(rule => {
+    if (currentAmount >= rule.from) increment = rule.increment;
+  });
+
+  return increment;
+};
+
+/**
+ * Run a function inside a transaction on a dedicated client
+ * @param {Function} work - async (client) => result
+ * @returns {Promise<*>} Result of work
+ */
+const withTransaction = async (work) => {
+  const client = await getClient();
+  let rollbackError;
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    rollbackError = await rollbackQuietly(client);
+    throw error;
+  } finally {
+    client.release(rollbackError);
+  }
+};
+
+/**
+ * Lock a lot row and check that it is still open for bidding
+ * @param {Object} client - Transaction client
+ * @param {number} lotId - Lot ID
+ * @param {number} sessionId - Session ID
+ * @param {number} userId - User ID (for authorization)
+ * @returns {Object} Locked lot with session increment rules and the player's name, position and jersey
+ */
+const lockOpenLot = async (client, lotId, sessionId, userId) => {
+  const result = await client.query(`
+    SELECT l.*, s.increment_rules, s.status as session_status, p.player_name, p.position, p.jersey_number
+    FROM auction_lots l
+    JOIN auction_sessions s ON l.session_id = s.id
+    JOIN players p ON l.player_id = p.id
+    WHERE l.id = $1 AND l.session_id = $2 AND s.user_id = $3
+    FOR UPDATE OF l
+  `, [lotId, sessionId, userId]);
+
+  const lot = result.rows[0];
+
+  if (!lot) {
+    throw new HttpError(404, 'Lot not found.');
+  }
+  if (lot.status !== 'open') {
+    throw new HttpError(409, `Lot is already ${lot.status}.`);
+  }
+
+  return lot;
+};
+
+/**
+ * Get the highest bid on a lot
+ * @param {Object} client - Query executor
+ * @param {number} lotId - Lot ID
+ * @returns {Object|null} Highest bid or null
+ */
+const findHighestBid = async (client, lotId) => {
+  const result = await client.query(
+    'SELECT * FROM auction_bids WHERE lot_id = $1 ORDER BY amount DESC, created_at ASC LIMIT 1',
+    [lotId]
+  );
+  return result.rows[0] || null;
+};
+
+class Auction {
+  /**
+   * Create a new auction session
+   * @param {string} sessionName - Session name
+   * @param {Array} incrementRules - Bid increment tiers ({ from, increment })
+   * @param {number} userId - ID of the user running the auction
+   * @returns {Object} Created session
+   */
+  static async createSession(sessionName, incrementRules, userId) {
+    const result = await query(
+      'INSERT INTO auction_sessions (session_name, increment_rules, user_id) VALUES ($1, $2, $3) RETURNING *',
+      [sessionName, JSON.stringify(incrementRules), userId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get all auction sessions for a user with lot counts
+   * @param {number} userId - User ID
+   * @returns {Array} Array of sessions
+   */
+  static async findAllByUserId(userId) {
+    const result = await query(`
+      SELECT
+        s.*,
+        COUNT(l.id) as lot_count,
+        COUNT(l.id) FILTER (WHERE l.status = 'sold') as sold_count,
+        COUNT(l.id) FILTER (WHERE l.status = 'unsold') as unsold_count
+      FROM auction_sessions s
+      LEFT JOIN auction_lots l ON l.session_id = s.id
+      WHERE s.user_id = $1
+      GROUP BY s.id
+      ORDER BY s.created_at DESC
+    `, [userId]);
+
+    return result.rows.map(row => ({
+      ...row,
+      lot_count: parseInt(row.lot_count),
+      sold_count: parseInt(row.sold_count),
+      unsold_count: parseInt(row.unsold_count)
+    }));
+  }
+
+  /**
+   * Get a session with all of its lots
+   * @param {number} id - Session ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object|null} Session with lots array
+   */
+  static async findById(id, userId) {
+    const sessionResult = await query(
+      'SELECT * FROM auction_sessions WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    const session = sessionResult.rows[0];
+    if (!session) return null;
+
+    const lotsResult = await query(`
+      SELECT
+        l.*,
+        p.player_name,
+        p.position,
+        t.team_name as sold_to_team_name,
+        COUNT(b.id) as bid_count,
+        MAX(b.amount) as highest_bid
+      FROM auction_lots l
+      JOIN players p ON l.player_id = p.id
+      LEFT JOIN teams t ON l.sold_to_team_id = t.id
+      LEFT JOIN auction_bids b ON b.lot_id = l.id
+      WHERE l.session_id = $1
+      GROUP BY l.id, p.id, t.id
+      ORDER BY l.opened_at ASC
+    `, [id]);
+
+    const lots = lotsResult.rows.map(row => ({
+      ...row,
+      bid_count: parseInt(row.bid_count),
+      highest_bid: row.highest_bid === null ? null : parseInt(row.highest_bid)
+    }));
+
+    return {
+      ...session,
+      current_lot: lots.find(lot => lot.status === 'open') || null,
+      lots
+    };
+  }
+
+  /**
+   * Close an auction session
+   * @param {number} id - Session ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object} Closed session
+   */
+  static async closeSession(id, userId) {
+    return withTransaction(async (client) => {
+      const sessionResult = await client.query(
+        'SELECT * FROM auction_sessions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [id, userId]
+      );
+      const session = sessionResult.rows[0];
+
+      if (!session) {
+        throw new HttpError(404, 'Auction session not found.');
+      }
+      if (session.status === 'closed') {
+        throw new HttpError(409, 'Auction session is already closed.');
+      }
+
+      const openLot = await client.query(
+        "SELECT id FROM auction_lots WHERE session_id = $1 AND status = 'open'",
+        [id]
+      );
+      if (openLot.rows.length > 0) {
+        throw new HttpError(409, 'Sell or pass the current lot before closing the session.');
+      }
+
+      const result = await client.query(
+        "UPDATE auction_sessions SET status = 'closed', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+        [id]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Put a global player up for auction
+   * When no player is given, the next global player who has not been sold or
+   * passed in this session is chosen (highest base price first).
+   * @param {number} sessionId - Session ID
+   * @param {number|null} playerId - Player ID, or null to pick the next one
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object} Opened lot
+   */
+  static async openLot(sessionId, playerId, userId) {
+    return withTransaction(async (client) => {
+      const sessionResult = await client.query(
+        'SELECT * FROM auction_sessions WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [sessionId, userId]
+      );
+      const session = sessionResult.rows[0];
+
+      if (!session) {
+        throw new HttpError(404, 'Auction session not found.');
+      }
+      if (session.status !== 'open') {
+        throw new HttpError(409, 'Auction session is closed.');
+      }
+
+      const openLot = await client.query(
+        "SELECT id FROM auction_lots WHERE session_id = $1 AND status = 'open'",
+        [sessionId]
+      );
+      if (openLot.rows.length > 0) {
+        throw new HttpError(409, 'Another lot is already under the hammer.', { lot_id: openLot.rows[0].id });
+      }
+
+      let player;
+      if (playerId) {
+        const playerResult = await client.query(
+          'SELECT * FROM players WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+          [playerId, userId]
+        );
+        player = playerResult.rows[0];
+
+        if (!player) {
+          throw new HttpError(404, 'Player not found.');
+        }
+        if (player.team_id !== null) {
+          throw new HttpError(409, 'Only global (unassigned) players can be auctioned.');
+        }
+      } else {
+        const nextResult = await client.query(`
+          SELECT p.*
+          FROM players p
+          WHERE p.user_id = $1 AND p.team_id IS NULL AND p.deleted_at IS NULL
+            AND NOT EXISTS (
+              SELECT 1 FROM auction_lots l WHERE l.player_id = p.id AND l.session_id = $2
+            )
+          ORDER BY p.base_price DESC, p.player_name ASC
+          LIMIT 1
+          FOR UPDATE OF p
+        `, [userId, sessionId]);
+        player = nextResult.rows[0];
+
+        if (!player) {
+          throw new HttpError(409, 'No global players left to auction in this session.');
+        }
+      }
+
+      const result = await client.query(
+        'INSERT INTO auction_lots (session_id, player_id, base_price) VALUES ($1, $2, $3) RETURNING *',
+        [sessionId, player.id, player.base_price]
+      );
+
+      return {
+        ...result.rows[0],
+        player_name: player.player_name,
+        position: player.position
+      };
+    });
+  }
+
+  /**
+   * Get a lot with its full bid history
+   * @param {number} lotId - Lot ID
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object|null} Lot with bids array (newest first)
+   */
+  static async findLotById(lotId, sessionId, userId) {
+    const lotResult = await query(`
+      SELECT
+        l.*,
+        p.player_name,
+        p.position,
+        t.team_name as sold_to_team_name,
+        s.increment_rules
+      FROM auction_lots l
+      JOIN auction_sessions s ON l.session_id = s.id
+      JOIN players p ON l.player_id = p.id
+      LEFT JOIN teams t ON l.sold_to_team_id = t.id
+      WHERE l.id = $1 AND l.session_id = $2 AND s.user_id = $3
+    `, [lotId, sessionId, userId]);
+    const lot = lotResult.rows[0];
+    if (!lot) return null;
+
+    const bidsResult = await query(`
+      SELECT b.id, b.team_id, t.team_name, b.amount, b.created_at
+      FROM auction_bids b
+      LEFT JOIN teams t ON b.team_id = t.id
+      WHERE b.lot_id = $1
+      ORDER BY b.amount DESC, b.created_at DESC
+    `, [lotId]);
+
+    const { increment_rules: incrementRules, ...lotFields } = lot;
+    const highestBid = bidsResult.rows[0] || null;
+
+    return {
+      ...lotFields,
+      highest_bid: highestBid,
+      next_minimum_bid: lot.status !== 'open'
+        ? null
+        : highestBid
+          ? highestBid.amount + getMinimumIncrement(incrementRules, highestBid.amount)
+          : lot.base_price,
+      bids: bidsResult.rows
+    };
+  }
+
+  /**
+   * Record a bid on an open lot
+   * The first bid must meet the base price; later bids must beat the current
+   * highest bid by the session's increment. A team cannot raise its own bid, and
+   * can only bid for a player it could sign (budget and squad rules).
+   * @param {number} lotId - Lot ID
+   * @param {number} sessionId - Session ID
+   * @param {number} teamId - Bidding team ID
+   * @param {number|null} amount - Bid amount, or null for the minimum valid bid
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object} Recorded bid
+   */
+  static async placeBid(lotId, sessionId, teamId, amount, userId) {
+    return withTransaction(async (client) => {
+      const lot = await lockOpenLot(client, lotId, sessionId, userId);
+
+      const teamResult = await client.query(
+        'SELECT id, team_name FROM teams WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+        [teamId, userId]
+      );
+      const team = teamResult.rows[0];
+      if (!team) {
+        throw new HttpError(404, 'Team not found.');
+      }
+
+      const highestBid = await findHighestBid(client, lotId);
+      let minimumBid = lot.base_price;
+
+      if (highestBid) {
+        if (highestBid.team_id === team.id) {
+          throw new HttpError(409, `${team.team_name} already holds the highest bid.`);
+        }
+        minimumBid = highestBid.amount + getMinimumIncrement(lot.increment_rules, highestBid.amount);
+      }
+
+      const bidAmount = amount ?? minimumBid;
+      if (bidAmount < minimumBid) {
+        throw new HttpError(422, `Bid must be at least ${minimumBid}.`, { minimum_bid: minimumBid });
+      }
+
+      await Team.checkBudget(team.id, bidAmount, userId, { client });
+      await Team.checkSquadRules(team.id, lot.position, userId, { client, excludePlayerId: lot.player_id });
+
+      const result = await client.query(
+        'INSERT INTO auction_bids (lot_id, team_id, amount, user_id) VALUES ($1, $2, $3, $4) RETURNING *',
+        [lotId, team.id, bidAmount, userId]
+      );
+
+      return { ...result.rows[0], team_name: team.team_name };
+    });
+  }
+
+  /**
+   * Withdraw the highest bid on an open lot
+   * The next highest bid (if any) becomes the one the lot sells for.
+   * @param {number} lotId - Lot ID
+   * @param {number} sessionId - Session ID
+   * @param {number} bidId - Bid ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object} Withdrawn bid with team_name
+   */
+  static async withdrawBid(lotId, sessionId, bidId, userId) {
+    return withTransaction(async (client) => {
+      await lockOpenLot(client, lotId, sessionId, userId);
+
+      const bidResult = await client.query(`
+        SELECT b.*, t.team_name
+        FROM auction_bids b
+        LEFT JOIN teams t ON b.team_id = t.id
+        WHERE b.id = $1 AND b.lot_id = $2
+      `, [bidId, lotId]);
+      const bid = bidResult.rows[0];
+
+      if (!bid) {
+        throw new HttpError(404, 'Bid not found.');
+      }
+
+      const highestBid = await findHighestBid(client, lotId);
+      if (highestBid.id !== bid.id) {
+        throw new HttpError(409, 'Only the highest bid can be withdrawn.');
+      }
+
+      await client.query('DELETE FROM auction_bids WHERE id = $1', [bid.id]);
+      return bid;
+    });
+  }
+
+  /**
+   * Hammer a lot to the highest bidder and assign the player to that team
+   * The winning bid becomes the player's sold price against the team purse.
+   * @param {number} lotId - Lot ID
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User ID (for authorization)
+   * @param {number|null} changedBy - Account closing the sale (for the transfer log)
+   * @returns {Object} Sold lot
+   */
+  static async sellLot(lotId, sessionId, userId, changedBy = null) {
+    return withTransaction(async (client) => {
+      await lockOpenLot(client, lotId, sessionId, userId);
+
+      const highestBid = await findHighestBid(client, lotId);
+      if (!highestBid || highestBid.team_id === null) {
+        throw new HttpError(409, 'Lot has no bids. Mark it unsold instead.');
+      }
+
+      const result = await client.query(`
+        UPDATE auction_lots
+        SET status = 'sold', sold_to_team_id = $1, sold_price = $2, closed_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `, [highestBid.team_id, highestBid.amount, lotId]);
+      const lot = result.rows[0];
+
+      await Player.assignToTeam(lot.player_id, highestBid.team_id, userId, {
+        client,
+        soldPrice: highestBid.amount,
+        changedBy,
+        reason: 'Auction sale'
+      });
+
+      return lot;
+    });
+  }
+
+  /**
+   * Close a lot without a sale; the player stays in the global pool
+   * A lot with bids can only be passed when the highest bidder could no longer
+   * complete the sale (budget, squad rules or jersey clash).
+   * @param {number} lotId - Lot ID
+   * @param {number} sessionId - Session ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object} Unsold lot, with sale_blocked_by when bids were passed over
+   */
+  static async markUnsold(lotId, sessionId, userId) {
+    return withTransaction(async (client) => {
+      const lot = await lockOpenLot(client, lotId, sessionId, userId);
+
+      let saleBlockedBy = null;
+      const highestBid = await findHighestBid(client, lotId);
+      if (highestBid && highestBid.team_id !== null) {
+        const [sale] = await Player.previewTransfers([{
+          id: lot.player_id,
+          player_name: lot.player_name,
+          position: lot.position,
+          jersey_number: lot.jersey_number,
+          sold_price: highestBid.amount
+        }], highestBid.team_id, userId);
+
+        if (sale.status === 'ok') {
+          throw new HttpError(409, 'Lot has bids. Sell it to the highest bidder instead.');
+        }
+        saleBlockedBy = sale.message;
+      }
+
+      const result = await client.query(
+        "UPDATE auction_lots SET status = 'unsold', closed_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+        [lotId]
+      );
+      return { ...result.rows[0], sale_blocked_by: saleBlockedBy };
+    });
+  }
+}
+
+export default Auction;
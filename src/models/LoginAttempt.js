@@ -0,0 +1,150 @@
+/**
+ * Login Attempt Model - PostgreSQL
+ * Tracks failed logins per username and per IP and applies lockouts
+ */
+
+import dotenv from 'dotenv';
+import { query } from '../config/database.js';
+
+dotenv.config();
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+const readInteger = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Failures allowed before a lockout starts (IPs are shared, so they get more)
+const MAX_FAILURES = {
+  username: readInteger('LOGIN_MAX_FAILURES_PER_USERNAME', 5),
+  ip: readInteger('LOGIN_MAX_FAILURES_PER_IP', 20)
+};
+// Counters reset after this long without a failure
+const FAILURE_WINDOW_MINUTES = readInteger('LOGIN_FAILURE_WINDOW_MINUTES', 15);
+// First lockout length; doubles with every further failure up to the maximum
+const BASE_LOCKOUT_SECONDS = readInteger('LOGIN_BASE_LOCKOUT_SECONDS', 30);
+const MAX_LOCKOUT_SECONDS = readInteger('LOGIN_MAX_LOCKOUT_SECONDS', 3600);
+
+/**
+ * Build the tracking keys for a login request
+ * Usernames are lower-cased so case variants share one counter.
+ * @param {string} username - Submitted username
+ * @param {string} ipAddress - Client IP address
+ * @returns {Array<Object>} Keys ({ type, value })
+ */
+export const loginAttemptKeys = (username, ipAddress) => {
+  const keys = [{ type: 'username', value: String(username).trim().toLowerCase() }];
+  if (ipAddress) keys.push({ type: 'ip', value: ipAddress });
+  return keys;
+};
+
+/**
+ * Get the lockout length for a failure count
+ * @param {string} keyType - 'username' or 'ip'
+ * @param {number} failedCount - Consecutive failures in the window
+ * @returns {number} Lockout in seconds (0 if under the limit)
+ */
+const lockoutSeconds = (keyType, failedCount) => {
+  const over = failedCount - MAX_FAILURES[keyType];
+  if (over < 0) return 0;
+  return Math.min(BASE_LOCKOUT_SECONDS * 2 ** over, MAX_LOCKOUT_SECONDS);
+};
+
+class LoginAttempt {
+  /**
+   * Get the latest active lockout among the given keys
+   * @param {Array<Object>} keys - Keys from loginAttemptKeys
+   * @returns {Date|null} When the lockout ends, or null if not locked
+   */
+  static async getLockedUntil(keys) {
+    const result = await query(`
+      SELECT MAX(locked_until) as locked_until
+      FROM login_attempts
+      WHERE (key_type, key_value) IN (SELECT * FROM UNNEST($1::VARCHAR[], $2::VARCHAR[]))
+        AND locked_until > CURRENT_TIMESTAMP
+    `, [keys.map(key => key.type), keys.map(key => key.value)]);
+
+    return result.rows[0].locked_until;
+  }
+
+  /**
+   * Record a failed login for each key and lock keys that went over the limit
+   * @param {Array<Object>} keys - Keys from loginAttemptKeys
+   */
+  static async recordFailure(keys) {
+    for (const key of keys) {
+      const result = await query(`
+        INSERT INTO login_attempts (key_type, key_value, failed_count, last_failed_at)
+        VALUES ($1, $2, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT (key_type, key_value) DO UPDATE SET
+          failed_count = CASE
+            WHEN login_attempts.last_failed_at < CURRENT_TIMESTAMP - make_interval(mins => $3::int) THEN 1
+            ELSE login_attempts.failed_count + 1
+          END,
+          last_failed_at = CURRENT_TIMESTAMP
+        RETURNING id, failed_count
+      `, [key.type, key.value, FAILURE_WINDOW_MINUTES]);
+
+      const { id, failed_count: failedCount } = result.rows[0];
+      const seconds = lockoutSeconds(key.type, failedCount);
+
+      if (seconds > 0) {
+        await query(
+          'UPDATE login_attempts SET locked_until = CURRENT_TIMESTAMP + make_interval(secs => $1::int) WHERE id = $2',
+          [seconds, id]
+        );
+      }
+    }
+  }
+
+  /**
+   * Clear counters after a successful login
+   * @param {Array<Object>} keys - Keys from loginAttemptKeys
+   */
+  static async reset(keys) {
+    await query(`
+      DELETE FROM login_attempts
+      WHERE (key_type, key_value) IN (SELECT * FROM UNNEST($1::VARCHAR[], $2::VARCHAR[]))
+    `, [keys.map(key => key.type), keys.map(key => key.value)]);
+  }
+
+  /**
+   * Get all currently locked usernames and IPs
+   * @returns {Array} Active lockouts, longest first
+   */
+  static async findActiveLockouts() {
+    const result = await query(`
+      SELECT id, key_type, key_value, failed_count, last_failed_at, locked_until
+      FROM login_attempts
+      WHERE locked_until > CURRENT_TIMESTAMP
+      ORDER BY locked_until DESC
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Clear a lockout and its counter
+   * @param {number} id - Login attempt record ID
+   * @returns {boolean} True if a record was removed
+   */
+  static async clear(id) {
+    const result = await query('DELETE FROM login_attempts WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Clear every active lockout
+   * @returns {number} Number of lockouts cleared
+   */
+  static async clearAllLockouts() {
+    const result = await query('DELETE FROM login_attempts WHERE locked_until > CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
+}
+
+export default LoginAttempt;
@@ -0,0 +1,316 @@
+/**
+ * Match Model - PostgreSQL
+ * Handles fixtures between two teams
+ */
+
+import { query } from '../config/database.js';
+import HttpError from '../utils/httpError.js';
+
+export const MATCH_STATUSES = ['scheduled', 'live', 'completed', 'abandoned'];
+
+// Status changes a match may make; completed matches are final,
+// abandoned ones can be rescheduled
+export const MATCH_STATUS_TRANSITIONS = {
+  scheduled: ['live', 'abandoned'],
+  live: ['completed', 'abandoned'],
+  completed: [],
+  abandoned: ['scheduled']
+};
+
+// Sortable list fields and the columns they map to
+const MATCH_SORT_COLUMNS = {
+  scheduled_at: 'm.scheduled_at',
+  round: 'm.round',
+  venue: 'm.venue',
+  status: 'm.status',
+  created_at: 'm.created_at'
+};
+
+export const MATCH_SORT_FIELDS = Object.keys(MATCH_SORT_COLUMNS);
+
+// Columns for a match with both team names
+const MATCH_SELECT = `
+      SELECT
+        m.id,
+        m.home_team_id,
+        home.team_name as home_team_name,
+        home.team_logo as home_team_logo,
+        home.team_color as home_team_color,
+        m.away_team_id,
+        away.team_name as away_team_name,
+        away.team_logo as away_team_logo,
+        away.team_color as away_team_color,
+        m.scheduled_at,
+        m.venue,
+        m.overs,
+        m.status,
+        m.round,
+        m.created_at,
+        m.updated_at
+      FROM matches m
+      JOIN teams home ON m.home_team_id = home.id
+      JOIN teams away ON m.away_team_id = away.id`;
+
+// A matches row (unaliased) whose home team is in the league's active season
+const IN_ACTIVE_SEASON_SQL = `home_team_id IN (
+  SELECT t.id FROM teams t JOIN seasons s ON t.season_id = s.id WHERE s.user_id = matches.user_id AND s.is_active
+)`;
+
+/**
+ * Build the WHERE clause for the match list filters
+ * Matches involving a team in the trash are hidden.
+ * @param {number} userId - User ID
+ * @param {Object} filters - Filters (see Match.findAllByUserId)
+ * @returns {Object} { where, params }
+ */
+const buildMatchFilters = (userId, filters) => {
+  const conditions = ['m.user_id = $1', 'home.deleted_at IS NULL', 'away.deleted_at IS NULL'];
+  const params = [userId];
+
+  if (filters.seasonId) {
+    params.push(filters.seasonId);
+    conditions.push(`home.season_id = $${params.length}`);
+  }
+  if (filters.teamId) {
+    params.push(filters.teamId);
+    conditions.push(`(m.home_team_id = $${params.length} OR m.away_team_id = $${params.length})`);
+  }
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`m.status = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`m.scheduled_at >= $${params.length}`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`m.scheduled_at <= $${params.length}`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+/**
+ * Check that both teams exist in the league, are not in the trash, differ and
+ * belong to the active season
+ * @param {Object} db - Client or { query }
+ * @param {number} homeTeamId - Home team ID
+ * @param {number} awayTeamId - Away team ID
+ * @param {number} userId - User ID
+ * @throws {HttpError} 400 if the teams are the same, 404 if either is missing, 409 for a past season's team
+ */
+const assertTeams = async (db, homeTeamId, awayTeamId, userId) => {
+  if (Number(homeTeamId) === Number(awayTeamId)) {
+    throw new HttpError(400, 'A team cannot play itself.');
+  }
+
+  const result = await db.query(`
+    SELECT t.id, s.is_active as season_active
+    FROM teams t
+    JOIN seasons s ON t.season_id = s.id
+    WHERE t.id = ANY($1::int[]) AND t.user_id = $2 AND t.deleted_at IS NULL
+  `, [[homeTeamId, awayTeamId], userId]);
+
+  if (result.rows.length < 2) {
+    throw new HttpError(404, 'Home or away team not found.');
+  }
+  if (!result.rows.every(team => team.season_active)) {
+    throw new HttpError(409, 'Matches can only be arranged between teams of the active season.');
+  }
+};
+
+class Match {
+  /**
+   * Create a new match
+   * @param {Object} match - Match fields
+   * @param {number} match.homeTeamId - Home team ID
+   * @param {number} match.awayTeamId - Away team ID
+   * @param {Date|null} match.scheduledAt - Start date and time
+   * @param {string|null} match.venue - Ground name
+   * @param {number} match.overs - Overs per innings
+   * @param {number|null} match.round - Round of a generated fixture list
+   * @param {number} userId - ID of the user creating the match
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @returns {Object} Created match
+   */
+  static async create({ homeTeamId, awayTeamId, scheduledAt = null, venue = null, overs, round = null }, userId, { client = null } = {}) {
+    const db = client || { query };
+    await assertTeams(db, homeTeamId, awayTeamId, userId);
+
+    const result = await db.query(
+      'INSERT INTO matches (home_team_id, away_team_id, scheduled_at, venue, overs, round, user_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+      [homeTeamId, awayTeamId, scheduledAt, venue, overs, round, userId]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get matches for a user with team names
+   * @param {number} userId - User ID
+   * @param {Object} filters - Optional filters
+   * @param {number} [filters.seasonId] - Only matches of this season
+   * @param {number} [filters.teamId] - Only matches this team plays in
+   * @param {string} [filters.status] - Only matches with this status
+   * @param {Date} [filters.from] - Only matches starting at or after this time
+   * @param {Date} [filters.to] - Only matches starting at or before this time
+   * @param {Object} options - Optional sorting and paging
+   * @param {Object|null} options.sort - { field, direction } with a field from MATCH_SORT_FIELDS
+   * @param {number|null} options.limit - Page size (null for every row)
+   * @param {number} options.offset - Rows to skip
+   * @returns {Array} Array of matches
+   */
+  static async findAllByUserId(userId, filters = {}, { sort = null, limit = null, offset = 0 } = {}) {
+    const { where, params } = buildMatchFilters(userId, filters);
+
+    // Calendar order by default; unscheduled fixtures last, in generated order
+    const orderBy = sort
+      ? `${MATCH_SORT_COLUMNS[sort.field]} ${sort.direction === 'desc' ? 'DESC' : 'ASC'} NULLS LAST, m.id ASC`
+      : 'm.scheduled_at ASC NULLS LAST, m.id ASC';
+
+    let pageClause = '';
+    if (limit !== null) {
+      params.push(limit, offset);
+      pageClause = `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    }
+
+    const result = await query(`
+      ${MATCH_SELECT}
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      ${pageClause}
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * Count matches matching the list filters
+   * @param {number} userId - User ID
+   * @param {Object} filters - Optional filters (see findAllByUserId)
+   * @returns {number} Match count
+   */
+  static async countByUserId(userId, filters = {}) {
+    const { where, params } = buildMatchFilters(userId, filters);
+    const result = await query(`
+      SELECT COUNT(*) as count
+      FROM matches m
+      JOIN teams home ON m.home_team_id = home.id
+      JOIN teams away ON m.away_team_id = away.id
+      WHERE ${where}
+    `, params);
+
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Get a single match by ID
+   * @param {number} id - Match ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object|null} Match or null
+   */
+  static async findById(id, userId) {
+    const result = await query(`
+      ${MATCH_SELECT}
+      WHERE m.id = $1 AND m.user_id = $2 AND home.deleted_at IS NULL AND away.deleted_at IS NULL
+    `, [id, userId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update a match's teams, time, venue and format
+   * @param {number} id - Match ID
+   * @param {Object} match - Match fields (as Match.create, without round)
+   * @param {number} userId - User ID (for authorization)
+   * @returns {boolean} True if update successful
+   */
+  static async update(id, { homeTeamId, awayTeamId, scheduledAt = null, venue = null, overs }, userId) {
+    await assertTeams({ query }, homeTeamId, awayTeamId, userId);
+
+    const result = await query(
+      'UPDATE matches SET home_team_id = $1, away_team_id = $2, scheduled_at = $3, venue = $4, overs = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6 AND user_id = $7',
+      [homeTeamId, awayTeamId, scheduledAt, venue, overs, id, userId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Move a match to a new status (see MATCH_STATUS_TRANSITIONS)
+   * @param {number} id - Match ID
+   * @param {string} status - New status
+   * @param {number} userId - User ID (for authorization)
+   * @returns {boolean} True if updated, false if the match was not found
+   * @throws {HttpError} 409 if the match cannot move to that status
+   */
+  static async setStatus(id, status, userId) {
+    const current = await query('SELECT status FROM matches WHERE id = $1 AND user_id = $2', [id, userId]);
+    const match = current.rows[0];
+    if (!match) return false;
+
+    if (!MATCH_STATUS_TRANSITIONS[match.status].includes(status)) {
+      const allowed = MATCH_STATUS_TRANSITIONS[match.status];
+      throw new HttpError(409, `A ${match.status} match cannot become ${status}.`, {
+        current_status: match.status,
+        allowed_statuses: allowed
+      });
+    }
+
+    // Compare-and-set so two concurrent changes cannot both apply
+    const result = await query(
+      'UPDATE matches SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3 AND status = $4',
+      [status, id, userId, match.status]
+    );
+
+    if (result.rowCount === 0) {
+      throw new HttpError(409, 'The match status changed while updating. Please try again.');
+    }
+    return true;
+  }
+
+  /**
+   * Delete a match
+   * @param {number} id - Match ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {boolean} True if deletion successful
+   */
+  static async delete(id, userId) {
+    const result = await query('DELETE FROM matches WHERE id = $1 AND user_id = $2', [id, userId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Delete a user's matches in the active season that have not started yet
+   * Used before generating a fresh fixture list.
+   * @param {number} userId - User ID
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @returns {number} Number of matches deleted
+   */
+  static async deleteScheduled(userId, { client = null } = {}) {
+    const db = client || { query };
+    const result = await db.query(
+      `DELETE FROM matches WHERE user_id = $1 AND status = 'scheduled' AND ${IN_ACTIVE_SEASON_SQL}`,
+      [userId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Count a user's matches in the active season that have not started yet
+   * @param {number} userId - User ID
+   * @returns {number} Scheduled match count
+   */
+  static async countScheduled(userId) {
+    const result = await query(
+      `SELECT COUNT(*) as count FROM matches WHERE user_id = $1 AND status = 'scheduled' AND ${IN_ACTIVE_SEASON_SQL}`,
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  }
+}
+
+export default Match;
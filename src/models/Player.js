@@ -3,7 +3,262 @@
  * Handles player database operations
  */
 
-import { query } from '../config/database.js';
+import { query, getClient, rollbackQuietly } from '../config/database.js';
+import Team from './Team.js';
+import PlayerTransfer from './PlayerTransfer.js';
+import HttpError from '../utils/httpError.js';
+
+export const MAX_JERSEY_NUMBER = 999;
+
+// Allowed values for the cricket profile fields
+export const PLAYING_ROLES = ['batter', 'bowler', 'all_rounder', 'wicket_keeper'];
+export const BATTING_HANDS = ['right', 'left'];
+export const BOWLING_STYLES = [
+  'right_arm_fast',
+  'right_arm_medium',
+  'right_arm_off_spin',
+  'right_arm_leg_spin',
+  'left_arm_fast',
+  'left_arm_medium',
+  'left_arm_orthodox',
+  'left_arm_wrist_spin'
+];
+
+// Profile columns that create and update accept through options.profile
+export const PROFILE_FIELDS = [
+  'date_of_birth',
+  'playing_role',
+  'batting_hand',
+  'bowling_style',
+  'phone',
+  'email',
+  'club',
+  'is_overseas'
+];
+
+// Profile and headshot columns for queries that alias players as p; age is whole years today.
+// date_of_birth is formatted in SQL, since a JS Date would shift it with the server time zone.
+// Contact details are left out; only findById returns them, on request.
+const PROFILE_SELECT = `
+        to_char(p.date_of_birth, 'YYYY-MM-DD') as date_of_birth,
+        DATE_PART('year', AGE(p.date_of_birth))::int as age,
+        p.playing_role,
+        p.batting_hand,
+        p.bowling_style,
+        p.club,
+        p.is_overseas,
+        p.photo_key,
+        p.photo_thumb_key`;
+
+// Sortable list fields and the columns they map to
+const PLAYER_SORT_COLUMNS = {
+  player_name: 'p.player_name',
+  position: 'p.position',
+  jersey_number: 'p.jersey_number',
+  team_name: 't.team_name',
+  base_price: 'p.base_price',
+  sold_price: 'p.sold_price',
+  playing_role: 'p.playing_role',
+  date_of_birth: 'p.date_of_birth',
+  club: 'p.club',
+  created_at: 'p.created_at',
+  updated_at: 'p.updated_at'
+};
+
+export const PLAYER_SORT_FIELDS = Object.keys(PLAYER_SORT_COLUMNS);
+
+// Trigram word similarity below this is not a match (0.3 still catches most misspellings)
+const MIN_SEARCH_SCORE = 0.3;
+// Name hits outrank team hits, which outrank position and club hits
+const SEARCH_FIELD_WEIGHTS = {
+  player_name: 1,
+  jersey_number: 1,
+  team_name: 0.8,
+  position: 0.6,
+  club: 0.6
+};
+// Search returns at most this many players
+const SEARCH_RESULT_LIMIT = 50;
+
+/**
+ * Build the WHERE clause for the player list filters
+ * @param {number} userId - User ID
+ * @param {Object} filters - Filters (see Player.findAllByUserId)
+ * @returns {Object} { where, params }
+ */
+const buildPlayerFilters = (userId, filters) => {
+  const conditions = ['p.user_id = $1', 'p.deleted_at IS NULL'];
+  const params = [userId];
+
+  if (filters.teamId) {
+    params.push(filters.teamId);
+    conditions.push(`p.team_id = $${params.length}`);
+  }
+  if (filters.unassigned) {
+    conditions.push('p.team_id IS NULL');
+  }
+  if (filters.position) {
+    params.push(filters.position);
+    conditions.push(`LOWER(p.position) = LOWER($${params.length})`);
+  }
+  if (filters.jerseyMin !== undefined && filters.jerseyMin !== null) {
+    params.push(filters.jerseyMin);
+    conditions.push(`p.jersey_number >= $${params.length}`);
+  }
+  if (filters.jerseyMax !== undefined && filters.jerseyMax !== null) {
+    params.push(filters.jerseyMax);
+    conditions.push(`p.jersey_number <= $${params.length}`);
+  }
+  if (filters.role) {
+    params.push(filters.role);
+    conditions.push(`p.playing_role = $${params.length}`);
+  }
+  // Players without a date of birth never match an age bracket
+  if (filters.ageMin !== undefined && filters.ageMin !== null) {
+    params.push(filters.ageMin);
+    conditions.push(`DATE_PART('year', AGE(p.date_of_birth)) >= $${params.length}`);
+  }
+  if (filters.ageMax !== undefined && filters.ageMax !== null) {
+    params.push(filters.ageMax);
+    conditions.push(`DATE_PART('year', AGE(p.date_of_birth)) <= $${params.length}`);
+  }
+  if (filters.overseas !== undefined && filters.overseas !== null) {
+    params.push(filters.overseas);
+    conditions.push(`p.is_overseas = $${params.length}`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+/**
+ * Keep only the known profile columns from a profile object
+ * @param {Object} profile - Profile values keyed by column
+ * @returns {Array} [column, value] pairs
+ */
+const profileEntries = (profile) => {
+  return Object.entries(profile).filter(([field]) => PROFILE_FIELDS.includes(field));
+};
+
+/**
+ * Run work on the caller's transaction client, or in a new transaction when none is given
+ * Team changes use this so the player row and its transfer record are saved together.
+ * @param {Object|null} client - Client from getClient() or null
+ * @param {Function} work - async (client) => result
+ * @returns {Promise<*>} Result of work
+ */
+const inTransaction = async (client, work) => {
+  if (client) return work(client).catch(rethrowJerseyConflict);
+
+  const ownClient = await getClient();
+  let rollbackError;
+  try {
+    await ownClient.query('BEGIN');
+    const result = await work(ownClient);
+    await ownClient.query('COMMIT');
+    return result;
+  } catch (error) {
+    rollbackError = await rollbackQuietly(ownClient);
+    return rethrowJerseyConflict(error);
+  } finally {
+    ownClient.release(rollbackError);
+  }
+};
+
+/**
+ * Suggest free jersey numbers for a team
+ * Numbers closest to the preferred one come first; otherwise the lowest free
+ * numbers. 0 is allowed but never suggested.
+ * @param {Array<number>} taken - Numbers already worn in the team
+ * @param {Object} options - Optional settings
+ * @param {number|null} options.preferred - Number the player would like
+ * @param {number} options.limit - Maximum suggestions
+ * @returns {Array<number>} Free numbers
+ */
+export const suggestJerseyNumbers = (taken, { preferred = null, limit = 10 } = {}) => {
+  const takenNumbers = new Set(taken);
+  const free = [];
+
+  for (let number = 1; number <= MAX_JERSEY_NUMBER; number++) {
+    if (!takenNumbers.has(number)) free.push(number);
+  }
+
+  if (preferred !== null) {
+    free.sort((a, b) => Math.abs(a - preferred) - Math.abs(b - preferred) || a - b);
+  }
+
+  return free.slice(0, limit);
+};
+
+/**
+ * Find the player already wearing a jersey number in a team
+ * @param {Object} db - Query runner (pool wrapper or transaction client)
+ * @param {number|null} teamId - Team ID
+ * @param {number|null} jerseyNumber - Jersey number
+ * @param {number|null} excludePlayerId - Player being changed
+ * @returns {Object|null} Conflicting player or null
+ */
+const findJerseyHolder = async (db, teamId, jerseyNumber, excludePlayerId = null) => {
+  if (!teamId || jerseyNumber === null || jerseyNumber === undefined) return null;
+
+  const result = await db.query(`
+    SELECT p.id, p.player_name, p.jersey_number, t.id as team_id, t.team_name
+    FROM players p
+    JOIN teams t ON p.team_id = t.id
+    WHERE p.team_id = $1 AND p.jersey_number = $2 AND p.id IS DISTINCT FROM $3 AND p.deleted_at IS NULL
+  `, [teamId, jerseyNumber, excludePlayerId]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Throw a 409 if a jersey number is already worn in the team
+ * @param {Object} db - Query runner (pool wrapper or transaction client)
+ * @param {number|null} teamId - Team ID
+ * @param {number|null} jerseyNumber - Jersey number
+ * @param {number|null} excludePlayerId - Player being changed
+ * @throws {HttpError} 409 naming the player who wears the number
+ */
+const assertJerseyAvailable = async (db, teamId, jerseyNumber, excludePlayerId = null) => {
+  const holder = await findJerseyHolder(db, teamId, jerseyNumber, excludePlayerId);
+  if (!holder) return;
+
+  throw jerseyTakenError(holder);
+};
+
+/**
+ * Build the 409 for a jersey number someone else already wears
+ * @param {Object} holder - Player wearing the number (see findJerseyHolder)
+ * @returns {HttpError} 409 naming the player who wears the number
+ */
+const jerseyTakenError = (holder) => {
+  return new HttpError(409, `Jersey ${holder.jersey_number} is already worn by ${holder.player_name} at ${holder.team_name}.`, {
+    conflict: {
+      player_id: holder.id,
+      player_name: holder.player_name,
+      jersey_number: holder.jersey_number,
+      team_id: holder.team_id,
+      team_name: holder.team_name
+    }
+  });
+};
+
+/**
+ * Turn a unique-index violation on team jerseys into the same 409 as assertJerseyAvailable
+ * The check runs before the write, so two requests can still race for a number;
+ * the index catches the loser. Other errors are rethrown unchanged.
+ * @param {Error} error - Error from a player write
+ * @throws {HttpError|Error} 409 naming the player who wears the number, or the original error
+ */
+const rethrowJerseyConflict = async (error) => {
+  if (error.code !== '23505' || error.constraint !== 'idx_players_team_jersey') throw error;
+
+  // detail reads "Key (team_id, jersey_number)=(3, 7) already exists."
+  const [, teamId, jerseyNumber] = (error.detail || '').match(/=\((\d+), (\d+)\)/) || [];
+  if (teamId) {
+    await assertJerseyAvailable({ query }, parseInt(teamId), parseInt(jerseyNumber));
+  }
+  throw new HttpError(409, 'That jersey number is already worn in the team.');
+};
 
 class Player {
   /**
@@ -13,29 +268,93 @@ class Player {
    * @param {number} jerseyNumber - Jersey number
    * @param {number|null} teamId - Team ID (null for global players)
    * @param {number} userId - ID of the user creating the player
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @param {number|null} options.changedBy - Account making the change (for the transfer log)
+   * @param {Object} options.profile - Profile values keyed by column (see PROFILE_FIELDS)
    * @returns {Object} Created player
    */
-  static async create(playerName, position, jerseyNumber, teamId, userId) {
-    const result = await query(
-      'INSERT INTO players (player_name, position, jersey_number, team_id, user_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [playerName, position, jerseyNumber, teamId || null, userId]
-    );
-    
-    return result.rows[0];
+  static async create(playerName, position, jerseyNumber, teamId, userId, { client = null, changedBy = null, profile = {} } = {}) {
+    return inTransaction(client, async (db) => {
+      // New players join at their base price, which starts at 0
+      if (teamId) {
+        await Team.checkBudget(teamId, 0, userId, { client: db });
+        await Team.checkSquadRules(teamId, position, userId, { client: db });
+        await assertJerseyAvailable(db, teamId, jerseyNumber);
+      }
+
+      const columns = ['player_name', 'position', 'jersey_number', 'team_id', 'user_id', 'sold_price'];
+      const values = [playerName, position, jerseyNumber, teamId || null, userId, teamId ? 0 : null];
+      for (const [field, value] of profileEntries(profile)) {
+        columns.push(field);
+        values.push(value);
+      }
+
+      const result = await db.query(
+        `INSERT INTO players (${columns.join(', ')}) VALUES (${values.map((value, index) => `$${index + 1}`).join(', ')}) RETURNING *`,
+        values
+      );
+      const player = result.rows[0];
+
+      await PlayerTransfer.record({
+        playerId: player.id,
+        fromTeamId: null,
+        toTeamId: player.team_id,
+        soldPrice: player.sold_price,
+        reason: 'Created in team',
+        changedBy,
+        userId
+      }, db);
+
+      return player;
+    });
   }
 
   /**
    * Get all players for a user with team info
    * @param {number} userId - User ID
+   * @param {Object} filters - Optional filters
+   * @param {number} [filters.teamId] - Only players in this team
+   * @param {boolean} [filters.unassigned] - Only global (unassigned) players
+   * @param {string} [filters.position] - Only players in this position (case-insensitive)
+   * @param {number} [filters.jerseyMin] - Lowest jersey number (inclusive)
+   * @param {number} [filters.jerseyMax] - Highest jersey number (inclusive)
+   * @param {string} [filters.role] - Only players with this playing role
+   * @param {number} [filters.ageMin] - Youngest age in years (inclusive)
+   * @param {number} [filters.ageMax] - Oldest age in years (inclusive)
+   * @param {boolean} [filters.overseas] - Only overseas (true) or local (false) players
+   * @param {Object} options - Optional sorting and paging
+   * @param {Object|null} options.sort - { field, direction } with a field from PLAYER_SORT_FIELDS
+   * @param {number|null} options.limit - Page size (null for every row)
+   * @param {number} options.offset - Rows to skip
    * @returns {Array} Array of players with team names
    */
-  static async findAllByUserId(userId) {
+  static async findAllByUserId(userId, filters = {}, { sort = null, limit = null, offset = 0 } = {}) {
+    const { where, params } = buildPlayerFilters(userId, filters);
+
+    // Global players first, then by team and name, unless another order is asked for.
+    // The id tie-break keeps pages stable.
+    const orderBy = sort
+      ? `${PLAYER_SORT_COLUMNS[sort.field]} ${sort.direction === 'desc' ? 'DESC' : 'ASC'} NULLS LAST, p.id ASC`
+      : `CASE WHEN p.team_id IS NULL THEN 0 ELSE 1 END,
+        t.team_name ASC NULLS FIRST, 
+        p.player_name ASC,
+        p.id ASC`;
+
+    let pageClause = '';
+    if (limit !== null) {
+      params.push(limit, offset);
+      pageClause = `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    }
+
     const result = await query(`
       SELECT 
         p.id, 
         p.player_name, 
         p.position, 
         p.jersey_number,
+        p.base_price,
+        p.sold_price,${PROFILE_SELECT},
         p.team_id,
         t.team_name,
         t.team_color,
@@ -44,12 +363,10 @@ class Player {
         p.updated_at 
       FROM players p
       LEFT JOIN teams t ON p.team_id = t.id
-      WHERE p.user_id = $1 
-      ORDER BY 
-        CASE WHEN p.team_id IS NULL THEN 0 ELSE 1 END,
-        t.team_name ASC NULLS FIRST, 
-        p.player_name ASC
-    `, [userId]);
+      WHERE ${where} 
+      ORDER BY ${orderBy}
+      ${pageClause}
+    `, params);
     
     return result.rows;
   }
@@ -57,21 +374,25 @@ class Player {
   /**
    * Get all global players (without team assignment)
    * @param {number} userId - User ID
+   * @param {Object} filters - Optional filters (as Player.findAllByUserId, without teamId)
    * @returns {Array} Array of unassigned players
    */
-  static async findGlobalPlayers(userId) {
+  static async findGlobalPlayers(userId, filters = {}) {
+    const { where, params } = buildPlayerFilters(userId, { ...filters, teamId: null, unassigned: true });
+
     const result = await query(`
       SELECT 
-        id, 
-        player_name, 
-        position, 
-        jersey_number,
-        created_at, 
-        updated_at 
-      FROM players 
-      WHERE user_id = $1 AND team_id IS NULL
-      ORDER BY player_name ASC
-    `, [userId]);
+        p.id, 
+        p.player_name, 
+        p.position, 
+        p.jersey_number,
+        p.base_price,${PROFILE_SELECT},
+        p.created_at, 
+        p.updated_at 
+      FROM players p
+      WHERE ${where}
+      ORDER BY p.player_name ASC
+    `, params);
     
     return result.rows;
   }
@@ -80,13 +401,16 @@ class Player {
    * Get all players for a specific team
    * @param {number} teamId - Team ID
    * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
    * @returns {Array} Array of players
    */
-  static async findAllByTeamId(teamId, userId) {
-    const result = await query(`
-      SELECT id, player_name, position, jersey_number, created_at, updated_at 
+  static async findAllByTeamId(teamId, userId, { client = null } = {}) {
+    const db = client || { query };
+    const result = await db.query(`
+      SELECT id, player_name, position, jersey_number, sold_price, created_at, updated_at 
       FROM players 
-      WHERE team_id = $1 AND user_id = $2 
+      WHERE team_id = $1 AND user_id = $2 AND deleted_at IS NULL
       ORDER BY 
         CASE 
           WHEN position IS NULL THEN 1 
@@ -103,28 +427,48 @@ class Player {
    * Get a single player by ID with team info
    * @param {number} id - Player ID
    * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.withContact - Include phone and email
    * @returns {Object|null} Player object or null
    */
-  static async findById(id, userId) {
+  static async findById(id, userId, { withContact = false } = {}) {
     const result = await query(`
       SELECT 
         p.id, 
         p.player_name, 
         p.position, 
         p.jersey_number,
+        p.base_price,
+        p.sold_price,${PROFILE_SELECT},${withContact ? `
+        p.phone,
+        p.email,` : ''}
         p.team_id,
         t.team_name,
         t.team_color,
         p.created_at, 
         p.updated_at 
       FROM players p
-      JOIN teams t ON p.team_id = t.id
-      WHERE p.id = $1 AND p.user_id = $2
+      LEFT JOIN teams t ON p.team_id = t.id
+      WHERE p.id = $1 AND p.user_id = $2 AND p.deleted_at IS NULL
     `, [id, userId]);
     
     return result.rows[0] || null;
   }
 
+  /**
+   * Get the team a player belongs to (works for global players too)
+   * @param {number} id - Player ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object|null} { id, team_id } or null if not found
+   */
+  static async findTeamId(id, userId) {
+    const result = await query(
+      'SELECT id, team_id FROM players WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
   /**
    * Update a player
    * @param {number} id - Player ID
@@ -133,72 +477,446 @@ class Player {
    * @param {number} jerseyNumber - Updated jersey number
    * @param {number|null} teamId - Updated team ID (null to unassign)
    * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @param {number|null} options.changedBy - Account making the change (for the transfer log)
+   * @param {string|null} options.reason - Reason for a team change
+   * @param {Object} options.profile - Profile values to change, keyed by column; missing fields are kept
    * @returns {boolean} True if update successful
    */
-  static async update(id, playerName, position, jerseyNumber, teamId, userId) {
-    const result = await query(
-      'UPDATE players SET player_name = $1, position = $2, jersey_number = $3, team_id = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 AND user_id = $6',
-      [playerName, position, jerseyNumber, teamId || null, id, userId]
-    );
-    
-    return result.rowCount > 0;
+  static async update(id, playerName, position, jerseyNumber, teamId, userId, { client = null, changedBy = null, reason = null, profile = {} } = {}) {
+    return inTransaction(client, async (db) => {
+      const current = await db.query(
+        'SELECT team_id, position, base_price, sold_price FROM players WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [id, userId]
+      );
+      const player = current.rows[0];
+      if (!player) return false;
+
+      // Moving to a new team is a purchase at base price; leaving frees the purse
+      const newTeamId = Number(teamId) || null;
+      let soldPrice = player.sold_price;
+      if (newTeamId === null) {
+        soldPrice = null;
+      } else if (newTeamId !== player.team_id) {
+        soldPrice = player.base_price;
+        await Team.checkBudget(newTeamId, soldPrice, userId, { client: db });
+      }
+
+      // Squad rules only care about who is in the team and in which position
+      const positionChanged = (position || '').trim().toLowerCase() !== (player.position || '').trim().toLowerCase();
+      if (newTeamId !== null && (newTeamId !== player.team_id || positionChanged)) {
+        await Team.checkSquadRules(newTeamId, position, userId, { client: db, excludePlayerId: id });
+      }
+      await assertJerseyAvailable(db, newTeamId, jerseyNumber, id);
+
+      const values = [playerName, position, jerseyNumber, newTeamId, soldPrice, id, userId];
+      const profileSets = profileEntries(profile).map(([field, value]) => {
+        values.push(value);
+        return `, ${field} = $${values.length}`;
+      });
+
+      const result = await db.query(
+        `UPDATE players SET player_name = $1, position = $2, jersey_number = $3, team_id = $4, sold_price = $5${profileSets.join('')}, released_from_team_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $6 AND user_id = $7`,
+        values
+      );
+
+      await PlayerTransfer.record({
+        playerId: id,
+        fromTeamId: player.team_id,
+        toTeamId: newTeamId,
+        soldPrice,
+        reason,
+        changedBy,
+        userId
+      }, db);
+
+      return result.rowCount > 0;
+    });
   }
 
   /**
    * Assign player to a team
+   * The sold price is charged against the team purse (see Team.checkBudget).
    * @param {number} playerId - Player ID
    * @param {number} teamId - Team ID
    * @param {number} userId - User ID (for authorization)
-   * @returns {boolean} True if assignment successful
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @param {number|null} options.soldPrice - Price paid (defaults to the base price)
+   * @param {number|null} options.changedBy - Account making the change (for the transfer log)
+   * @param {string|null} options.reason - Reason for the move
+   * @param {boolean} options.reassignJersey - Give the player a free number if theirs is taken
+   * @returns {Object|false} { previousJerseyNumber, jerseyNumber } or false if the player was not found
    */
-  static async assignToTeam(playerId, teamId, userId) {
+  static async assignToTeam(playerId, teamId, userId, { client = null, soldPrice = null, changedBy = null, reason = null, reassignJersey = false } = {}) {
+    return inTransaction(client, async (db) => {
+      const current = await db.query(
+        'SELECT team_id, position, base_price, jersey_number FROM players WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [playerId, userId]
+      );
+      const player = current.rows[0];
+      if (!player) return false;
+
+      const price = soldPrice ?? player.base_price;
+      await Team.checkBudget(teamId, price, userId, { client: db, excludePlayerId: playerId });
+      await Team.checkSquadRules(teamId, player.position, userId, { client: db, excludePlayerId: playerId });
+
+      let jerseyNumber = player.jersey_number;
+      if (reassignJersey && await findJerseyHolder(db, teamId, jerseyNumber, playerId)) {
+        const taken = await Player.findTakenJerseys(teamId, { client: db });
+        [jerseyNumber] = suggestJerseyNumbers(taken, { preferred: player.jersey_number, limit: 1 });
+        if (jerseyNumber === undefined) {
+          throw new HttpError(409, 'The team has no free jersey numbers left.');
+        }
+      } else {
+        await assertJerseyAvailable(db, teamId, jerseyNumber, playerId);
+      }
+
+      await db.query(
+        'UPDATE players SET team_id = $1, sold_price = $2, jersey_number = $3, released_from_team_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $4 AND user_id = $5',
+        [teamId, price, jerseyNumber, playerId, userId]
+      );
+
+      await PlayerTransfer.record({
+        playerId,
+        fromTeamId: player.team_id,
+        toTeamId: Number(teamId),
+        soldPrice: price,
+        reason,
+        changedBy,
+        userId
+      }, db);
+
+      return { previousJerseyNumber: player.jersey_number, jerseyNumber };
+    });
+  }
+
+  /**
+   * Work out what assigning players to a team would do, without writing anything
+   * Runs the budget, squad rule and jersey checks of assignToTeam for each player
+   * in turn, counting the earlier ones that would succeed as already moved.
+   * @param {Array<Object>} players - Players to move, in order (see findAllByTeamId)
+   * @param {number} teamId - Target team ID
+   * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.reassignJersey - Give a player a free number if theirs is taken
+   * @returns {Array<Object>} Per player { new_jersey_number, status: 'ok' } or { status: 'failed', message, ...details }
+   */
+  static async previewTransfers(players, teamId, userId, { reassignJersey = false } = {}) {
+    const prices = await query(
+      'SELECT id, base_price FROM players WHERE id = ANY($1::int[]) AND user_id = $2',
+      [players.map(player => player.id), userId]
+    );
+    const basePrices = new Map(prices.rows.map(row => [row.id, row.base_price]));
+
+    const squad = await query(`
+      SELECT t.id as team_id, t.team_name, p.id, p.player_name, p.jersey_number
+      FROM teams t
+      LEFT JOIN players p ON t.id = p.team_id AND p.jersey_number IS NOT NULL AND p.deleted_at IS NULL
+      WHERE t.id = $1 AND t.user_id = $2
+    `, [teamId, userId]);
+    const target = squad.rows[0] || { team_id: Number(teamId), team_name: null };
+    const holders = new Map(squad.rows.filter(row => row.id !== null).map(row => [row.jersey_number, row]));
+
+    const pending = { count: 0, spend: 0 };
+    const pendingPositions = [];
+    const results = [];
+
+    for (const player of players) {
+      const price = player.sold_price ?? basePrices.get(player.id);
+
+      try {
+        await Team.checkBudget(teamId, price, userId, { excludePlayerId: player.id, pending, lock: false });
+        await Team.checkSquadRules(teamId, player.position, userId, { excludePlayerId: player.id, pendingPositions });
+
+        let jerseyNumber = player.jersey_number;
+        const holder = jerseyNumber === null ? null : holders.get(jerseyNumber);
+        if (holder && reassignJersey) {
+          [jerseyNumber] = suggestJerseyNumbers([...holders.keys()], { preferred: player.jersey_number, limit: 1 });
+          if (jerseyNumber === undefined) {
+            throw new HttpError(409, 'The team has no free jersey numbers left.');
+          }
+        } else if (holder) {
+          throw jerseyTakenError(holder);
+        }
+
+        pending.count += 1;
+        pending.spend += price;
+        pendingPositions.push(player.position);
+        if (jerseyNumber !== null) {
+          holders.set(jerseyNumber, { ...target, id: player.id, player_name: player.player_name, jersey_number: jerseyNumber });
+        }
+        results.push({ new_jersey_number: jerseyNumber, status: 'ok' });
+      } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        results.push({ status: 'failed', message: error.message, ...error.details });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the jersey numbers already worn in a team
+   * @param {number} teamId - Team ID
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @returns {Array<number>} Jersey numbers in ascending order
+   */
+  static async findTakenJerseys(teamId, { client = null } = {}) {
+    const db = client || { query };
+    const result = await db.query(
+      'SELECT jersey_number FROM players WHERE team_id = $1 AND jersey_number IS NOT NULL AND deleted_at IS NULL ORDER BY jersey_number ASC',
+      [teamId]
+    );
+
+    return result.rows.map(row => row.jersey_number);
+  }
+
+  /**
+   * Set a player's auction base price
+   * @param {number} id - Player ID
+   * @param {number} basePrice - Base price (opening bid)
+   * @param {number} userId - User ID (for authorization)
+   * @returns {boolean} True if update successful
+   */
+  static async setBasePrice(id, basePrice, userId) {
     const result = await query(
-      'UPDATE players SET team_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3',
-      [teamId, playerId, userId]
+      'UPDATE players SET base_price = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3 AND deleted_at IS NULL',
+      [basePrice, id, userId]
     );
     
     return result.rowCount > 0;
   }
 
+  /**
+   * Change a player's position
+   * Players in a team are checked against the squad rules for their new position.
+   * @param {number} id - Player ID
+   * @param {string|null} position - New position (null to clear)
+   * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @returns {boolean} True if update successful
+   */
+  static async setPosition(id, position, userId, { client = null } = {}) {
+    return inTransaction(client, async (db) => {
+      const current = await db.query(
+        'SELECT team_id FROM players WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [id, userId]
+      );
+      const player = current.rows[0];
+      if (!player) return false;
+
+      if (player.team_id !== null) {
+        await Team.checkSquadRules(player.team_id, position, userId, { client: db, excludePlayerId: id });
+      }
+
+      const result = await db.query(
+        'UPDATE players SET position = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND user_id = $3',
+        [position, id, userId]
+      );
+
+      return result.rowCount > 0;
+    });
+  }
+
   /**
    * Unassign player from team (make global)
    * @param {number} playerId - Player ID
    * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @param {number|null} options.changedBy - Account making the change (for the transfer log)
+   * @param {string|null} options.reason - Reason for the release
    * @returns {boolean} True if unassignment successful
    */
-  static async unassignFromTeam(playerId, userId) {
-    const result = await query(
-      'UPDATE players SET team_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2',
-      [playerId, userId]
-    );
-    
-    return result.rowCount > 0;
+  static async unassignFromTeam(playerId, userId, { client = null, changedBy = null, reason = null } = {}) {
+    return inTransaction(client, async (db) => {
+      const current = await db.query(
+        'SELECT team_id FROM players WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [playerId, userId]
+      );
+      const player = current.rows[0];
+      if (!player) return false;
+
+      const result = await db.query(
+        'UPDATE players SET team_id = NULL, sold_price = NULL, released_from_team_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2',
+        [playerId, userId]
+      );
+
+      await PlayerTransfer.record({
+        playerId,
+        fromTeamId: player.team_id,
+        toTeamId: null,
+        reason,
+        changedBy,
+        userId
+      }, db);
+
+      return result.rowCount > 0;
+    });
   }
 
   /**
-   * Delete a player
+   * Set or clear a player's uploaded headshot
    * @param {number} id - Player ID
    * @param {number} userId - User ID (for authorization)
+   * @param {Object} keys - Storage keys { imageKey, thumbKey } (null to clear)
+   * @returns {Object|null} The replaced keys { photo_key, photo_thumb_key }, or null if the player was not found
+   */
+  static async setPhoto(id, userId, { imageKey = null, thumbKey = null } = {}) {
+    // Joining the locked old row returns the keys being replaced
+    const result = await query(`
+      UPDATE players p
+      SET photo_key = $3, photo_thumb_key = $4, updated_at = CURRENT_TIMESTAMP
+      FROM (
+        SELECT id, photo_key, photo_thumb_key FROM players
+        WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+        FOR UPDATE
+      ) old
+      WHERE p.id = old.id
+      RETURNING old.photo_key, old.photo_thumb_key
+    `, [id, userId, imageKey, thumbKey]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move a player to the trash
+   * The player keeps their team and price so a restore can put them back.
+   * @param {number} id - Player ID
+   * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
    * @returns {boolean} True if deletion successful
    */
-  static async delete(id, userId) {
-    const result = await query(
-      'DELETE FROM players WHERE id = $1 AND user_id = $2',
+  static async delete(id, userId, { client = null } = {}) {
+    const db = client || { query };
+    const result = await db.query(
+      'UPDATE players SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [id, userId]
     );
     
     return result.rowCount > 0;
   }
 
+  /**
+   * Get the players in the trash, most recently deleted first
+   * @param {number} userId - User ID
+   * @returns {Array} Deleted players with the team they will return to
+   */
+  static async findDeleted(userId) {
+    const result = await query(`
+      SELECT 
+        p.id, 
+        p.player_name, 
+        p.position, 
+        p.jersey_number,
+        p.base_price,
+        p.sold_price,
+        p.team_id,
+        t.team_name,
+        t.deleted_at IS NOT NULL as team_deleted,
+        p.deleted_at,
+        p.created_at, 
+        p.updated_at 
+      FROM players p
+      LEFT JOIN teams t ON p.team_id = t.id
+      WHERE p.user_id = $1 AND p.deleted_at IS NOT NULL
+      ORDER BY p.deleted_at DESC, p.id DESC
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Restore a player from the trash
+   * They rejoin their team if it still exists (subject to the usual budget, squad
+   * and jersey checks); if the team is in the trash too, they wait in the global
+   * pool and go back when the team is restored.
+   * @param {number} id - Player ID
+   * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {number|null} options.changedBy - Account restoring the player (for the transfer log)
+   * @returns {boolean} True if the player was in the trash and is restored
+   */
+  static async restore(id, userId, { changedBy = null } = {}) {
+    return inTransaction(null, async (db) => {
+      const current = await db.query(`
+        SELECT p.team_id, p.position, p.jersey_number, p.sold_price, t.deleted_at as team_deleted_at
+        FROM players p
+        LEFT JOIN teams t ON p.team_id = t.id
+        WHERE p.id = $1 AND p.user_id = $2 AND p.deleted_at IS NOT NULL
+        FOR UPDATE OF p
+      `, [id, userId]);
+      const player = current.rows[0];
+      if (!player) return false;
+
+      if (player.team_id !== null && player.team_deleted_at === null) {
+        await Team.checkBudget(player.team_id, player.sold_price ?? 0, userId, { client: db, excludePlayerId: id });
+        await Team.checkSquadRules(player.team_id, player.position, userId, { client: db, excludePlayerId: id });
+        await assertJerseyAvailable(db, player.team_id, player.jersey_number, id);
+
+        await db.query(
+          'UPDATE players SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [id]
+        );
+        return true;
+      }
+
+      // The team is in the trash: release the player and remember where to send them back
+      await db.query(
+        'UPDATE players SET deleted_at = NULL, team_id = NULL, released_from_team_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [id, player.team_id]
+      );
+      await PlayerTransfer.record({
+        playerId: id,
+        fromTeamId: player.team_id,
+        toTeamId: null,
+        reason: 'Restored while team is deleted',
+        changedBy,
+        userId
+      }, db);
+
+      return true;
+    });
+  }
+
+  /**
+   * Permanently delete players that have been in the trash longer than the retention period
+   * Runs across all leagues (see jobs/trashPurge.js). Players with scorecard lines are kept
+   * so match records and career stats stay complete.
+   * @param {number} retentionDays - Days a deleted player is kept
+   * @returns {Array} Purged players' headshot storage keys { photo_key, photo_thumb_key }
+   */
+  static async purgeDeleted(retentionDays) {
+    const result = await query(
+      `DELETE FROM players p
+       WHERE p.deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1::int)
+         AND NOT EXISTS (
+           SELECT 1 FROM batting_entries be WHERE be.player_id = p.id OR be.bowler_id = p.id
+         )
+         AND NOT EXISTS (SELECT 1 FROM bowling_entries bw WHERE bw.player_id = p.id)
+       RETURNING p.photo_key, p.photo_thumb_key`,
+      [retentionDays]
+    );
+
+    return result.rows;
+  }
+
   /**
    * Get player count for a user
    * @param {number} userId - User ID
+   * @param {Object} filters - Optional filters (see findAllByUserId)
    * @returns {number} Number of players
    */
-  static async countByUserId(userId) {
+  static async countByUserId(userId, filters = {}) {
+    const { where, params } = buildPlayerFilters(userId, filters);
     const result = await query(
-      'SELECT COUNT(*) as count FROM players WHERE user_id = $1',
-      [userId]
+      `SELECT COUNT(*) as count FROM players p WHERE ${where}`,
+      params
     );
     return parseInt(result.rows[0].count);
   }
@@ -211,41 +929,115 @@ class Player {
    */
   static async countByTeamId(teamId, userId) {
     const result = await query(
-      'SELECT COUNT(*) as count FROM players WHERE team_id = $1 AND user_id = $2',
+      'SELECT COUNT(*) as count FROM players WHERE team_id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [teamId, userId]
     );
     return parseInt(result.rows[0].count);
   }
 
   /**
-   * Search players by name
+   * Fuzzy search across player name, team name, position, club and exact jersey number
+   * Candidates come from the trigram indexes (a word-similarity or substring hit on any
+   * field); each field then gets a score (1 for a plain substring match), weighted by
+   * field, and hits are ranked by their best weighted score.
    * @param {string} searchQuery - Search query
    * @param {number} userId - User ID
-   * @returns {Array} Array of matching players
+   * @returns {Array} Best matches first (at most SEARCH_RESULT_LIMIT), each with score, matched_field and matched_fields
    */
   static async search(searchQuery, userId) {
-    const result = await query(`
-      SELECT 
-        p.id, 
-        p.player_name, 
-        p.position, 
-        p.jersey_number,
-        p.team_id,
-        t.team_name,
-        t.team_color,
-        t.team_logo,
-        p.created_at, 
-        p.updated_at 
-      FROM players p
-      LEFT JOIN teams t ON p.team_id = t.id
-      WHERE p.user_id = $1 AND (p.player_name ILIKE $2 OR t.team_name ILIKE $2) 
-      ORDER BY 
-        CASE WHEN p.team_id IS NULL THEN 0 ELSE 1 END,
-        t.team_name ASC NULLS FIRST, 
-        p.player_name ASC
-    `, [userId, `%${searchQuery}%`]);
-    
-    return result.rows;
+    // Larger numbers cannot be a jersey (and would overflow the integer column)
+    const jerseyNumber = /^\d+$/.test(searchQuery) && parseInt(searchQuery) <= MAX_JERSEY_NUMBER
+      ? parseInt(searchQuery)
+      : null;
+    const pattern = `%${searchQuery.replace(/[\\%_]/g, '\\$&')}%`;
+
+    const rows = await inTransaction(null, async (client) => {
+      // The <% operator matches at this threshold, so it agrees with the scores below
+      await client.query(
+        "SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)",
+        [String(MIN_SEARCH_SCORE)]
+      );
+
+      const result = await client.query(`
+        WITH candidates AS (
+          SELECT p.id FROM players p
+          WHERE p.user_id = $1 AND p.deleted_at IS NULL
+            AND ($2 <% p.player_name OR p.player_name ILIKE $3
+              OR $2 <% p.position OR p.position ILIKE $3
+              OR $2 <% p.club OR p.club ILIKE $3)
+          UNION
+          SELECT p.id FROM teams t
+          JOIN players p ON p.team_id = t.id
+          WHERE t.user_id = $1 AND p.deleted_at IS NULL
+            AND ($2 <% t.team_name OR t.team_name ILIKE $3)
+          UNION
+          SELECT p.id FROM players p
+          WHERE p.user_id = $1 AND p.deleted_at IS NULL AND p.jersey_number = $4
+        )
+        SELECT * FROM (
+          SELECT scored.*, GREATEST(
+            CASE WHEN player_name_score >= $5 THEN player_name_score * $6 ELSE 0 END,
+            CASE WHEN team_name_score >= $5 THEN team_name_score * $7 ELSE 0 END,
+            CASE WHEN position_score >= $5 THEN position_score * $8 ELSE 0 END,
+            CASE WHEN club_score >= $5 THEN club_score * $9 ELSE 0 END,
+            CASE WHEN jersey_number_score >= $5 THEN jersey_number_score * $10 ELSE 0 END
+          ) as weighted_score
+          FROM (
+            SELECT 
+              p.id, 
+              p.player_name, 
+              p.position, 
+              p.jersey_number,${PROFILE_SELECT},
+              p.team_id,
+              t.team_name,
+              t.team_color,
+              t.team_logo,
+              p.created_at, 
+              p.updated_at,
+              CASE WHEN p.player_name ILIKE $3 THEN 1 ELSE word_similarity($2, p.player_name) END as player_name_score,
+              CASE WHEN t.team_name ILIKE $3 THEN 1 ELSE COALESCE(word_similarity($2, t.team_name), 0) END as team_name_score,
+              CASE WHEN p.position ILIKE $3 THEN 1 ELSE COALESCE(word_similarity($2, p.position), 0) END as position_score,
+              CASE WHEN p.club ILIKE $3 THEN 1 ELSE COALESCE(word_similarity($2, p.club), 0) END as club_score,
+              CASE WHEN p.jersey_number = $4 THEN 1 ELSE 0 END as jersey_number_score
+            FROM candidates c
+            JOIN players p ON p.id = c.id
+            LEFT JOIN teams t ON p.team_id = t.id
+          ) scored
+        ) ranked
+        WHERE weighted_score > 0
+        ORDER BY weighted_score DESC, player_name ASC
+        LIMIT $11
+      `, [
+        userId, searchQuery, pattern, jerseyNumber, MIN_SEARCH_SCORE,
+        SEARCH_FIELD_WEIGHTS.player_name, SEARCH_FIELD_WEIGHTS.team_name, SEARCH_FIELD_WEIGHTS.position,
+        SEARCH_FIELD_WEIGHTS.club, SEARCH_FIELD_WEIGHTS.jersey_number, SEARCH_RESULT_LIMIT
+      ]);
+
+      return result.rows;
+    });
+
+    return rows
+      .map(({ player_name_score, team_name_score, position_score, club_score, jersey_number_score, weighted_score, ...player }) => {
+        const fieldScores = {
+          player_name: player_name_score,
+          team_name: team_name_score,
+          position: position_score,
+          club: club_score,
+          jersey_number: jersey_number_score
+        };
+        const matchedFields = Object.keys(fieldScores)
+          .filter(field => fieldScores[field] >= MIN_SEARCH_SCORE)
+          .sort((a, b) => fieldScores[b] * SEARCH_FIELD_WEIGHTS[b] - fieldScores[a] * SEARCH_FIELD_WEIGHTS[a]);
+        const bestField = matchedFields[0];
+
+        return {
+          ...player,
+          score: Math.round(fieldScores[bestField] * SEARCH_FIELD_WEIGHTS[bestField] * 1000) / 1000,
+          matched_field: bestField,
+          matched_fields: matchedFields
+        };
+      })
+      .sort((a, b) => b.score - a.score || a.player_name.localeCompare(b.player_name));
   }
 }
 
@@ -0,0 +1,111 @@
+/**
+ * Player Transfer Model - PostgreSQL
+ * Records and reads the history of player team changes
+ */
+
+import { query } from '../config/database.js';
+
+/**
+ * Run a query on a transaction client when given, otherwise on the pool
+ * @param {Object|null} client - Client from getClient() or null
+ * @param {string} text - SQL query text
+ * @param {Array} params - Query parameters
+ * @returns {Promise} Query result
+ */
+const run = (client, text, params) => (client ? client.query(text, params) : query(text, params));
+
+const TRANSFER_COLUMNS = `
+  pt.id,
+  pt.player_id,
+  p.player_name,
+  pt.from_team_id,
+  pt.from_team_name,
+  pt.to_team_id,
+  pt.to_team_name,
+  pt.sold_price,
+  pt.reason,
+  pt.changed_by,
+  u.username as changed_by_username,
+  pt.created_at
+`;
+
+class PlayerTransfer {
+  /**
+   * Record a team change for a player
+   * Does nothing when the team did not actually change.
+   * @param {Object} transfer - Transfer details
+   * @param {number} transfer.playerId - Player ID
+   * @param {number|null} transfer.fromTeamId - Previous team (null for the global pool)
+   * @param {number|null} transfer.toTeamId - New team (null for the global pool)
+   * @param {number|null} transfer.soldPrice - Price paid by the new team
+   * @param {string|null} transfer.reason - Optional reason
+   * @param {number|null} transfer.changedBy - Account that made the change
+   * @param {number} transfer.userId - League owner ID
+   * @param {Object|null} client - Optional transaction client
+   * @returns {Object|null} Created transfer or null if nothing changed
+   */
+  static async record({ playerId, fromTeamId, toTeamId, soldPrice = null, reason = null, changedBy = null, userId }, client = null) {
+    const from = fromTeamId ?? null;
+    const to = toTeamId ?? null;
+    if (from === to) return null;
+
+    const result = await run(client, `
+      INSERT INTO player_transfers
+        (player_id, from_team_id, from_team_name, to_team_id, to_team_name, sold_price, reason, changed_by, user_id)
+      VALUES (
+        $1,
+        $2, (SELECT team_name FROM teams WHERE id = $2),
+        $3, (SELECT team_name FROM teams WHERE id = $3),
+        $4, $5, $6, $7
+      )
+      RETURNING *
+    `, [playerId, from, to, to === null ? null : soldPrice, reason || null, changedBy, userId]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get the transfer history of a player, oldest first
+   * @param {number} playerId - Player ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Array} Transfers
+   */
+  static async findByPlayerId(playerId, userId) {
+    const result = await query(`
+      SELECT ${TRANSFER_COLUMNS}
+      FROM player_transfers pt
+      JOIN players p ON pt.player_id = p.id
+      LEFT JOIN users u ON pt.changed_by = u.id
+      WHERE pt.player_id = $1 AND pt.user_id = $2
+      ORDER BY pt.created_at ASC, pt.id ASC
+    `, [playerId, userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get the players who joined and left a team, newest first
+   * @param {number} teamId - Team ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object} { ins, outs }
+   */
+  static async findByTeamId(teamId, userId) {
+    const result = await query(`
+      SELECT
+        ${TRANSFER_COLUMNS},
+        CASE WHEN pt.to_team_id = $1 THEN 'in' ELSE 'out' END as direction
+      FROM player_transfers pt
+      JOIN players p ON pt.player_id = p.id
+      LEFT JOIN users u ON pt.changed_by = u.id
+      WHERE (pt.to_team_id = $1 OR pt.from_team_id = $1) AND pt.user_id = $2
+      ORDER BY pt.created_at DESC, pt.id DESC
+    `, [teamId, userId]);
+
+    return {
+      ins: result.rows.filter(transfer => transfer.direction === 'in'),
+      outs: result.rows.filter(transfer => transfer.direction === 'out')
+    };
+  }
+}
+
+export default PlayerTransfer;
@@ -0,0 +1,481 @@
+/**
+ * Scorecard Model - PostgreSQL
+ * Handles innings scorecards and the batting and bowling statistics built from them
+ */
+
+import { query, getClient, rollbackQuietly } from '../config/database.js';
+import HttpError from '../utils/httpError.js';
+
+export const BALLS_PER_OVER = 6;
+export const MAX_WICKETS = 10;
+
+// How a batter's innings ended; the first two leave the batter not out
+export const DISMISSAL_TYPES = [
+  'not_out',
+  'retired_hurt',
+  'bowled',
+  'caught',
+  'lbw',
+  'stumped',
+  'hit_wicket',
+  'run_out',
+  'retired_out',
+  'obstructing_the_field',
+  'timed_out'
+];
+export const NOT_OUT_DISMISSALS = ['not_out', 'retired_hurt'];
+// Dismissals credited to the bowler, so they may name one
+export const BOWLER_DISMISSALS = ['bowled', 'caught', 'lbw', 'stumped', 'hit_wicket'];
+
+// Joins a match (m) to the season it belongs to: its home team's season
+const MATCH_SEASON_JOIN = `
+      JOIN teams home ON m.home_team_id = home.id
+      JOIN seasons season ON home.season_id = season.id`;
+
+/**
+ * Convert cricket overs notation to balls (3.4 overs = 22 balls)
+ * @param {number|string} overs - Overs, with balls of an unfinished over after the point
+ * @returns {number|null} Balls, or null if the notation is invalid
+ */
+export const oversToBalls = (overs) => {
+  const match = /^(\d+)(?:\.([0-5]))?$/.exec(String(overs).trim());
+  if (!match) return null;
+  return parseInt(match[1]) * BALLS_PER_OVER + parseInt(match[2] || '0');
+};
+
+/**
+ * Convert balls to cricket overs notation (22 balls = 3.4)
+ * @param {number} balls - Legal balls bowled
+ * @returns {number} Overs
+ */
+export const ballsToOvers = (balls) => {
+  return Math.floor(balls / BALLS_PER_OVER) + (balls % BALLS_PER_OVER) / 10;
+};
+
+/**
+ * Divide and round to two decimals
+ * @param {number} value - Dividend
+ * @param {number} by - Divisor
+ * @returns {number|null} Rounded quotient, or null when dividing by zero
+ */
+const ratio = (value, by) => (by > 0 ? Math.round((value / by) * 100) / 100 : null);
+
+/**
+ * Add up batting innings into career-style figures
+ * @param {Array} rows - Batting entries with runs, balls, fours, sixes and dismissal
+ * @returns {Object} Batting summary
+ */
+const summarizeBatting = (rows) => {
+  const innings = rows.length;
+  const notOuts = rows.filter(row => NOT_OUT_DISMISSALS.includes(row.dismissal)).length;
+  const runs = rows.reduce((sum, row) => sum + row.runs, 0);
+  const balls = rows.reduce((sum, row) => sum + row.balls, 0);
+
+  // Highest score; a not-out score ranks above the same score when out
+  const best = rows.reduce((top, row) => {
+    const notOut = NOT_OUT_DISMISSALS.includes(row.dismissal);
+    if (!top || row.runs > top.runs || (row.runs === top.runs && notOut && !top.not_out)) {
+      return { runs: row.runs, not_out: notOut };
+    }
+    return top;
+  }, null);
+
+  return {
+    innings,
+    not_outs: notOuts,
+    runs,
+    balls,
+    fours: rows.reduce((sum, row) => sum + row.fours, 0),
+    sixes: rows.reduce((sum, row) => sum + row.sixes, 0),
+    highest_score: best,
+    average: ratio(runs, innings - notOuts),
+    strike_rate: ratio(runs * 100, balls),
+    fifties: rows.filter(row => row.runs >= 50 && row.runs < 100).length,
+    hundreds: rows.filter(row => row.runs >= 100).length
+  };
+};
+
+/**
+ * Add up bowling innings into career-style figures
+ * @param {Array} rows - Bowling entries with balls, maidens, runs and wickets
+ * @returns {Object} Bowling summary
+ */
+const summarizeBowling = (rows) => {
+  const balls = rows.reduce((sum, row) => sum + row.balls, 0);
+  const runs = rows.reduce((sum, row) => sum + row.runs, 0);
+  const wickets = rows.reduce((sum, row) => sum + row.wickets, 0);
+
+  // Best figures: most wickets, then fewest runs
+  const best = rows.reduce((top, row) => {
+    if (!top || row.wickets > top.wickets || (row.wickets === top.wickets && row.runs < top.runs)) {
+      return { wickets: row.wickets, runs: row.runs };
+    }
+    return top;
+  }, null);
+
+  return {
+    innings: rows.length,
+    overs: ballsToOvers(balls),
+    balls,
+    maidens: rows.reduce((sum, row) => sum + row.maidens, 0),
+    runs,
+    wickets,
+    best_figures: best,
+    average: ratio(runs, wickets),
+    economy: ratio(runs * BALLS_PER_OVER, balls),
+    strike_rate: ratio(balls, wickets),
+    five_wicket_hauls: rows.filter(row => row.wickets >= 5).length
+  };
+};
+
+/**
+ * Check that every player can appear for their side in this match
+ * A player must be in the league and either in the team's squad (in any
+ * season) or already recorded for it in this match (so old scorecards can be
+ * edited after a transfer).
+ * @param {Object} client - Transaction client
+ * @param {number} matchId - Match ID
+ * @param {Array<Object>} entries - { player_id, team_id } for every batter and bowler
+ * @param {number} userId - User ID
+ * @throws {HttpError} 409 listing the players who cannot be used
+ */
+const assertPlayersInSides = async (client, matchId, entries, userId) => {
+  const playerIds = entries.map(entry => entry.player_id);
+  const players = await client.query(
+    'SELECT id, player_name FROM players WHERE id = ANY($1::int[]) AND user_id = $2 AND deleted_at IS NULL',
+    [playerIds, userId]
+  );
+  const sides = await client.query(`
+    SELECT s.id as player_id, s.team_id FROM squad_members s WHERE s.id = ANY($2::int[])
+    UNION
+    SELECT b.player_id, b.team_id FROM batting_entries b JOIN innings i ON b.innings_id = i.id WHERE i.match_id = $1
+    UNION
+    SELECT w.player_id, w.team_id FROM bowling_entries w JOIN innings i ON w.innings_id = i.id WHERE i.match_id = $1
+  `, [matchId, playerIds]);
+
+  const playersById = new Map(players.rows.map(player => [player.id, player]));
+  const allowedFor = new Set(sides.rows.map(row => `${row.player_id}:${row.team_id}`));
+
+  const invalid = entries
+    .filter(entry => !playersById.has(entry.player_id) || !allowedFor.has(`${entry.player_id}:${entry.team_id}`))
+    .map(entry => ({
+      player_id: entry.player_id,
+      player_name: playersById.get(entry.player_id)?.player_name ?? null,
+      team_id: entry.team_id
+    }));
+
+  if (invalid.length > 0) {
+    throw new HttpError(409, `${invalid.length} player(s) are not in the team they are listed for.`, { invalid_players: invalid });
+  }
+};
+
+class Scorecard {
+  /**
+   * Save one innings of a match, replacing any figures already entered for it
+   * @param {number} matchId - Match ID
+   * @param {number} inningsNumber - Innings number (1-4)
+   * @param {Object} innings - Parsed innings
+   * @param {number} innings.battingTeamId - Batting side
+   * @param {number} innings.bowlingTeamId - Bowling side
+   * @param {number} innings.extras - Extras conceded
+   * @param {Array} innings.batting - { player_id, runs, balls, fours, sixes, dismissal, bowler_id } in batting order
+   * @param {Array} innings.bowling - { player_id, balls, maidens, runs, wickets }
+   * @param {number} userId - User ID
+   * @returns {number} Innings ID
+   */
+  static async saveInnings(matchId, inningsNumber, { battingTeamId, bowlingTeamId, extras, batting, bowling }, userId) {
+    const client = await getClient();
+    let rollbackError;
+
+    try {
+      await client.query('BEGIN');
+
+      await assertPlayersInSides(client, matchId, [
+        ...batting.map(entry => ({ player_id: entry.player_id, team_id: battingTeamId })),
+        ...bowling.map(entry => ({ player_id: entry.player_id, team_id: bowlingTeamId }))
+      ], userId);
+
+      const saved = await client.query(`
+        INSERT INTO innings (match_id, innings_number, batting_team_id, bowling_team_id, extras, user_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (match_id, innings_number) DO UPDATE
+        SET batting_team_id = EXCLUDED.batting_team_id,
+            bowling_team_id = EXCLUDED.bowling_team_id,
+            extras = EXCLUDED.extras,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING id
+      `, [matchId, inningsNumber, battingTeamId, bowlingTeamId, extras, userId]);
+      const inningsId = saved.rows[0].id;
+
+      await client.query('DELETE FROM batting_entries WHERE innings_id = $1', [inningsId]);
+      await client.query('DELETE FROM bowling_entries WHERE innings_id = $1', [inningsId]);
+
+      for (const [index, entry] of batting.entries()) {
+        await client.query(
+          'INSERT INTO batting_entries (innings_id, player_id, team_id, batting_position, runs, balls, fours, sixes, dismissal, bowler_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)',
+          [inningsId, entry.player_id, battingTeamId, index + 1, entry.runs, entry.balls, entry.fours, entry.sixes, entry.dismissal, entry.bowler_id]
+        );
+      }
+      for (const entry of bowling) {
+        await client.query(
+          'INSERT INTO bowling_entries (innings_id, player_id, team_id, balls, maidens, runs, wickets) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+          [inningsId, entry.player_id, bowlingTeamId, entry.balls, entry.maidens, entry.runs, entry.wickets]
+        );
+      }
+
+      await client.query('COMMIT');
+      return inningsId;
+    } catch (error) {
+      rollbackError = await rollbackQuietly(client);
+      throw error;
+    } finally {
+      client.release(rollbackError);
+    }
+  }
+
+  /**
+   * Delete one innings of a match
+   * @param {number} matchId - Match ID
+   * @param {number} inningsNumber - Innings number
+   * @param {number} userId - User ID (for authorization)
+   * @returns {boolean} True if an innings was deleted
+   */
+  static async deleteInnings(matchId, inningsNumber, userId) {
+    const result = await query(
+      'DELETE FROM innings WHERE match_id = $1 AND innings_number = $2 AND user_id = $3',
+      [matchId, inningsNumber, userId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Get the full scorecard of a match
+   * @param {number} matchId - Match ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Array} Innings in order, each with totals, batting and bowling figures
+   */
+  static async findByMatchId(matchId, userId) {
+    const inningsResult = await query(`
+      SELECT i.id, i.innings_number, i.batting_team_id, bt.team_name as batting_team_name,
+        i.bowling_team_id, wt.team_name as bowling_team_name, i.extras
+      FROM innings i
+      JOIN teams bt ON i.batting_team_id = bt.id
+      JOIN teams wt ON i.bowling_team_id = wt.id
+      WHERE i.match_id = $1 AND i.user_id = $2
+      ORDER BY i.innings_number ASC
+    `, [matchId, userId]);
+    if (inningsResult.rows.length === 0) return [];
+
+    const inningsIds = inningsResult.rows.map(innings => innings.id);
+    const battingResult = await query(`
+      SELECT b.innings_id, b.player_id, p.player_name, b.batting_position, b.runs, b.balls, b.fours, b.sixes,
+        b.dismissal, b.bowler_id, bp.player_name as bowler_name
+      FROM batting_entries b
+      JOIN players p ON b.player_id = p.id
+      LEFT JOIN players bp ON b.bowler_id = bp.id
+      WHERE b.innings_id = ANY($1::int[])
+      ORDER BY b.batting_position ASC
+    `, [inningsIds]);
+    const bowlingResult = await query(`
+      SELECT w.innings_id, w.player_id, p.player_name, w.balls, w.maidens, w.runs, w.wickets
+      FROM bowling_entries w
+      JOIN players p ON w.player_id = p.id
+      WHERE w.innings_id = ANY($1::int[])
+      ORDER BY w.id ASC
+    `, [inningsIds]);
+
+    return inningsResult.rows.map(({ id, ...innings }) => {
+      const batting = battingResult.rows
+        .filter(entry => entry.innings_id === id)
+        .map(({ innings_id, ...entry }) => ({ ...entry, strike_rate: ratio(entry.runs * 100, entry.balls) }));
+      const bowling = bowlingResult.rows
+        .filter(entry => entry.innings_id === id)
+        .map(({ innings_id, ...entry }) => ({
+          ...entry,
+          overs: ballsToOvers(entry.balls),
+          economy: ratio(entry.runs * BALLS_PER_OVER, entry.balls)
+        }));
+      const balls = bowling.reduce((sum, entry) => sum + entry.balls, 0);
+
+      return {
+        ...innings,
+        total_runs: batting.reduce((sum, entry) => sum + entry.runs, 0) + innings.extras,
+        wickets: batting.filter(entry => !NOT_OUT_DISMISSALS.includes(entry.dismissal)).length,
+        overs: ballsToOvers(balls),
+        balls,
+        batting,
+        bowling
+      };
+    });
+  }
+
+  /**
+   * Get the first two innings totals of every finished match in a season
+   * Matches involving a deleted team are left out.
+   * @param {number} userId - User ID
+   * @param {number} seasonId - Season ID
+   * @returns {Array} Matches ({ id, home_team_id, away_team_id, overs, status, innings: [{ batting_team_id, runs, wickets, balls }] })
+   */
+  static async findMatchTotals(userId, seasonId) {
+    const result = await query(`
+      SELECT m.id, m.home_team_id, m.away_team_id, m.overs, m.status,
+        i.innings_number, i.batting_team_id,
+        i.extras + COALESCE((SELECT SUM(b.runs) FROM batting_entries b WHERE b.innings_id = i.id), 0)::int as runs,
+        (SELECT COUNT(*) FROM batting_entries b WHERE b.innings_id = i.id AND b.dismissal <> ALL($2::text[]))::int as wickets,
+        COALESCE((SELECT SUM(w.balls) FROM bowling_entries w WHERE w.innings_id = i.id), 0)::int as balls
+      FROM matches m
+      JOIN teams home ON m.home_team_id = home.id AND home.deleted_at IS NULL
+      JOIN teams away ON m.away_team_id = away.id AND away.deleted_at IS NULL
+      LEFT JOIN innings i ON i.match_id = m.id AND i.innings_number <= 2
+      WHERE m.user_id = $1 AND home.season_id = $3 AND m.status IN ('completed', 'abandoned')
+      ORDER BY m.id ASC, i.innings_number ASC
+    `, [userId, NOT_OUT_DISMISSALS, seasonId]);
+
+    const matches = new Map();
+    result.rows.forEach(({ innings_number, batting_team_id, runs, wickets, balls, ...match }) => {
+      if (!matches.has(match.id)) matches.set(match.id, { ...match, innings: [] });
+      if (innings_number !== null) {
+        matches.get(match.id).innings.push({ batting_team_id, runs, wickets, balls });
+      }
+    });
+
+    return [...matches.values()];
+  }
+
+  /**
+   * Get a player's career and per-season batting and bowling figures
+   * @param {number} playerId - Player ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object} { matches, career: { batting, bowling }, seasons: [{ season_id, season_name, matches, batting, bowling }] }
+   */
+  static async getPlayerStats(playerId, userId) {
+    const battingResult = await query(`
+      SELECT m.id as match_id, season.id as season_id, season.name as season_name, b.runs, b.balls, b.fours, b.sixes, b.dismissal
+      FROM batting_entries b
+      JOIN innings i ON b.innings_id = i.id
+      JOIN matches m ON i.match_id = m.id${MATCH_SEASON_JOIN}
+      WHERE b.player_id = $1 AND m.user_id = $2
+    `, [playerId, userId]);
+    const bowlingResult = await query(`
+      SELECT m.id as match_id, season.id as season_id, season.name as season_name, w.balls, w.maidens, w.runs, w.wickets
+      FROM bowling_entries w
+      JOIN innings i ON w.innings_id = i.id
+      JOIN matches m ON i.match_id = m.id${MATCH_SEASON_JOIN}
+      WHERE w.player_id = $1 AND m.user_id = $2
+    `, [playerId, userId]);
+
+    const batting = battingResult.rows;
+    const bowling = bowlingResult.rows;
+    const countMatches = (rows) => new Set(rows.map(row => row.match_id)).size;
+
+    // Newest season first
+    const seasonNames = new Map([...batting, ...bowling].map(row => [row.season_id, row.season_name]));
+    const seasons = [...seasonNames.keys()]
+      .sort((a, b) => b - a)
+      .map(seasonId => {
+        const seasonBatting = batting.filter(row => row.season_id === seasonId);
+        const seasonBowling = bowling.filter(row => row.season_id === seasonId);
+        return {
+          season_id: seasonId,
+          season_name: seasonNames.get(seasonId),
+          matches: countMatches([...seasonBatting, ...seasonBowling]),
+          batting: summarizeBatting(seasonBatting),
+          bowling: summarizeBowling(seasonBowling)
+        };
+      });
+
+    return {
+      matches: countMatches([...batting, ...bowling]),
+      career: {
+        batting: summarizeBatting(batting),
+        bowling: summarizeBowling(bowling)
+      },
+      seasons
+    };
+  }
+
+  /**
+   * Get the top run scorers and wicket takers
+   * @param {number} userId - User ID
+   * @param {Object} options - Optional settings
+   * @param {number|null} options.seasonId - Only this season (every season when null)
+   * @param {number} options.limit - Players per list
+   * @returns {Object} { runs, wickets } leaderboards, best first
+   */
+  static async getLeaderboards(userId, { seasonId = null, limit = 10 } = {}) {
+    const runs = await query(`
+      SELECT p.id as player_id, p.player_name, p.team_id, t.team_name,
+        COUNT(*) as innings,
+        SUM(b.runs) as runs,
+        SUM(b.balls) as balls,
+        COUNT(*) FILTER (WHERE b.dismissal <> ALL($4::text[])) as dismissals,
+        MAX(b.runs) as highest_score
+      FROM batting_entries b
+      JOIN innings i ON b.innings_id = i.id
+      JOIN matches m ON i.match_id = m.id${MATCH_SEASON_JOIN}
+      JOIN players p ON b.player_id = p.id
+      LEFT JOIN teams t ON p.team_id = t.id
+      WHERE m.user_id = $1 AND p.deleted_at IS NULL AND ($2::int IS NULL OR season.id = $2)
+      GROUP BY p.id, t.team_name
+      ORDER BY SUM(b.runs) DESC, SUM(b.balls) ASC, p.player_name ASC
+      LIMIT $3
+    `, [userId, seasonId, limit, NOT_OUT_DISMISSALS]);
+
+    const wickets = await query(`
+      SELECT p.id as player_id, p.player_name, p.team_id, t.team_name,
+        COUNT(*) as innings,
+        SUM(w.wickets) as wickets,
+        SUM(w.runs) as runs,
+        SUM(w.balls) as balls
+      FROM bowling_entries w
+      JOIN innings i ON w.innings_id = i.id
+      JOIN matches m ON i.match_id = m.id${MATCH_SEASON_JOIN}
+      JOIN players p ON w.player_id = p.id
+      LEFT JOIN teams t ON p.team_id = t.id
+      WHERE m.user_id = $1 AND p.deleted_at IS NULL AND ($2::int IS NULL OR season.id = $2)
+      GROUP BY p.id, t.team_name
+      HAVING SUM(w.wickets) > 0
+      ORDER BY SUM(w.wickets) DESC, SUM(w.runs) ASC, p.player_name ASC
+      LIMIT $3
+    `, [userId, seasonId, limit]);
+
+    return {
+      runs: runs.rows.map((row, index) => {
+        const total = parseInt(row.runs);
+        const balls = parseInt(row.balls);
+        const dismissals = parseInt(row.dismissals);
+        return {
+          rank: index + 1,
+          player_id: row.player_id,
+          player_name: row.player_name,
+          team_id: row.team_id,
+          team_name: row.team_name,
+          innings: parseInt(row.innings),
+          runs: total,
+          highest_score: row.highest_score,
+          average: ratio(total, dismissals),
+          strike_rate: ratio(total * 100, balls)
+        };
+      }),
+      wickets: wickets.rows.map((row, index) => {
+        const total = parseInt(row.wickets);
+        const runsConceded = parseInt(row.runs);
+        const balls = parseInt(row.balls);
+        return {
+          rank: index + 1,
+          player_id: row.player_id,
+          player_name: row.player_name,
+          team_id: row.team_id,
+          team_name: row.team_name,
+          innings: parseInt(row.innings),
+          wickets: total,
+          overs: ballsToOvers(balls),
+          average: ratio(runsConceded, total),
+          economy: ratio(runsConceded * BALLS_PER_OVER, balls)
+        };
+      })
+    };
+  }
+}
+
+export default Scorecard;
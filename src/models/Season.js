@@ -0,0 +1,383 @@
+/**
+ * Season Model - PostgreSQL
+ * Handles seasons, switching the active season and carrying teams into a new one
+ *
+ * Teams belong to one season. Players belong to the league and keep their
+ * identity across seasons; their squad place in the active season lives on
+ * players.team_id, and squads of every other season in squad_memberships.
+ */
+
+import { query, getClient, rollbackQuietly } from '../config/database.js';
+import HttpError from '../utils/httpError.js';
+
+// Dates come back as 'YYYY-MM-DD'; a JS Date would shift them with the server time zone
+const SEASON_COLUMNS = `id, name, to_char(start_date, 'YYYY-MM-DD') as start_date,
+  to_char(end_date, 'YYYY-MM-DD') as end_date, is_active, created_at, updated_at`;
+
+/**
+ * Reject a season name another season of the league already uses
+ * @param {Object} db - Query runner (pool wrapper or transaction client)
+ * @param {string} name - Season name
+ * @param {number} userId - User ID
+ * @param {number|null} excludeId - Season being renamed
+ * @throws {HttpError} 409 if the name is taken
+ */
+const assertNameFree = async (db, name, userId, excludeId = null) => {
+  const result = await db.query(
+    'SELECT id FROM seasons WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND id IS DISTINCT FROM $3',
+    [userId, name, excludeId]
+  );
+  if (result.rows.length > 0) {
+    throw new HttpError(409, `A season named "${name}" already exists.`);
+  }
+};
+
+/**
+ * Switch a league's active season inside the caller's transaction
+ * The outgoing season's squads, and players released from its trashed teams,
+ * are filed in squad_memberships, every player leaves their team, and the
+ * incoming season's squads and releases are loaded onto the players. Team
+ * managers follow their team to its copy in the new season, or are left
+ * without a team when it has none.
+ * @param {Object} client - Transaction client
+ * @param {number} id - Season to activate (locked, not yet active)
+ * @param {number} userId - User ID
+ * @returns {Object} The activated season
+ * @throws {HttpError} 409 while an auction is open
+ */
+const switchActiveSeason = async (client, id, userId) => {
+  const openAuctions = await client.query(
+    "SELECT COUNT(*) as count FROM auction_sessions WHERE user_id = $1 AND status = 'open'",
+    [userId]
+  );
+  if (parseInt(openAuctions.rows[0].count) > 0) {
+    throw new HttpError(409, 'Close the open auction before switching seasons.');
+  }
+
+  const current = await client.query(
+    'SELECT id FROM seasons WHERE user_id = $1 AND is_active FOR UPDATE',
+    [userId]
+  );
+  if (current.rows[0]) {
+    const currentId = current.rows[0].id;
+    await client.query('DELETE FROM squad_memberships WHERE season_id = $1', [currentId]);
+    await client.query(`
+      INSERT INTO squad_memberships (season_id, player_id, team_id, released_from_team_id, jersey_number, sold_price)
+      SELECT $1, p.id, p.team_id, CASE WHEN p.team_id IS NULL THEN p.released_from_team_id END, p.jersey_number, p.sold_price
+      FROM players p
+      JOIN teams t ON t.id = COALESCE(p.team_id, p.released_from_team_id)
+      WHERE t.season_id = $1
+    `, [currentId]);
+    await client.query(
+      'UPDATE seasons SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [currentId]
+    );
+  }
+
+  // Jersey numbers, prices and releases belong to the squad place, so they go with it
+  await client.query(`
+    UPDATE players SET team_id = NULL, jersey_number = NULL, sold_price = NULL, released_from_team_id = NULL
+    WHERE user_id = $1 AND (team_id IS NOT NULL OR released_from_team_id IS NOT NULL)
+  `, [userId]);
+  await client.query(`
+    UPDATE players p
+    SET team_id = m.team_id, released_from_team_id = m.released_from_team_id,
+        jersey_number = m.jersey_number, sold_price = m.sold_price
+    FROM squad_memberships m
+    WHERE m.season_id = $1 AND m.player_id = p.id
+  `, [id]);
+  await client.query('DELETE FROM squad_memberships WHERE season_id = $1', [id]);
+
+  // Managers follow their team's line of copies (any number of clones back or
+  // forward) into the incoming season, and lose the team when it has no copy there
+  await client.query(`
+    WITH RECURSIVE lineage AS (
+      SELECT id, id as root_id FROM teams WHERE user_id = $1 AND source_team_id IS NULL
+      UNION ALL
+      SELECT t.id, l.root_id FROM teams t JOIN lineage l ON t.source_team_id = l.id
+    )
+    UPDATE users u
+    SET team_id = (
+      SELECT target.id
+      FROM lineage managed
+      JOIN lineage copy ON copy.root_id = managed.root_id
+      JOIN teams target ON target.id = copy.id
+      WHERE managed.id = u.team_id AND target.season_id = $2 AND target.deleted_at IS NULL
+      ORDER BY target.id
+      LIMIT 1
+    ), updated_at = CURRENT_TIMESTAMP
+    WHERE u.owner_id = $1 AND u.team_id IS NOT NULL
+  `, [userId, id]);
+
+  const activated = await client.query(
+    `UPDATE seasons SET is_active = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING ${SEASON_COLUMNS}`,
+    [id]
+  );
+  return activated.rows[0];
+};
+
+class Season {
+  /**
+   * Start a league's first season, named after the current year and active
+   * Called when a league owner account is created; does nothing if the league
+   * already has a season.
+   * @param {number} userId - League owner's user ID
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   */
+  static async createInitial(userId, { client = null } = {}) {
+    const db = client || { query };
+    await db.query(`
+      INSERT INTO seasons (user_id, name, is_active)
+      SELECT $1, EXTRACT(YEAR FROM CURRENT_DATE)::text, TRUE
+      WHERE NOT EXISTS (SELECT 1 FROM seasons WHERE user_id = $1)
+      ON CONFLICT DO NOTHING
+    `, [userId]);
+  }
+
+  /**
+   * Get the active season
+   * @param {number} userId - User ID
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @returns {Object|null} Active season or null
+   */
+  static async findActive(userId, { client = null } = {}) {
+    const db = client || { query };
+    const result = await db.query(
+      `SELECT ${SEASON_COLUMNS} FROM seasons WHERE user_id = $1 AND is_active`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a season
+   * @param {number} id - Season ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object|null} Season or null
+   */
+  static async findById(id, userId) {
+    const result = await query(
+      `SELECT ${SEASON_COLUMNS} FROM seasons WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Pick the season a list request is about
+   * @param {number} userId - User ID
+   * @param {*} seasonId - Raw season_id query value; the active season when missing
+   * @returns {Object} Season
+   * @throws {HttpError} 400 for a malformed ID, 404 if there is no such season
+   */
+  static async resolve(userId, seasonId) {
+    const useActive = seasonId === undefined || seasonId === '';
+    if (!useActive && !/^\d+$/.test(String(seasonId))) {
+      throw new HttpError(400, 'season_id must be a positive integer.');
+    }
+
+    const season = useActive
+      ? await this.findActive(userId)
+      : await this.findById(parseInt(seasonId), userId);
+    if (!season) {
+      throw new HttpError(404, 'Season not found.');
+    }
+    return season;
+  }
+
+  /**
+   * Get all seasons of a league, newest first, with team and match counts
+   * @param {number} userId - User ID
+   * @returns {Array} Seasons
+   */
+  static async findAllByUserId(userId) {
+    const result = await query(`
+      SELECT
+        s.id, s.name, to_char(s.start_date, 'YYYY-MM-DD') as start_date,
+        to_char(s.end_date, 'YYYY-MM-DD') as end_date, s.is_active, s.created_at, s.updated_at,
+        (SELECT COUNT(*) FROM teams t WHERE t.season_id = s.id AND t.deleted_at IS NULL) as team_count,
+        (SELECT COUNT(*) FROM matches m JOIN teams home ON m.home_team_id = home.id WHERE home.season_id = s.id) as match_count
+      FROM seasons s
+      WHERE s.user_id = $1
+      ORDER BY s.is_active DESC, COALESCE(s.start_date, s.created_at::date) DESC, s.id DESC
+    `, [userId]);
+
+    return result.rows.map(row => ({
+      ...row,
+      team_count: parseInt(row.team_count),
+      match_count: parseInt(row.match_count)
+    }));
+  }
+
+  /**
+   * Create an empty season (not active)
+   * @param {Object} season - Season fields
+   * @param {string} season.name - Season name
+   * @param {string|null} season.startDate - First day (YYYY-MM-DD)
+   * @param {string|null} season.endDate - Last day (YYYY-MM-DD)
+   * @param {number} userId - User ID
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @returns {Object} Created season
+   */
+  static async create({ name, startDate = null, endDate = null }, userId, { client = null } = {}) {
+    const db = client || { query };
+    await assertNameFree(db, name, userId);
+
+    const result = await db.query(
+      `INSERT INTO seasons (user_id, name, start_date, end_date) VALUES ($1, $2, $3, $4) RETURNING ${SEASON_COLUMNS}`,
+      [userId, name, startDate, endDate]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Rename a season or change its dates
+   * @param {number} id - Season ID
+   * @param {Object} season - Season fields (see create)
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object|null} Updated season or null if not found
+   */
+  static async update(id, { name, startDate = null, endDate = null }, userId) {
+    await assertNameFree({ query }, name, userId, id);
+
+    const result = await query(`
+      UPDATE seasons SET name = $1, start_date = $2, end_date = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND user_id = $5
+      RETURNING ${SEASON_COLUMNS}
+    `, [name, startDate, endDate, id, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Make a season the active one, carrying squads over as described in switchActiveSeason
+   * @param {number} id - Season ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object|null} The activated season, or null if not found
+   * @throws {HttpError} 409 while an auction is open
+   */
+  static async activate(id, userId) {
+    const client = await getClient();
+    let rollbackError;
+
+    try {
+      await client.query('BEGIN');
+
+      const target = await client.query(
+        `SELECT ${SEASON_COLUMNS} FROM seasons WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+        [id, userId]
+      );
+      if (target.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (target.rows[0].is_active) {
+        await client.query('COMMIT');
+        return target.rows[0];
+      }
+
+      const activated = await switchActiveSeason(client, id, userId);
+
+      await client.query('COMMIT');
+      return activated;
+    } catch (error) {
+      rollbackError = await rollbackQuietly(client);
+      throw error;
+    } finally {
+      client.release(rollbackError);
+    }
+  }
+
+  /**
+   * Start a new season with copies of another season's teams
+   * Retained players keep their jersey number and price in the copy of their
+   * team. Uploaded logos are not copied here (see copyImage).
+   * @param {number} sourceId - Season to copy from
+   * @param {Object} season - New season fields (see create)
+   * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.retainAll - Carry every squad player over
+   * @param {Array<number>} options.retainedPlayerIds - Players to carry over (ignored with retainAll)
+   * @param {boolean} options.activate - Make the new season active in the same transaction
+   * @returns {Object|null} { season, teams, retained_players }, or null if the source season is missing
+   * @throws {HttpError} 409 if a retained player was not in a squad of the source season, or when activating while an auction is open
+   */
+  static async clone(sourceId, { name, startDate = null, endDate = null }, userId, { retainAll = false, retainedPlayerIds = [], activate = false } = {}) {
+    const client = await getClient();
+    let rollbackError;
+
+    try {
+      await client.query('BEGIN');
+
+      const source = await client.query(
+        'SELECT id FROM seasons WHERE id = $1 AND user_id = $2',
+        [sourceId, userId]
+      );
+      if (source.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const created = await this.create({ name, startDate, endDate }, userId, { client });
+
+      const sourceTeams = await client.query(`
+        SELECT id, team_name, team_logo, team_color, description, purse_amount
+        FROM teams
+        WHERE season_id = $1 AND user_id = $2 AND deleted_at IS NULL
+        ORDER BY id ASC
+      `, [sourceId, userId]);
+
+      const teams = [];
+      const copyOf = new Map();
+      for (const team of sourceTeams.rows) {
+        const copy = await client.query(`
+          INSERT INTO teams (team_name, team_logo, team_color, description, user_id, purse_amount, season_id, source_team_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING id, team_name, source_team_id
+        `, [team.team_name, team.team_logo, team.team_color, team.description, userId, team.purse_amount, created.id, team.id]);
+
+        copyOf.set(team.id, copy.rows[0].id);
+        teams.push(copy.rows[0]);
+      }
+
+      const squads = await client.query(`
+        SELECT s.id as player_id, s.team_id, s.jersey_number, s.sold_price
+        FROM squad_members s
+        WHERE s.team_id = ANY($1::int[]) AND s.deleted_at IS NULL
+      `, [[...copyOf.keys()]]);
+
+      const retained = retainAll
+        ? squads.rows
+        : squads.rows.filter(member => retainedPlayerIds.includes(member.player_id));
+
+      const missing = retainAll
+        ? []
+        : retainedPlayerIds.filter(playerId => !retained.some(member => member.player_id === playerId));
+      if (missing.length > 0) {
+        throw new HttpError(409, `${missing.length} retained player(s) were not in a squad that season.`, { player_ids: missing });
+      }
+
+      for (const member of retained) {
+        await client.query(
+          'INSERT INTO squad_memberships (season_id, player_id, team_id, jersey_number, sold_price) VALUES ($1, $2, $3, $4, $5)',
+          [created.id, member.player_id, copyOf.get(member.team_id), member.jersey_number, member.sold_price]
+        );
+      }
+
+      // Activating here means a refused switch leaves no half-made season behind
+      const season = activate ? await switchActiveSeason(client, created.id, userId) : created;
+
+      await client.query('COMMIT');
+      return { season, teams, retained_players: retained.length };
+    } catch (error) {
+      rollbackError = await rollbackQuietly(client);
+      throw error;
+    } finally {
+      client.release(rollbackError);
+    }
+  }
+}
+
+export default Season;
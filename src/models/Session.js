@@ -0,0 +1,162 @@
+/**
+ * Session Model - PostgreSQL
+ * Handles login sessions and rotating refresh tokens
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { query, getClient, rollbackQuietly } from '../config/database.js';
+
+dotenv.config();
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+/**
+ * Hash a refresh token for storage (only hashes are kept in the database)
+ * @param {string} token - Plain refresh token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Store a new refresh token for a session
+ * @param {Object} db - Query executor (pool wrapper or transaction client)
+ * @param {number} sessionId - Session ID
+ * @returns {string} Plain refresh token (only returned once)
+ */
+const insertRefreshToken = async (db, sessionId) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3::int))`,
+    [sessionId, hashToken(token), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return token;
+};
+
+class Session {
+  /**
+   * Start a session for a user
+   * @param {number} userId - User ID
+   * @param {Object} meta - Request details
+   * @param {string} meta.userAgent - User-Agent header
+   * @param {string} meta.ipAddress - Client IP address
+   * @returns {Object} { session, refreshToken }
+   */
+  static async create(userId, { userAgent = null, ipAddress = null } = {}) {
+    const result = await query(
+      'INSERT INTO auth_sessions (user_id, user_agent, ip_address) VALUES ($1, $2, $3) RETURNING *',
+      [userId, userAgent ? userAgent.slice(0, 255) : null, ipAddress]
+    );
+    const session = result.rows[0];
+    const refreshToken = await insertRefreshToken({ query }, session.id);
+
+    return { session, refreshToken };
+  }
+
+  /**
+   * Check whether a session is still active
+   * @param {number} id - Session ID
+   * @param {number} userId - User ID the session must belong to
+   * @returns {boolean} True if the session exists and is not revoked
+   */
+  static async isActive(id, userId) {
+    const result = await query(
+      'SELECT 1 FROM auth_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [id, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * Each refresh token works once. Presenting one that was already used means
+   * it was copied, so the whole session is revoked.
+   * @param {string} refreshToken - Plain refresh token
+   * @returns {Object|null} { session, refreshToken }, or null if the token is
+   *   unknown, expired, reused or its session was revoked
+   */
+  static async rotate(refreshToken) {
+    const client = await getClient();
+    let rollbackError;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < CURRENT_TIMESTAMP as is_expired,
+               s.user_id, s.revoked_at
+        FROM refresh_tokens rt
+        JOIN auth_sessions s ON rt.session_id = s.id
+        WHERE rt.token_hash = $1
+        FOR UPDATE OF rt, s
+      `, [hashToken(refreshToken)]);
+      const stored = result.rows[0];
+
+      if (!stored || stored.revoked_at || stored.is_expired) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (stored.used_at) {
+        await client.query(
+          'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [stored.session_id]
+        );
+        await client.query('COMMIT');
+        return null;
+      }
+
+      await client.query(
+        'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [stored.id]
+      );
+      const sessionResult = await client.query(
+        'UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+        [stored.session_id]
+      );
+      const nextToken = await insertRefreshToken(client, stored.session_id);
+
+      await client.query('COMMIT');
+
+      return { session: sessionResult.rows[0], refreshToken: nextToken };
+    } catch (error) {
+      rollbackError = await rollbackQuietly(client);
+      throw error;
+    } finally {
+      client.release(rollbackError);
+    }
+  }
+
+  /**
+   * Revoke a single session
+   * @param {number} id - Session ID
+   * @param {number} userId - User ID the session must belong to
+   * @returns {boolean} True if a session was revoked
+   */
+  static async revoke(id, userId) {
+    const result = await query(
+      'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [id, userId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one
+   * @param {number} userId - User ID
+   * @param {number|null} exceptSessionId - Session to keep (e.g. the current one)
+   * @returns {number} Number of sessions revoked
+   */
+  static async revokeAllForUser(userId, exceptSessionId = null) {
+    const result = await query(
+      'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2',
+      [userId, exceptSessionId]
+    );
+    return result.rowCount;
+  }
+}
+
+export default Session;
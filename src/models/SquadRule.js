@@ -0,0 +1,179 @@
+/**
+ * Squad Rule Model - PostgreSQL
+ * Per-league squad size limits and position quotas, and the checks that apply them
+ */
+
+import { query } from '../config/database.js';
+import leagueConfig from '../config/league.js';
+
+/**
+ * Normalize a position for quota matching ("Wicket-Keeper " -> "wicket-keeper")
+ * @param {string|null} position - Player position
+ * @returns {string} Lower-cased, trimmed position
+ */
+const normalizePosition = (position) => (position || '').trim().toLowerCase();
+
+/**
+ * Check whether any squad limit is configured
+ * @param {Object} rules - Squad rules
+ * @returns {boolean} True if at least one limit applies
+ */
+export const hasSquadLimits = (rules) => {
+  return rules.min_squad_size !== null
+    || rules.max_squad_size !== null
+    || rules.position_quotas.length > 0;
+};
+
+/**
+ * Count players per position, grouping positions case-insensitively
+ * @param {Array<string|null>} positions - Position of each squad player
+ * @returns {Array<Object>} Counts ({ position, count }); players without a position are counted under null
+ */
+export const countPositions = (positions) => {
+  const counts = new Map();
+
+  positions.forEach(position => {
+    const key = normalizePosition(position);
+    const entry = counts.get(key) || { position: key ? position.trim() : null, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+
+  return [...counts.values()];
+};
+
+/**
+ * List every rule a squad currently breaks
+ * @param {Object} rules - Squad rules
+ * @param {Array<string|null>} positions - Position of each squad player
+ * @returns {Array<Object>} Violations ({ rule, position?, limit, actual, message })
+ */
+export const evaluateSquad = (rules, positions) => {
+  const violations = [];
+  const squadSize = positions.length;
+
+  if (rules.max_squad_size !== null && squadSize > rules.max_squad_size) {
+    violations.push({
+      rule: 'max_squad_size',
+      limit: rules.max_squad_size,
+      actual: squadSize,
+      message: `Squad has ${squadSize} players; the maximum is ${rules.max_squad_size}.`
+    });
+  }
+  if (rules.min_squad_size !== null && squadSize < rules.min_squad_size) {
+    violations.push({
+      rule: 'min_squad_size',
+      limit: rules.min_squad_size,
+      actual: squadSize,
+      message: `Squad has ${squadSize} players; at least ${rules.min_squad_size} are required.`
+    });
+  }
+
+  rules.position_quotas.forEach(quota => {
+    const count = positions.filter(position => normalizePosition(position) === normalizePosition(quota.position)).length;
+
+    if (quota.min !== null && count < quota.min) {
+      violations.push({
+        rule: 'position_min',
+        position: quota.position,
+        limit: quota.min,
+        actual: count,
+        message: `Squad has ${count} ${quota.position} player(s); at least ${quota.min} are required.`
+      });
+    }
+    if (quota.max !== null && count > quota.max) {
+      violations.push({
+        rule: 'position_max',
+        position: quota.position,
+        limit: quota.max,
+        actual: count,
+        message: `Squad has ${count} ${quota.position} player(s); the maximum is ${quota.max}.`
+      });
+    }
+  });
+
+  return violations;
+};
+
+/**
+ * List the rules a squad would break after a player joins
+ * Minimums cannot be failed by adding a player while the squad is being built,
+ * but the slots left under the maximum squad size must still be enough to meet
+ * every position minimum.
+ * @param {Object} rules - Squad rules
+ * @param {Array<string|null>} positionsAfter - Squad positions including the new player
+ * @returns {Array<Object>} Violations
+ */
+export const evaluateSquadAddition = (rules, positionsAfter) => {
+  const allViolations = evaluateSquad(rules, positionsAfter);
+  const violations = allViolations.filter(violation => ['max_squad_size', 'position_max'].includes(violation.rule));
+
+  if (rules.max_squad_size !== null) {
+    const openSlots = Math.max(0, rules.max_squad_size - positionsAfter.length);
+    const slotsNeeded = allViolations
+      .filter(violation => violation.rule === 'position_min')
+      .reduce((sum, violation) => sum + violation.limit - violation.actual, 0);
+
+    if (slotsNeeded > openSlots) {
+      violations.push({
+        rule: 'reserved_slots',
+        limit: openSlots,
+        actual: slotsNeeded,
+        message: `Only ${openSlots} squad slot(s) would be left, but ${slotsNeeded} are needed to meet the position minimums.`
+      });
+    }
+  }
+
+  return violations;
+};
+
+class SquadRule {
+  /**
+   * Get the squad rules for a league
+   * Leagues without saved rules get the defaults from config/league.js.
+   * @param {number} userId - League owner ID
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @returns {Object} Rules ({ min_squad_size, max_squad_size, position_quotas, updated_at })
+   */
+  static async findByUserId(userId, { client = null } = {}) {
+    const db = client || { query };
+    const result = await db.query(
+      'SELECT min_squad_size, max_squad_size, position_quotas, updated_at FROM squad_rules WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows[0] || {
+      min_squad_size: leagueConfig.minSquadSize || null,
+      max_squad_size: null,
+      position_quotas: [],
+      updated_at: null
+    };
+  }
+
+  /**
+   * Save the squad rules for a league (replaces any existing rules)
+   * @param {number} userId - League owner ID
+   * @param {Object} rules - Validated rules
+   * @param {number|null} rules.minSquadSize - Minimum squad size
+   * @param {number|null} rules.maxSquadSize - Maximum squad size
+   * @param {Array<Object>} rules.positionQuotas - Quotas ({ position, min, max })
+   * @returns {Object} Saved rules
+   */
+  static async upsert(userId, { minSquadSize, maxSquadSize, positionQuotas }) {
+    const result = await query(`
+      INSERT INTO squad_rules (user_id, min_squad_size, max_squad_size, position_quotas)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id) DO UPDATE SET
+        min_squad_size = EXCLUDED.min_squad_size,
+        max_squad_size = EXCLUDED.max_squad_size,
+        position_quotas = EXCLUDED.position_quotas,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING min_squad_size, max_squad_size, position_quotas, updated_at
+    `, [userId, minSquadSize, maxSquadSize, JSON.stringify(positionQuotas)]);
+
+    return result.rows[0];
+  }
+}
+
+export default SquadRule;
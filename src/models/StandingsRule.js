@@ -0,0 +1,59 @@
+/**
+ * Standings Rule Model - PostgreSQL
+ * Per-league points for each result and the tie-break order of the points table
+ */
+
+import { query } from '../config/database.js';
+import leagueConfig from '../config/league.js';
+import { TIE_BREAKERS } from '../utils/standings.js';
+
+class StandingsRule {
+  /**
+   * Get the standings rules for a league
+   * Leagues without saved rules get the defaults from config/league.js.
+   * @param {number} userId - League owner ID
+   * @returns {Object} Rules ({ points_for_win, points_for_tie, points_for_no_result, tie_breakers, updated_at })
+   */
+  static async findByUserId(userId) {
+    const result = await query(
+      'SELECT points_for_win, points_for_tie, points_for_no_result, tie_breakers, updated_at FROM standings_rules WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows[0] || {
+      points_for_win: leagueConfig.pointsForWin,
+      points_for_tie: leagueConfig.pointsForTie,
+      points_for_no_result: leagueConfig.pointsForNoResult,
+      tie_breakers: leagueConfig.tieBreakers.filter(name => TIE_BREAKERS.includes(name)),
+      updated_at: null
+    };
+  }
+
+  /**
+   * Save the standings rules for a league (replaces any existing rules)
+   * @param {number} userId - League owner ID
+   * @param {Object} rules - Validated rules
+   * @param {number} rules.pointsForWin - Points for a win
+   * @param {number} rules.pointsForTie - Points for a tie
+   * @param {number} rules.pointsForNoResult - Points for a no result
+   * @param {Array<string>} rules.tieBreakers - Tie-break rules in order
+   * @returns {Object} Saved rules
+   */
+  static async upsert(userId, { pointsForWin, pointsForTie, pointsForNoResult, tieBreakers }) {
+    const result = await query(`
+      INSERT INTO standings_rules (user_id, points_for_win, points_for_tie, points_for_no_result, tie_breakers)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (user_id) DO UPDATE SET
+        points_for_win = EXCLUDED.points_for_win,
+        points_for_tie = EXCLUDED.points_for_tie,
+        points_for_no_result = EXCLUDED.points_for_no_result,
+        tie_breakers = EXCLUDED.tie_breakers,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING points_for_win, points_for_tie, points_for_no_result, tie_breakers, updated_at
+    `, [userId, pointsForWin, pointsForTie, pointsForNoResult, JSON.stringify(tieBreakers)]);
+
+    return result.rows[0];
+  }
+}
+
+export default StandingsRule;
@@ -3,35 +3,126 @@
  * Handles team database operations
  */
 
-import { query } from '../config/database.js';
+import { query, getClient, rollbackQuietly } from '../config/database.js';
+import leagueConfig from '../config/league.js';
+import SquadRule, { evaluateSquad, evaluateSquadAddition, countPositions, hasSquadLimits } from './SquadRule.js';
+import PlayerTransfer from './PlayerTransfer.js';
+import Season from './Season.js';
+import HttpError from '../utils/httpError.js';
+
+/**
+ * Add purse figures to a team row with player_count and total_spend
+ * @param {Object} row - Team row from an aggregate query
+ * @returns {Object} Team with remaining_purse and average_price
+ */
+const withBudget = (row) => {
+  const playerCount = parseInt(row.player_count);
+  const totalSpend = parseInt(row.total_spend);
+
+  return {
+    ...row,
+    player_count: playerCount,
+    total_spend: totalSpend,
+    remaining_purse: row.purse_amount === null ? null : row.purse_amount - totalSpend,
+    average_price: playerCount > 0 ? Math.round(totalSpend / playerCount) : 0
+  };
+};
+
+// Sortable list fields and the expressions they map to (aggregates need the GROUP BY)
+const TEAM_SORT_COLUMNS = {
+  team_name: 't.team_name',
+  player_count: 'COUNT(p.id)',
+  purse_amount: 't.purse_amount',
+  total_spend: 'COALESCE(SUM(p.sold_price), 0)',
+  remaining_purse: 't.purse_amount - COALESCE(SUM(p.sold_price), 0)',
+  created_at: 't.created_at',
+  updated_at: 't.updated_at'
+};
+
+export const TEAM_SORT_FIELDS = Object.keys(TEAM_SORT_COLUMNS);
+
+// The league's active season, for queries on a teams row aliased t
+const ACTIVE_SEASON_SQL = '(SELECT s.id FROM seasons s WHERE s.user_id = t.user_id AND s.is_active)';
+
+/**
+ * Build the WHERE clause for the team list filters
+ * @param {number} userId - User ID
+ * @param {Object} filters - Filters (see Team.findAllWithPlayerCounts)
+ * @returns {Object} { where, params }
+ */
+const buildTeamFilters = (userId, filters) => {
+  const conditions = ['t.user_id = $1', 't.deleted_at IS NULL'];
+  const params = [userId];
+
+  if (filters.seasonId) {
+    params.push(filters.seasonId);
+    conditions.push(`t.season_id = $${params.length}`);
+  } else {
+    conditions.push(`t.season_id = ${ACTIVE_SEASON_SQL}`);
+  }
+
+  if (filters.name) {
+    params.push(`%${filters.name}%`);
+    conditions.push(`t.team_name ILIKE $${params.length}`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+/**
+ * Get the positions of a team's players
+ * @param {Object} db - Query runner (pool wrapper or transaction client)
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID (for authorization)
+ * @param {number|null} excludePlayerId - Player to leave out (e.g. one changing position)
+ * @returns {Object|null} { team_id, team_name, positions } or null if the team is missing
+ */
+const findSquadPositions = async (db, teamId, userId, excludePlayerId = null) => {
+  const result = await db.query(`
+    SELECT t.id as team_id, t.team_name, p.id as player_id, p.position
+    FROM teams t
+    LEFT JOIN players p ON t.id = p.team_id AND p.id IS DISTINCT FROM $3 AND p.deleted_at IS NULL
+    WHERE t.id = $1 AND t.user_id = $2 AND t.deleted_at IS NULL
+  `, [teamId, userId, excludePlayerId]);
+
+  if (result.rows.length === 0) return null;
+
+  return {
+    team_id: result.rows[0].team_id,
+    team_name: result.rows[0].team_name,
+    positions: result.rows.filter(row => row.player_id !== null).map(row => row.position)
+  };
+};
 
 class Team {
   /**
-   * Create a new team
+   * Create a new team in the active season
    * @param {string} teamName - Team's name
    * @param {string} teamLogo - Team logo emoji or icon
    * @param {string} teamColor - Team color (hex)
    * @param {string} description - Team description
    * @param {number} userId - ID of the user creating the team
+   * @param {number|null} purseAmount - Team budget (null for no limit)
    * @returns {Object} Created team
    */
-  static async create(teamName, teamLogo, teamColor, description, userId) {
+  static async create(teamName, teamLogo, teamColor, description, userId, purseAmount = null) {
+    const season = await Season.findActive(userId);
     const result = await query(
-      'INSERT INTO teams (team_name, team_logo, team_color, description, user_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [teamName, teamLogo, teamColor, description, userId]
+      'INSERT INTO teams (team_name, team_logo, team_color, description, user_id, purse_amount, season_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+      [teamName, teamLogo, teamColor, description, userId, purseAmount, season.id]
     );
     
     return result.rows[0];
   }
 
   /**
-   * Get all teams for a user
+   * Get all teams of the active season for a user
    * @param {number} userId - User ID
    * @returns {Array} Array of teams
    */
   static async findAllByUserId(userId) {
     const result = await query(
-      'SELECT id, team_name, team_logo, team_color, description, created_at, updated_at FROM teams WHERE user_id = $1 ORDER BY team_name ASC',
+      `SELECT id, team_name, team_logo, logo_key, logo_thumb_key, team_color, description, purse_amount, season_id, created_at, updated_at FROM teams t WHERE user_id = $1 AND deleted_at IS NULL AND season_id = ${ACTIVE_SEASON_SQL} ORDER BY team_name ASC`,
       [userId]
     );
     return result.rows;
@@ -45,7 +136,7 @@ class Team {
    */
   static async findById(id, userId) {
     const result = await query(
-      'SELECT id, team_name, team_logo, team_color, description, created_at, updated_at FROM teams WHERE id = $1 AND user_id = $2',
+      'SELECT id, team_name, team_logo, logo_key, logo_thumb_key, team_color, description, purse_amount, season_id, created_at, updated_at FROM teams WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [id, userId]
     );
     return result.rows[0] || null;
@@ -63,51 +154,76 @@ class Team {
         t.id, 
         t.team_name, 
         t.team_logo, 
+        t.logo_key,
+        t.logo_thumb_key,
         t.team_color, 
         t.description, 
+        t.purse_amount,
+        t.season_id,
         t.created_at, 
         t.updated_at,
-        COUNT(p.id) as player_count
+        COUNT(p.id) as player_count,
+        COALESCE(SUM(p.sold_price), 0) as total_spend
       FROM teams t
-      LEFT JOIN players p ON t.id = p.team_id
-      WHERE t.id = $1 AND t.user_id = $2
+      LEFT JOIN squad_members p ON t.id = p.team_id AND p.deleted_at IS NULL
+      WHERE t.id = $1 AND t.user_id = $2 AND t.deleted_at IS NULL
       GROUP BY t.id
     `, [id, userId]);
     
-    if (result.rows[0]) {
-      result.rows[0].player_count = parseInt(result.rows[0].player_count);
-    }
-    return result.rows[0] || null;
+    return result.rows[0] ? withBudget(result.rows[0]) : null;
   }
 
   /**
-   * Get all teams with player counts
+   * Get all teams with player counts and purse figures
    * @param {number} userId - User ID
-   * @returns {Array} Array of teams with player counts
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.name] - Only teams whose name contains this text (case-insensitive)
+   * @param {number} [filters.seasonId] - Season to list (the active season by default)
+   * @param {Object} options - Optional sorting and paging
+   * @param {Object|null} options.sort - { field, direction } with a field from TEAM_SORT_FIELDS
+   * @param {number|null} options.limit - Page size (null for every row)
+   * @param {number} options.offset - Rows to skip
+   * @returns {Array} Array of teams with player counts, spend and remaining purse
    */
-  static async findAllWithPlayerCounts(userId) {
+  static async findAllWithPlayerCounts(userId, filters = {}, { sort = null, limit = null, offset = 0 } = {}) {
+    const { where, params } = buildTeamFilters(userId, filters);
+
+    // The id tie-break keeps pages stable
+    const orderBy = sort
+      ? `${TEAM_SORT_COLUMNS[sort.field]} ${sort.direction === 'desc' ? 'DESC' : 'ASC'} NULLS LAST, t.id ASC`
+      : 't.team_name ASC, t.id ASC';
+
+    let pageClause = '';
+    if (limit !== null) {
+      params.push(limit, offset);
+      pageClause = `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    }
+
     const result = await query(`
       SELECT 
         t.id, 
         t.team_name, 
         t.team_logo, 
+        t.logo_key,
+        t.logo_thumb_key,
         t.team_color, 
         t.description, 
+        t.purse_amount,
+        t.season_id,
         t.created_at, 
         t.updated_at,
-        COUNT(p.id) as player_count
+        COUNT(p.id) as player_count,
+        COALESCE(SUM(p.sold_price), 0) as total_spend
       FROM teams t
-      LEFT JOIN players p ON t.id = p.team_id
-      WHERE t.user_id = $1
+      LEFT JOIN squad_members p ON t.id = p.team_id AND p.deleted_at IS NULL
+      WHERE ${where}
       GROUP BY t.id
-      ORDER BY t.team_name ASC
-    `, [userId]);
+      ORDER BY ${orderBy}
+      ${pageClause}
+    `, params);
     
-    // Convert player_count to integer
-    return result.rows.map(row => ({
-      ...row,
-      player_count: parseInt(row.player_count)
-    }));
+    // Convert counts to integers and derive purse figures
+    return result.rows.map(withBudget);
   }
 
   /**
@@ -118,41 +234,288 @@ class Team {
    * @param {string} teamColor - Updated team color
    * @param {string} description - Updated description
    * @param {number} userId - User ID (for authorization)
+   * @param {number|null|undefined} purseAmount - Updated budget (null for no limit, undefined to keep the current one)
    * @returns {boolean} True if update successful
    */
-  static async update(id, teamName, teamLogo, teamColor, description, userId) {
+  static async update(id, teamName, teamLogo, teamColor, description, userId, purseAmount = undefined) {
     const result = await query(
-      'UPDATE teams SET team_name = $1, team_logo = $2, team_color = $3, description = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 AND user_id = $6',
-      [teamName, teamLogo, teamColor, description, id, userId]
+      `UPDATE teams
+       SET team_name = $1, team_logo = $2, team_color = $3, description = $4,
+           purse_amount = CASE WHEN $8 THEN $5::int ELSE purse_amount END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND user_id = $7 AND deleted_at IS NULL`,
+      [teamName, teamLogo, teamColor, description, purseAmount ?? null, id, userId, purseAmount !== undefined]
     );
     
     return result.rowCount > 0;
   }
 
   /**
-   * Delete a team
+   * Set or clear a team's uploaded logo
    * @param {number} id - Team ID
    * @param {number} userId - User ID (for authorization)
+   * @param {Object} keys - Storage keys { imageKey, thumbKey } (null to clear)
+   * @returns {Object|null} The replaced keys { logo_key, logo_thumb_key }, or null if the team was not found
+   */
+  static async setLogo(id, userId, { imageKey = null, thumbKey = null } = {}) {
+    // Joining the locked old row returns the keys being replaced
+    const result = await query(`
+      UPDATE teams t
+      SET logo_key = $3, logo_thumb_key = $4, updated_at = CURRENT_TIMESTAMP
+      FROM (
+        SELECT id, logo_key, logo_thumb_key FROM teams
+        WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+        FOR UPDATE
+      ) old
+      WHERE t.id = old.id
+      RETURNING old.logo_key, old.logo_thumb_key
+    `, [id, userId, imageKey, thumbKey]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move a team to the trash
+   * Players still in the team are either released to the global pool (mode
+   * 'release'), remembering the team so a restore can bring them back, or moved
+   * to the trash with it (mode 'delete'). Releases are logged as transfers.
+   * To transfer the squad instead, move the players before deleting the team.
+   * @param {number} id - Team ID
+   * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @param {string} options.mode - 'release' or 'delete'
+   * @param {number|null} options.changedBy - Account deleting the team (for the transfer log)
    * @returns {boolean} True if deletion successful
    */
-  static async delete(id, userId) {
+  static async delete(id, userId, { client = null, mode = 'release', changedBy = null } = {}) {
+    const db = client || { query };
+
+    if (mode === 'delete') {
+      // Trashed players share the team's deleted_at so a team restore can find them
+      const result = await db.query(`
+        WITH deleted AS (
+          UPDATE teams SET deleted_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+          RETURNING id, deleted_at
+        ),
+        trashed AS (
+          UPDATE players p
+          SET deleted_at = d.deleted_at
+          FROM deleted d
+          WHERE p.team_id = d.id AND p.deleted_at IS NULL
+        )
+        SELECT id FROM deleted
+      `, [id, userId]);
+
+      return result.rows.length > 0;
+    }
+
+    // One statement, so the releases are logged only if the delete happens
+    const result = await db.query(`
+      WITH deleted AS (
+        UPDATE teams SET deleted_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+        RETURNING id, team_name, user_id
+      ),
+      released AS (
+        UPDATE players p
+        SET team_id = NULL, released_from_team_id = d.id, updated_at = CURRENT_TIMESTAMP
+        FROM deleted d
+        WHERE p.team_id = d.id AND p.deleted_at IS NULL
+        RETURNING p.id as player_id, d.id as team_id, d.team_name, d.user_id
+      ),
+      logged AS (
+        INSERT INTO player_transfers (player_id, from_team_id, from_team_name, reason, changed_by, user_id)
+        SELECT player_id, team_id, team_name, 'Team deleted', $3, user_id FROM released
+      )
+      SELECT id FROM deleted
+    `, [id, userId, changedBy]);
+    
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Get the teams in the trash, most recently deleted first
+   * @param {number} userId - User ID
+   * @returns {Array} Deleted teams with the number of players a restore would bring back,
+   * split into released_player_count and trashed_player_count
+   */
+  static async findDeleted(userId) {
+    const result = await query(`
+      SELECT 
+        t.id, 
+        t.team_name, 
+        t.team_logo, 
+        t.team_color, 
+        t.description, 
+        t.purse_amount,
+        t.deleted_at,
+        t.created_at, 
+        t.updated_at,
+        COUNT(p.id) FILTER (WHERE p.deleted_at IS NULL) as released_player_count,
+        COUNT(p.id) FILTER (WHERE p.deleted_at IS NOT NULL) as trashed_player_count
+      FROM teams t
+      LEFT JOIN players p ON (p.released_from_team_id = t.id AND p.team_id IS NULL AND p.deleted_at IS NULL)
+        OR (p.team_id = t.id AND p.deleted_at = t.deleted_at)
+      WHERE t.user_id = $1 AND t.deleted_at IS NOT NULL
+      GROUP BY t.id
+      ORDER BY t.deleted_at DESC, t.id DESC
+    `, [userId]);
+
+    return result.rows.map(row => ({
+      ...row,
+      released_player_count: parseInt(row.released_player_count),
+      trashed_player_count: parseInt(row.trashed_player_count)
+    }));
+  }
+
+  /**
+   * Restore a team from the trash, along with the players trashed with it, and
+   * re-link the players released when it was deleted
+   * Released players who have joined another team since stay there; those whose
+   * jersey number is now taken, or who would break the team's budget or squad
+   * rules, stay in the global pool and are listed in skipped. Only teams of
+   * the active season can be restored, as other seasons' squads are filed away in
+   * squad_memberships (see Season).
+   * @param {number} id - Team ID
+   * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {number|null} options.changedBy - Account restoring the team (for the transfer log)
+   * @returns {Object|null} { restored, relinked, skipped } or null if the team is not in the trash
+   * @throws {HttpError} 409 if the team's season is not the active season
+   */
+  static async restore(id, userId, { changedBy = null } = {}) {
+    const client = await getClient();
+    let rollbackError;
+
+    try {
+      await client.query('BEGIN');
+
+      const trashed = await client.query(`
+        SELECT t.id, t.team_name, s.name as season_name, s.is_active as season_active
+        FROM teams t
+        JOIN seasons s ON t.season_id = s.id
+        WHERE t.id = $1 AND t.user_id = $2 AND t.deleted_at IS NOT NULL
+        FOR UPDATE OF t
+      `, [id, userId]);
+      const team = trashed.rows[0];
+      if (!team) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (!team.season_active) {
+        throw new HttpError(409, `${team.team_name} belongs to season ${team.season_name}. Switch to that season to restore it.`);
+      }
+
+      // Players deleted together with the team come back with it
+      // (compared in SQL, since a JS Date would drop the microseconds)
+      const restored = await client.query(`
+        UPDATE players p SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+        FROM teams t
+        WHERE t.id = $1 AND p.team_id = t.id AND p.deleted_at = t.deleted_at
+        RETURNING p.id, p.player_name, p.jersey_number
+      `, [id]);
+
+      await client.query(
+        'UPDATE teams SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [id]
+      );
+
+      const released = await client.query(`
+        SELECT id, player_name, position, jersey_number, sold_price
+        FROM players
+        WHERE released_from_team_id = $1 AND team_id IS NULL AND deleted_at IS NULL
+        ORDER BY id ASC
+        FOR UPDATE
+      `, [id]);
+
+      const relinked = [];
+      const skipped = [];
+      const takenJerseys = new Set(
+        restored.rows.map(player => player.jersey_number).filter(number => number !== null)
+      );
+
+      for (const player of released.rows) {
+        if (player.jersey_number !== null && takenJerseys.has(player.jersey_number)) {
+          skipped.push({ id: player.id, player_name: player.player_name, message: `Jersey ${player.jersey_number} is already taken in the team.` });
+          continue;
+        }
+
+        // Checked one by one, so each counts the players re-linked before it
+        try {
+          await Team.checkBudget(id, player.sold_price ?? 0, userId, { client, excludePlayerId: player.id });
+          await Team.checkSquadRules(id, player.position, userId, { client, excludePlayerId: player.id });
+        } catch (error) {
+          if (!(error instanceof HttpError)) throw error;
+          skipped.push({ id: player.id, player_name: player.player_name, message: error.message });
+          continue;
+        }
+
+        await client.query(
+          'UPDATE players SET team_id = $1, released_from_team_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [id, player.id]
+        );
+        await PlayerTransfer.record({
+          playerId: player.id,
+          fromTeamId: null,
+          toTeamId: id,
+          soldPrice: player.sold_price,
+          reason: 'Team restored',
+          changedBy,
+          userId
+        }, client);
+
+        if (player.jersey_number !== null) takenJerseys.add(player.jersey_number);
+        relinked.push({ id: player.id, player_name: player.player_name });
+      }
+
+      await client.query('COMMIT');
+      return {
+        restored: restored.rows.map(player => ({ id: player.id, player_name: player.player_name })),
+        relinked,
+        skipped
+      };
+    } catch (error) {
+      rollbackError = await rollbackQuietly(client);
+      throw error;
+    } finally {
+      client.release(rollbackError);
+    }
+  }
+
+  /**
+   * Permanently delete teams that have been in the trash longer than the retention period
+   * Runs across all leagues (see jobs/trashPurge.js). Teams that still appear in a
+   * fixture are kept so results, standings and net run rate stay intact.
+   * @param {number} retentionDays - Days a deleted team is kept
+   * @returns {Array} Purged teams' logo storage keys { logo_key, logo_thumb_key }
+   */
+  static async purgeDeleted(retentionDays) {
     const result = await query(
-      'DELETE FROM teams WHERE id = $1 AND user_id = $2',
-      [id, userId]
+      `DELETE FROM teams t
+       WHERE t.deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1::int)
+         AND NOT EXISTS (
+           SELECT 1 FROM matches m WHERE m.home_team_id = t.id OR m.away_team_id = t.id
+         )
+       RETURNING t.logo_key, t.logo_thumb_key`,
+      [retentionDays]
     );
-    
-    return result.rowCount > 0;
+
+    return result.rows;
   }
 
   /**
    * Get team count for a user
    * @param {number} userId - User ID
+   * @param {Object} filters - Optional filters (see findAllWithPlayerCounts)
    * @returns {number} Number of teams
    */
-  static async countByUserId(userId) {
+  static async countByUserId(userId, filters = {}) {
+    const { where, params } = buildTeamFilters(userId, filters);
     const result = await query(
-      'SELECT COUNT(*) as count FROM teams WHERE user_id = $1',
-      [userId]
+      `SELECT COUNT(*) as count FROM teams t WHERE ${where}`,
+      params
     );
     return parseInt(result.rows[0].count);
   }
@@ -161,25 +524,26 @@ class Team {
    * Get team hierarchy (team with all players)
    * @param {number} teamId - Team ID
    * @param {number} userId - User ID (for authorization)
-   * @returns {Object|null} Team with players array
+   * @returns {Object|null} Team with purse figures and players array
    */
   static async getTeamHierarchy(teamId, userId) {
     // Get team info
-    const team = await this.findById(teamId, userId);
+    const team = await this.findByIdWithPlayerCount(teamId, userId);
     if (!team) return null;
 
-    // Get all players for this team
+    // Get all players for this team (from the archive for past seasons)
     const playersResult = await query(`
-      SELECT id, player_name, position, jersey_number, created_at, updated_at
-      FROM players
-      WHERE team_id = $1 AND user_id = $2
+      SELECT p.id, p.player_name, p.position, s.jersey_number, p.base_price, s.sold_price, p.photo_key, p.photo_thumb_key, p.created_at, p.updated_at
+      FROM squad_members s
+      JOIN players p ON s.id = p.id
+      WHERE s.team_id = $1 AND p.user_id = $2 AND p.deleted_at IS NULL
       ORDER BY 
         CASE 
-          WHEN position IS NULL THEN 1 
+          WHEN p.position IS NULL THEN 1 
           ELSE 0 
         END,
-        position ASC,
-        player_name ASC
+        p.position ASC,
+        p.player_name ASC
     `, [teamId, userId]);
     
     return {
@@ -187,6 +551,136 @@ class Team {
       players: playersResult.rows
     };
   }
+
+  /**
+   * Check that a team can afford a player at the given price
+   * The purchase must fit in the remaining purse and leave enough to fill the
+   * rest of the minimum squad (see SquadRule) at the minimum player price.
+   * Only teams of the active season can sign players. Pass the caller's transaction
+   * client so the team row lock is held until the signing is written.
+   * @param {number} teamId - Team ID
+   * @param {number} price - Price the team would pay
+   * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @param {number|null} options.excludePlayerId - Player already counted in the squad (e.g. a re-price)
+   * @param {Object} options.pending - Signings a preview counts as made but has not written { count, spend }
+   * @param {boolean} options.lock - Lock the team row (previews skip it, as they write nothing)
+   * @throws {HttpError} 404 if the team is missing, 409 if its season is not active or the budget would be broken
+   */
+  static async checkBudget(teamId, price, userId, { client = null, excludePlayerId = null, pending = { count: 0, spend: 0 }, lock = true } = {}) {
+    const db = client || { query };
+
+    // Lock the team first so concurrent signings for it are checked one at a time
+    if (lock) {
+      await db.query('SELECT id FROM teams WHERE id = $1 AND user_id = $2 FOR UPDATE', [teamId, userId]);
+    }
+
+    const result = await db.query(`
+      SELECT
+        t.team_name,
+        t.purse_amount,
+        s.name as season_name,
+        s.is_active as season_active,
+        COUNT(p.id) as player_count,
+        COALESCE(SUM(p.sold_price), 0) as total_spend
+      FROM teams t
+      JOIN seasons s ON t.season_id = s.id
+      LEFT JOIN players p ON t.id = p.team_id AND p.id IS DISTINCT FROM $3 AND p.deleted_at IS NULL
+      WHERE t.id = $1 AND t.user_id = $2 AND t.deleted_at IS NULL
+      GROUP BY t.id, s.id
+    `, [teamId, userId, excludePlayerId]);
+
+    const team = result.rows[0];
+    if (!team) {
+      throw new HttpError(404, 'Team not found.');
+    }
+    if (!team.season_active) {
+      throw new HttpError(409, `${team.team_name} belongs to season ${team.season_name}, which is not the active season.`);
+    }
+    if (team.purse_amount === null) return;
+
+    const rules = await SquadRule.findByUserId(userId, { client });
+    const totalSpend = parseInt(team.total_spend) + pending.spend;
+    const squadAfter = parseInt(team.player_count) + pending.count + 1;
+    const remainingAfter = team.purse_amount - totalSpend - price;
+    const slotsToFill = Math.max(0, (rules.min_squad_size ?? 0) - squadAfter);
+    const reserveRequired = slotsToFill * leagueConfig.minPlayerPrice;
+
+    const budget = {
+      purse_amount: team.purse_amount,
+      total_spend: totalSpend,
+      price,
+      remaining_after: remainingAfter,
+      slots_to_fill: slotsToFill,
+      reserve_required: reserveRequired
+    };
+
+    if (remainingAfter < 0) {
+      throw new HttpError(409, `${team.team_name} cannot afford ${price}; only ${remainingAfter + price} left in the purse.`, { budget });
+    }
+    if (remainingAfter < reserveRequired) {
+      throw new HttpError(409, `${team.team_name} must keep ${reserveRequired} to fill ${slotsToFill} more squad slot(s).`, { budget });
+    }
+  }
+
+  /**
+   * Check that a player can join a team without breaking the league's squad rules
+   * @param {number} teamId - Team ID
+   * @param {string|null} position - Position of the joining player
+   * @param {number} userId - User ID (for authorization)
+   * @param {Object} options - Optional settings
+   * @param {Object|null} options.client - Transaction client
+   * @param {number|null} options.excludePlayerId - Player already counted in the squad (e.g. a position change)
+   * @param {Array<string|null>} options.pendingPositions - Positions of signings a preview counts as made
+   * @throws {HttpError} 404 if the team is missing, 409 with a breakdown if a rule would be broken
+   */
+  static async checkSquadRules(teamId, position, userId, { client = null, excludePlayerId = null, pendingPositions = [] } = {}) {
+    const rules = await SquadRule.findByUserId(userId, { client });
+    if (!hasSquadLimits(rules)) return;
+
+    const squad = await findSquadPositions(client || { query }, teamId, userId, excludePlayerId);
+    if (!squad) {
+      throw new HttpError(404, 'Team not found.');
+    }
+
+    const positionsAfter = [...squad.positions, ...pendingPositions, position];
+    const violations = evaluateSquadAddition(rules, positionsAfter);
+
+    if (violations.length > 0) {
+      throw new HttpError(409, `${squad.team_name} would break the squad rules. ${violations.map(violation => violation.message).join(' ')}`, {
+        squad_rules: {
+          squad_size_after: positionsAfter.length,
+          positions_after: countPositions(positionsAfter),
+          violations
+        }
+      });
+    }
+  }
+
+  /**
+   * Report which squad rules a team currently breaks
+   * @param {number} teamId - Team ID
+   * @param {number} userId - User ID (for authorization)
+   * @returns {Object|null} Compliance report or null if the team is missing
+   */
+  static async getCompliance(teamId, userId) {
+    const squad = await findSquadPositions({ query }, teamId, userId);
+    if (!squad) return null;
+
+    const rules = await SquadRule.findByUserId(userId);
+    const violations = evaluateSquad(rules, squad.positions);
+
+    return {
+      team_id: squad.team_id,
+      team_name: squad.team_name,
+      compliant: violations.length === 0,
+      squad_size: squad.positions.length,
+      positions: countPositions(squad.positions),
+      rules,
+      violations
+    };
+  }
 }
 
 export default Team;
@@ -3,29 +3,57 @@
  * Handles user database operations
  */
 
-import { query } from '../config/database.js';
+import { query, getClient, rollbackQuietly } from '../config/database.js';
 import bcrypt from 'bcryptjs';
+import Season from './Season.js';
+
+export const USER_ROLES = ['admin', 'organiser', 'team_manager', 'viewer'];
+
+// Roles that work inside another user's league rather than owning data
+export const LEAGUE_MEMBER_ROLES = ['team_manager', 'viewer'];
+
+const PUBLIC_COLUMNS = 'id, username, role, owner_id, team_id, is_active, must_change_password, created_at, updated_at';
+export const MIN_PASSWORD_LENGTH = 8;
 
 class User {
   /**
    * Create a new user
+   * League owners (users without an owner) start with their first season.
    * @param {string} username - Username
    * @param {string} password - Plain text password
+   * @param {string} role - User role (see USER_ROLES)
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.mustChangePassword - Force a password change on first login
+   * @param {number|null} options.ownerId - League owner for team managers and viewers
+   * @param {number|null} options.teamId - Managed team for team managers
    * @returns {Object} Created user (without password)
    */
-  static async create(username, password) {
+  static async create(username, password, role = 'organiser', { mustChangePassword = false, ownerId = null, teamId = null } = {}) {
+    const client = await getClient();
+    let rollbackError;
+
     try {
       // Hash password with salt rounds of 10
       const password_hash = await bcrypt.hash(password, 10);
       
-      const result = await query(
-        'INSERT INTO users (username, password_hash) VALUES ($1, $2) RETURNING id, username',
-        [username, password_hash]
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO users (username, password_hash, role, must_change_password, owner_id, team_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${PUBLIC_COLUMNS}`,
+        [username, password_hash, role, mustChangePassword, ownerId, teamId]
       );
+      const user = result.rows[0];
+
+      if (user.owner_id === null) {
+        await Season.createInitial(user.id, { client });
+      }
+      await client.query('COMMIT');
       
-      return result.rows[0];
+      return user;
     } catch (error) {
+      rollbackError = await rollbackQuietly(client);
       throw new Error('User creation failed: ' + error.message);
+    } finally {
+      client.release(rollbackError);
     }
   }
 
@@ -42,6 +70,19 @@ class User {
     return result.rows[0] || null;
   }
 
+  /**
+   * Find user by ID including the password hash (for password checks)
+   * @param {number} id - User ID
+   * @returns {Object|null} User object or null
+   */
+  static async findByIdWithPassword(id) {
+    const result = await query(
+      'SELECT * FROM users WHERE id = $1',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
   /**
    * Find user by ID
    * @param {number} id - User ID
@@ -49,12 +90,110 @@ class User {
    */
   static async findById(id) {
     const result = await query(
-      'SELECT id, username, created_at FROM users WHERE id = $1',
+      `SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = $1`,
       [id]
     );
     return result.rows[0] || null;
   }
 
+  /**
+   * Get all users
+   * @returns {Array} Array of users (without passwords)
+   */
+  static async findAll() {
+    const result = await query(
+      `SELECT ${PUBLIC_COLUMNS} FROM users ORDER BY username ASC`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Change a user's role and league membership
+   * A user who becomes a league owner starts their first season if they have none.
+   * @param {number} id - User ID
+   * @param {string} role - New role (see USER_ROLES)
+   * @param {number|null} ownerId - League owner for team managers and viewers
+   * @param {number|null} teamId - Managed team for team managers
+   * @returns {boolean} True if update successful
+   */
+  static async updateRole(id, role, ownerId, teamId) {
+    const client = await getClient();
+    let rollbackError;
+
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'UPDATE users SET role = $1, owner_id = $2, team_id = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4',
+        [role, ownerId, teamId, id]
+      );
+
+      if (result.rowCount > 0 && ownerId === null) {
+        await Season.createInitial(id, { client });
+      }
+      await client.query('COMMIT');
+
+      return result.rowCount > 0;
+    } catch (error) {
+      rollbackError = await rollbackQuietly(client);
+      throw error;
+    } finally {
+      client.release(rollbackError);
+    }
+  }
+
+  /**
+   * Enable or disable a user account
+   * @param {number} id - User ID
+   * @param {boolean} isActive - True to enable, false to disable
+   * @returns {boolean} True if update successful
+   */
+  static async setActive(id, isActive) {
+    const result = await query(
+      'UPDATE users SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [isActive, id]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Set a new password for a user
+   * @param {number} id - User ID
+   * @param {string} password - Plain text password
+   * @param {boolean} mustChangePassword - Require another change on next login (admin resets)
+   * @returns {boolean} True if update successful
+   */
+  static async updatePassword(id, password, mustChangePassword = false) {
+    const password_hash = await bcrypt.hash(password, 10);
+    const result = await query(
+      'UPDATE users SET password_hash = $1, must_change_password = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+      [password_hash, mustChangePassword, id]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Delete a user (their teams and players are removed by cascade)
+   * @param {number} id - User ID
+   * @returns {boolean} True if deletion successful
+   */
+  static async delete(id) {
+    const result = await query('DELETE FROM users WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Count enabled users with a given role
+   * @param {string} role - User role
+   * @returns {number} Number of active users with the role
+   */
+  static async countActiveByRole(role) {
+    const result = await query(
+      'SELECT COUNT(*) as count FROM users WHERE role = $1 AND is_active = TRUE',
+      [role]
+    );
+    return parseInt(result.rows[0].count);
+  }
+
   /**
    * Verify password
    * @param {string} plainPassword - Plain text password
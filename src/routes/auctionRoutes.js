@@ -0,0 +1,60 @@
+/**
+ * Auction Routes
+ * Defines routes for auction sessions, lots and bids
+ */
+
+import express from 'express';
+import {
+  getAllSessions,
+  getSessionById,
+  createSession,
+  closeSession,
+  openLot,
+  getLotById,
+  placeBid,
+  withdrawBid,
+  sellLot,
+  markLotUnsold
+} from '../controllers/auctionController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/permissionMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all auction routes
+router.use(authenticateToken);
+
+// Everyone in the league can follow the auction; organisers run it
+const organisersOnly = requireRole('admin', 'organiser');
+
+// GET /api/auctions - Get all auction sessions
+router.get('/', getAllSessions);
+
+// GET /api/auctions/:id - Get session with lots
+router.get('/:id', getSessionById);
+
+// POST /api/auctions - Create new auction session
+router.post('/', organisersOnly, createSession);
+
+// POST /api/auctions/:id/close - Close auction session
+router.post('/:id/close', organisersOnly, closeSession);
+
+// POST /api/auctions/:id/lots - Put a player up for auction
+router.post('/:id/lots', organisersOnly, openLot);
+
+// GET /api/auctions/:id/lots/:lotId - Get lot with bid history
+router.get('/:id/lots/:lotId', getLotById);
+
+// POST /api/auctions/:id/lots/:lotId/bids - Place a bid
+router.post('/:id/lots/:lotId/bids', organisersOnly, placeBid);
+
+// DELETE /api/auctions/:id/lots/:lotId/bids/:bidId - Withdraw the highest bid
+router.delete('/:id/lots/:lotId/bids/:bidId', organisersOnly, withdrawBid);
+
+// POST /api/auctions/:id/lots/:lotId/sold - Hammer lot to highest bidder
+router.post('/:id/lots/:lotId/sold', organisersOnly, sellLot);
+
+// POST /api/auctions/:id/lots/:lotId/unsold - Close lot without a sale
+router.post('/:id/lots/:lotId/unsold', organisersOnly, markLotUnsold);
+
+export default router;
@@ -4,19 +4,25 @@
  */
 
 import express from 'express';
-import { login, logout, verifyToken } from '../controllers/authController.js';
-import { authenticateToken } from '../middleware/authMiddleware.js';
+import { login, refresh, logout, verifyToken, changePassword } from '../controllers/authController.js';
+import { authenticateTokenAllowingPasswordChange } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // POST /api/auth/login - User login
 router.post('/login', login);
 
+// POST /api/auth/refresh - Exchange refresh token for new tokens
+router.post('/refresh', refresh);
+
 // POST /api/auth/logout - User logout
-router.post('/logout', authenticateToken, logout);
+router.post('/logout', authenticateTokenAllowingPasswordChange, logout);
 
 // GET /api/auth/verify - Verify token and get user info
-router.get('/verify', authenticateToken, verifyToken);
+router.get('/verify', authenticateTokenAllowingPasswordChange, verifyToken);
+
+// POST /api/auth/change-password - Change own password
+router.post('/change-password', authenticateTokenAllowingPasswordChange, changePassword);
 
 export default router;
 
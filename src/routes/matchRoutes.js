@@ -0,0 +1,58 @@
+/**
+ * Match Routes
+ * Defines routes for fixtures and match status
+ */
+
+import express from 'express';
+import {
+  getAllMatches,
+  getMatchById,
+  createMatch,
+  updateMatch,
+  updateMatchStatus,
+  deleteMatch,
+  generateFixtures
+} from '../controllers/matchController.js';
+import { getScorecard, saveInnings, deleteInnings } from '../controllers/scorecardController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { requireRole, denyViewerWrites } from '../middleware/permissionMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all match routes (viewers are read-only)
+router.use(authenticateToken, denyViewerWrites);
+
+// Scheduling is league-wide, so only organisers change matches
+const organisersOnly = requireRole('admin', 'organiser');
+
+// GET /api/matches - Get all matches
+router.get('/', getAllMatches);
+
+// POST /api/matches/generate - Generate a round-robin schedule (?dry_run=true to preview)
+router.post('/generate', organisersOnly, generateFixtures);
+
+// GET /api/matches/:id - Get single match
+router.get('/:id', getMatchById);
+
+// POST /api/matches - Create new match
+router.post('/', organisersOnly, createMatch);
+
+// PUT /api/matches/:id - Update match
+router.put('/:id', organisersOnly, updateMatch);
+
+// PUT /api/matches/:id/status - Change match status
+router.put('/:id/status', organisersOnly, updateMatchStatus);
+
+// GET /api/matches/:id/scorecard - Get the match scorecard
+router.get('/:id/scorecard', getScorecard);
+
+// PUT /api/matches/:id/innings/:number - Enter or replace an innings
+router.put('/:id/innings/:number', organisersOnly, saveInnings);
+
+// DELETE /api/matches/:id/innings/:number - Delete an innings
+router.delete('/:id/innings/:number', organisersOnly, deleteInnings);
+
+// DELETE /api/matches/:id - Delete match
+router.delete('/:id', organisersOnly, deleteMatch);
+
+export default router;
@@ -0,0 +1,16 @@
+/**
+ * Media Routes
+ * Serves uploaded team logos and player headshots
+ */
+
+import express from 'express';
+import { getMedia } from '../controllers/mediaController.js';
+
+const router = express.Router();
+
+// No token here: the signed URL is the credential, so images load in <img> tags
+
+// GET /api/media/<key>?expires=&signature= - Get an uploaded image
+router.get('/*', getMedia);
+
+export default router;
@@ -8,46 +8,99 @@ import {
   getAllPlayers,
   getGlobalPlayers,
   getPlayerById,
+  getPlayerHistory,
+  getPlayerStats,
+  getLeaderboard,
   createPlayer,
   updatePlayer,
   assignPlayerToTeam,
   unassignPlayerFromTeam,
   deletePlayer,
-  searchPlayers
+  searchPlayers,
+  importPlayers,
+  bulkUpdatePlayers,
+  getDeletedPlayers,
+  restorePlayer,
+  exportPlayers,
+  exportGlobalPlayers,
+  setPlayerBasePrice,
+  uploadPlayerPhoto,
+  removePlayerPhoto
 } from '../controllers/playerController.js';
 import { authenticateToken } from '../middleware/authMiddleware.js';
+import { requireRole, denyViewerWrites, restrictToManagedTeam } from '../middleware/permissionMiddleware.js';
+import { imageUpload } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all player routes
-router.use(authenticateToken);
+// Apply authentication middleware to all player routes (viewers are read-only)
+router.use(authenticateToken, denyViewerWrites);
+
+// League-wide changes are for organisers; team managers only touch their own roster
+const organisersOnly = requireRole('admin', 'organiser');
 
 // GET /api/players - Get all players
 router.get('/', getAllPlayers);
 
+// GET /api/players/export - Export players as CSV/XLSX (?format=csv|xlsx)
+router.get('/export', exportPlayers);
+
 // GET /api/players/global - Get global (unassigned) players
 router.get('/global', getGlobalPlayers);
 
+// GET /api/players/global/export - Export global players as CSV/XLSX
+router.get('/global/export', exportGlobalPlayers);
+
 // GET /api/players/search - Search players (must be before /:id route)
 router.get('/search', searchPlayers);
 
+// GET /api/players/leaderboard - Top run scorers and wicket takers (?season_id, the active season by default)
+router.get('/leaderboard', getLeaderboard);
+
+// GET /api/players/trash - Deleted players that can still be restored
+router.get('/trash', organisersOnly, getDeletedPlayers);
+
+// POST /api/players/import - Bulk import players from CSV (?dry_run=true to preview)
+router.post('/import', organisersOnly, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), importPlayers);
+
+// POST /api/players/bulk - Assign, unassign, delete or re-position many players at once
+router.post('/bulk', organisersOnly, bulkUpdatePlayers);
+
 // GET /api/players/:id - Get single player
 router.get('/:id', getPlayerById);
 
+// GET /api/players/:id/history - Get the player's transfer history
+router.get('/:id/history', getPlayerHistory);
+
+// GET /api/players/:id/stats - Get the player's career and season statistics
+router.get('/:id/stats', getPlayerStats);
+
 // POST /api/players - Create new player
-router.post('/', createPlayer);
+router.post('/', restrictToManagedTeam, createPlayer);
 
 // PUT /api/players/:id - Update player
-router.put('/:id', updatePlayer);
+router.put('/:id', restrictToManagedTeam, updatePlayer);
 
 // PUT /api/players/:id/assign - Assign player to team
-router.put('/:id/assign', assignPlayerToTeam);
+router.put('/:id/assign', restrictToManagedTeam, assignPlayerToTeam);
+
+// PUT /api/players/:id/base-price - Set auction base price
+router.put('/:id/base-price', organisersOnly, setPlayerBasePrice);
 
 // PUT /api/players/:id/unassign - Unassign player from team
-router.put('/:id/unassign', unassignPlayerFromTeam);
+router.put('/:id/unassign', restrictToManagedTeam, unassignPlayerFromTeam);
+
+// POST /api/players/:id/photo - Upload a headshot (multipart field "photo")
+router.post('/:id/photo', restrictToManagedTeam, imageUpload('photo'), uploadPlayerPhoto);
+
+// DELETE /api/players/:id/photo - Remove the uploaded headshot
+router.delete('/:id/photo', restrictToManagedTeam, removePlayerPhoto);
+
+// POST /api/players/:id/restore - Restore a deleted player
+router.post('/:id/restore', organisersOnly, restorePlayer);
 
 // DELETE /api/players/:id - Delete player
-router.delete('/:id', deletePlayer);
+router.delete('/:id', organisersOnly, deletePlayer);
 
 export default router;
 
@@ -0,0 +1,44 @@
+/**
+ * Season Routes
+ * Defines routes for seasons, the active season and season cloning
+ */
+
+import express from 'express';
+import {
+  getAllSeasons,
+  getSeasonById,
+  createSeason,
+  updateSeason,
+  activateSeason,
+  cloneSeason
+} from '../controllers/seasonController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { requireRole, denyViewerWrites } from '../middleware/permissionMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all season routes (viewers are read-only)
+router.use(authenticateToken, denyViewerWrites);
+
+// Seasons are league-wide, so only organisers change them
+const organisersOnly = requireRole('admin', 'organiser');
+
+// GET /api/seasons - Get all seasons
+router.get('/', getAllSeasons);
+
+// GET /api/seasons/:id - Get single season
+router.get('/:id', getSeasonById);
+
+// POST /api/seasons - Create an empty season
+router.post('/', organisersOnly, createSeason);
+
+// PUT /api/seasons/:id - Rename a season or change its dates
+router.put('/:id', organisersOnly, updateSeason);
+
+// POST /api/seasons/:id/activate - Make the season the active one
+router.post('/:id/activate', organisersOnly, activateSeason);
+
+// POST /api/seasons/:id/clone - Start a new season from the season's teams (and retained players)
+router.post('/:id/clone', organisersOnly, cloneSeason);
+
+export default router;
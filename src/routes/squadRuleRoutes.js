@@ -0,0 +1,22 @@
+/**
+ * Squad Rule Routes
+ * Defines routes for the league's squad size limits and position quotas
+ */
+
+import express from 'express';
+import { getSquadRules, updateSquadRules } from '../controllers/squadRuleController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/permissionMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all squad rule routes
+router.use(authenticateToken);
+
+// GET /api/squad-rules - Get the league's squad rules
+router.get('/', getSquadRules);
+
+// PUT /api/squad-rules - Replace the league's squad rules
+router.put('/', requireRole('admin', 'organiser'), updateSquadRules);
+
+export default router;
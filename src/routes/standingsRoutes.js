@@ -0,0 +1,25 @@
+/**
+ * Standings Routes
+ * Defines routes for the points table and its tie-break rules
+ */
+
+import express from 'express';
+import { getStandings, getStandingsRules, updateStandingsRules } from '../controllers/standingsController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/permissionMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all standings routes
+router.use(authenticateToken);
+
+// GET /api/standings - Get the points table
+router.get('/', getStandings);
+
+// GET /api/standings/rules - Get the points and tie-break rules
+router.get('/rules', getStandingsRules);
+
+// PUT /api/standings/rules - Replace the points and tie-break rules
+router.put('/rules', requireRole('admin', 'organiser'), updateStandingsRules);
+
+export default router;
@@ -8,34 +8,83 @@ import {
   getAllTeams,
   getTeamById,
   getTeamHierarchy,
+  getTeamTransfers,
+  getAvailableJerseys,
+  getTeamCompliance,
+  getTeamRosterPdf,
+  getLeagueRosterPdf,
+  exportTeams,
   createTeam,
   updateTeam,
-  deleteTeam
+  deleteTeam,
+  previewTeamDeletion,
+  getDeletedTeams,
+  restoreTeam,
+  uploadTeamLogo,
+  removeTeamLogo
 } from '../controllers/teamController.js';
 import { authenticateToken } from '../middleware/authMiddleware.js';
+import { requireRole, denyViewerWrites } from '../middleware/permissionMiddleware.js';
+import { imageUpload } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
-// Apply authentication middleware to all team routes
-router.use(authenticateToken);
+// Apply authentication middleware to all team routes (viewers are read-only)
+router.use(authenticateToken, denyViewerWrites);
+
+// Creating, editing and deleting teams is for organisers
+const organisersOnly = requireRole('admin', 'organiser');
 
 // GET /api/teams - Get all teams
 router.get('/', getAllTeams);
 
+// GET /api/teams/export - Export teams as CSV/XLSX (?format=csv|xlsx)
+router.get('/export', exportTeams);
+
+// GET /api/teams/roster.pdf - Printable roster for all teams (must be before /:id route)
+router.get('/roster.pdf', getLeagueRosterPdf);
+
+// GET /api/teams/trash - Deleted teams that can still be restored
+router.get('/trash', organisersOnly, getDeletedTeams);
+
 // GET /api/teams/:id - Get single team
 router.get('/:id', getTeamById);
 
 // GET /api/teams/:id/hierarchy - Get team with all players
 router.get('/:id/hierarchy', getTeamHierarchy);
 
+// GET /api/teams/:id/transfers - Players who joined and left the team
+router.get('/:id/transfers', getTeamTransfers);
+
+// GET /api/teams/:id/available-jerseys - Suggest free jersey numbers
+router.get('/:id/available-jerseys', getAvailableJerseys);
+
+// GET /api/teams/:id/compliance - Squad rules the team currently breaks
+router.get('/:id/compliance', getTeamCompliance);
+
+// GET /api/teams/:id/roster.pdf - Printable roster for a single team
+router.get('/:id/roster.pdf', getTeamRosterPdf);
+
 // POST /api/teams - Create new team
-router.post('/', createTeam);
+router.post('/', organisersOnly, createTeam);
 
 // PUT /api/teams/:id - Update team
-router.put('/:id', updateTeam);
+router.put('/:id', organisersOnly, updateTeam);
+
+// POST /api/teams/:id/logo - Upload a logo image (multipart field "logo")
+router.post('/:id/logo', organisersOnly, imageUpload('logo'), uploadTeamLogo);
+
+// DELETE /api/teams/:id/logo - Remove the uploaded logo
+router.delete('/:id/logo', organisersOnly, removeTeamLogo);
+
+// POST /api/teams/:id/restore - Restore a deleted team and re-link its players
+router.post('/:id/restore', organisersOnly, restoreTeam);
+
+// GET /api/teams/:id/delete-preview - Players affected by deleting the team (same query as DELETE)
+router.get('/:id/delete-preview', organisersOnly, previewTeamDeletion);
 
-// DELETE /api/teams/:id - Delete team
-router.delete('/:id', deleteTeam);
+// DELETE /api/teams/:id - Delete team (?mode=release|delete|transfer&target_team_id=)
+router.delete('/:id', organisersOnly, deleteTeam);
 
 export default router;
 
@@ -0,0 +1,57 @@
+/**
+ * User Routes
+ * Defines admin-only routes for user account management
+ */
+
+import express from 'express';
+import {
+  getAllUsers,
+  getUserById,
+  createUser,
+  setUserRole,
+  setUserStatus,
+  resetUserPassword,
+  deleteUser,
+  getLockouts,
+  clearLockout,
+  clearAllLockouts
+} from '../controllers/userController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/permissionMiddleware.js';
+
+const router = express.Router();
+
+// Apply authentication and admin check to all user routes
+router.use(authenticateToken, requireRole('admin'));
+
+// GET /api/users - Get all users
+router.get('/', getAllUsers);
+
+// GET /api/users/lockouts - Get active login lockouts (must be before /:id route)
+router.get('/lockouts', getLockouts);
+
+// DELETE /api/users/lockouts - Clear all login lockouts
+router.delete('/lockouts', clearAllLockouts);
+
+// DELETE /api/users/lockouts/:lockoutId - Clear a single login lockout
+router.delete('/lockouts/:lockoutId', clearLockout);
+
+// GET /api/users/:id - Get single user
+router.get('/:id', getUserById);
+
+// POST /api/users - Create new user
+router.post('/', createUser);
+
+// PUT /api/users/:id/role - Change role, league and managed team
+router.put('/:id/role', setUserRole);
+
+// PUT /api/users/:id/status - Enable or disable user
+router.put('/:id/status', setUserStatus);
+
+// PUT /api/users/:id/password - Reset user password
+router.put('/:id/password', resetUserPassword);
+
+// DELETE /api/users/:id - Delete user
+router.delete('/:id', deleteUser);
+
+export default router;
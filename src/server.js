@@ -6,11 +6,19 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { initializeDatabase } from './config/database.js';
+import { assertDatabaseMigrated } from './config/migrations.js';
 import authRoutes from './routes/authRoutes.js';
 import teamRoutes from './routes/teamRoutes.js';
 import playerRoutes from './routes/playerRoutes.js';
+import auctionRoutes from './routes/auctionRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import squadRuleRoutes from './routes/squadRuleRoutes.js';
+import mediaRoutes from './routes/mediaRoutes.js';
+import matchRoutes from './routes/matchRoutes.js';
+import standingsRoutes from './routes/standingsRoutes.js';
+import seasonRoutes from './routes/seasonRoutes.js';
 import User from './models/User.js';
+import { startTrashPurgeJob } from './jobs/trashPurge.js';
 
 // Load environment variables
 dotenv.config();
@@ -33,8 +41,8 @@ app.use((req, res, next) => {
 // Initialize database and create default user
 const initializeApp = async () => {
   try {
-    // Initialize database tables
-    await initializeDatabase();
+    // Refuse to run against a database missing migrations
+    await assertDatabaseMigrated();
     
     // Create default user if no users exist
     const userCount = await User.count();
@@ -43,12 +51,16 @@ const initializeApp = async () => {
       const defaultUsername = process.env.DEFAULT_USERNAME || 'admin';
       const defaultPassword = process.env.DEFAULT_PASSWORD || 'admin123';
       
-      await User.create(defaultUsername, defaultPassword);
+      // Seeded credentials are public, so force a change on first login
+      await User.create(defaultUsername, defaultPassword, 'admin', { mustChangePassword: true });
       console.log('✅ Default user created');
       console.log(`   Username: ${defaultUsername}`);
       console.log(`   Password: ${defaultPassword}`);
-      console.log('   ⚠️  Please change the default password after first login!');
+      console.log('   ⚠️  You will be asked to change this password on first login.');
     }
+
+    // Permanently remove teams and players deleted longer ago than TRASH_RETENTION_DAYS
+    startTrashPurgeJob();
   } catch (error) {
     console.error('❌ Error initializing application:', error.message);
     process.exit(1);
@@ -60,8 +72,15 @@ initializeApp();
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/teams', teamRoutes);
 app.use('/api/players', playerRoutes);
+app.use('/api/auctions', auctionRoutes);
+app.use('/api/squad-rules', squadRuleRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/matches', matchRoutes);
+app.use('/api/standings', standingsRoutes);
+app.use('/api/seasons', seasonRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -80,8 +99,15 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       auth: '/api/auth',
+      users: '/api/users',
       teams: '/api/teams',
-      players: '/api/players'
+      players: '/api/players',
+      auctions: '/api/auctions',
+      squadRules: '/api/squad-rules',
+      media: '/api/media',
+      matches: '/api/matches',
+      standings: '/api/standings',
+      seasons: '/api/seasons'
     }
   });
 });
@@ -0,0 +1,36 @@
+/**
+ * File Storage
+ * Picks the storage driver named by STORAGE_DRIVER. A driver is any object with
+ * async save(key, buffer), read(key) -> Buffer|null and remove(key), so another
+ * backend (e.g. object storage) can be added here without touching callers.
+ */
+
+import uploadConfig from '../config/uploads.js';
+import LocalStorage from './localStorage.js';
+
+const drivers = {
+  local: () => new LocalStorage(uploadConfig.uploadDir)
+};
+
+if (!drivers[uploadConfig.storageDriver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${uploadConfig.storageDriver}". Use one of: ${Object.keys(drivers).join(', ')}.`);
+}
+
+const storage = drivers[uploadConfig.storageDriver]();
+
+/**
+ * Delete several stored files, skipping empty keys
+ * Failures are logged rather than thrown: a leftover file is harmless.
+ * @param {Array<string|null>} keys - Storage keys
+ */
+export const removeFiles = async (keys) => {
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Remove file ${key} error:`, error);
+    }
+  }
+};
+
+export default storage;
@@ -0,0 +1,66 @@
+/**
+ * Local File Storage
+ * Storage driver that keeps files in a folder on the server's disk
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Keys are generated by the API: lowercase path segments, no "..", no leading slash
+const KEY_PATTERN = /^[a-z0-9_-]+(\/[a-z0-9_-]+)*\.[a-z0-9]+$/;
+
+class LocalStorage {
+  /**
+   * @param {string} rootDir - Folder that holds every stored file
+   */
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  /**
+   * Resolve a storage key to a path inside the root folder
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  resolve(key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.rootDir, key);
+  }
+
+  /**
+   * Save a file, replacing any file with the same key
+   * @param {string} key - Storage key
+   * @param {Buffer} data - File contents
+   */
+  async save(key, data) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, data);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} File contents, or null if there is no such file
+   */
+  async read(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file; missing files are ignored
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+export default LocalStorage;
@@ -0,0 +1,143 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 parser and writer for player import/export files
+ */
+
+// Leading characters that spreadsheet apps treat as a formula
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Handles quoted fields, escaped quotes, embedded newlines, CRLF and a UTF-8 BOM
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Undo the formula guard added by toCsv so exports import back unchanged
+ * @param {string} value - Cell value
+ * @returns {string} Original value
+ */
+const unescapeFormula = (value) => {
+  return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+};
+
+/**
+ * Format a single value as a CSV cell
+ * Text that looks like a formula is prefixed with an apostrophe so it is not evaluated.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows to CSV text with a header row
+ * @param {Array<Object>} columns - Column definitions ({ key, header })
+ * @param {Array<Object>} rows - Row objects keyed by column key
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => formatCsvCell(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatCsvCell(row[column.key])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Check whether a parsed row has no content
+ * @param {Array<string>} cells - Row cells
+ * @returns {boolean} True if every cell is blank
+ */
+const isBlankRow = (cells) => cells.every(cell => cell.trim() === '');
+
+/**
+ * Parse CSV text with a header row into objects keyed by normalized header names
+ * Headers are lower-cased and spaces become underscores ("Player Name" -> "player_name")
+ * @param {string} text - Raw CSV text
+ * @returns {Object} { headers, records } where each record has its 1-based `row` number
+ */
+export const parseCsv = (text) => {
+  const rows = parseCsvRows(text);
+  const headerIndex = rows.findIndex(cells => !isBlankRow(cells));
+
+  if (headerIndex === -1) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[headerIndex].map(header => header.trim().toLowerCase().replace(/\s+/g, '_'));
+  const records = [];
+
+  // Row numbers match what a spreadsheet shows, so blank rows still count
+  for (let index = headerIndex + 1; index < rows.length; index++) {
+    if (isBlankRow(rows[index])) continue;
+
+    const record = { row: index + 1 };
+    headers.forEach((header, column) => {
+      record[header] = unescapeFormula((rows[index][column] ?? '').trim());
+    });
+    records.push(record);
+  }
+
+  return { headers, records };
+};
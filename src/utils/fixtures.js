@@ -0,0 +1,112 @@
+/**
+ * Fixture Generator
+ * Builds round-robin schedules and orders them so teams get a rest between games
+ */
+
+/**
+ * Pair every team with every other team using the circle method
+ * Home and away alternate so each team hosts about half of its games.
+ * @param {Array<number>} teamIds - Team IDs (at least two)
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.doubleRoundRobin - Play every pairing twice, swapping home and away
+ * @returns {Array<Object>} Pairings { round, home_team_id, away_team_id }
+ */
+export const buildRoundRobin = (teamIds, { doubleRoundRobin = false } = {}) => {
+  // An odd number of teams gets a bye (null) each round
+  const slots = teamIds.length % 2 === 0 ? [...teamIds] : [...teamIds, null];
+  const roundCount = slots.length - 1;
+  const half = slots.length / 2;
+  const pairings = [];
+
+  for (let round = 0; round < roundCount; round++) {
+    for (let i = 0; i < half; i++) {
+      const first = slots[i];
+      const second = slots[slots.length - 1 - i];
+      if (first === null || second === null) continue;
+
+      // Flip the fixed team's fixture every other round so it is not always at home
+      const flip = i === 0 ? round % 2 === 1 : i % 2 === 1;
+      pairings.push({
+        round: round + 1,
+        home_team_id: flip ? second : first,
+        away_team_id: flip ? first : second
+      });
+    }
+
+    // Keep the first team fixed and rotate the rest one place
+    slots.splice(1, 0, slots.pop());
+  }
+
+  if (!doubleRoundRobin) return pairings;
+
+  return [
+    ...pairings,
+    ...pairings.map(pairing => ({
+      round: pairing.round + roundCount,
+      home_team_id: pairing.away_team_id,
+      away_team_id: pairing.home_team_id
+    }))
+  ];
+};
+
+/**
+ * Compare two score tuples element by element
+ * @param {Array<number>} a - First score
+ * @param {Array<number>} b - Second score
+ * @returns {number} Negative if a ranks first, positive if b does, 0 if equal
+ */
+const compareScores = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+};
+
+/**
+ * Order pairings into a single sequence of match slots with no team playing
+ * two slots in a row where possible
+ * Each slot takes the earliest-round pairing whose teams did not play in the
+ * previous slot, preferring the teams that have waited longest. With fewer than
+ * five teams a clash cannot always be avoided; those slots are counted.
+ * @param {Array<Object>} pairings - Pairings from buildRoundRobin
+ * @returns {Object} { fixtures, backToBack } where fixtures are the pairings in play order
+ */
+export const orderFixtures = (pairings) => {
+  const remaining = [...pairings];
+  const lastPlayed = new Map();
+  const fixtures = [];
+  let backToBack = 0;
+  let previous = null;
+
+  const restOf = (teamId) => fixtures.length - (lastPlayed.get(teamId) ?? -Infinity);
+  const playedLast = (pairing) => previous !== null && [pairing.home_team_id, pairing.away_team_id]
+    .some(teamId => teamId === previous.home_team_id || teamId === previous.away_team_id);
+
+  while (remaining.length > 0) {
+    let bestIndex = -1;
+    let bestScore = null;
+
+    remaining.forEach((pairing, index) => {
+      // Clash-free first, then earlier rounds, then the teams with the shortest rest ahead
+      const score = [
+        playedLast(pairing) ? 1 : 0,
+        pairing.round,
+        -Math.min(restOf(pairing.home_team_id), restOf(pairing.away_team_id))
+      ];
+      if (bestScore === null || compareScores(score, bestScore) < 0) {
+        bestIndex = index;
+        bestScore = score;
+      }
+    });
+
+    const [next] = remaining.splice(bestIndex, 1);
+    if (playedLast(next)) backToBack++;
+
+    lastPlayed.set(next.home_team_id, fixtures.length);
+    lastPlayed.set(next.away_team_id, fixtures.length);
+    fixtures.push(next);
+    previous = next;
+  }
+
+  return { fixtures, backToBack };
+};
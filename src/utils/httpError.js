@@ -0,0 +1,43 @@
+/**
+ * HTTP Error
+ * Error type for business-rule failures that map to a specific HTTP status
+ */
+
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} message - Client-facing error message
+   * @param {Object} details - Extra fields merged into the JSON response
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an error response, using the status of an HttpError when available
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} logLabel - Log prefix for unexpected errors
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+export const handleError = (res, error, logLabel, fallbackMessage) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  console.error(`${logLabel}:`, error);
+  res.status(500).json({ 
+    success: false, 
+    message: fallbackMessage 
+  });
+};
+
+export default HttpError;
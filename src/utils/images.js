@@ -0,0 +1,106 @@
+/**
+ * Image Helpers
+ * Validates uploaded images and produces the stored image and its thumbnail
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import uploadConfig from '../config/uploads.js';
+import storage from '../storage/index.js';
+import HttpError from './httpError.js';
+
+// Accepted upload types and the file extension each is stored with
+export const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+// sharp format names for the accepted types
+const SHARP_FORMATS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp'
+};
+
+/**
+ * Check an image's real format and build the stored copy and thumbnail
+ * The declared MIME type is not trusted; the file contents are decoded.
+ * Re-encoding also strips EXIF data such as GPS location.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} { image, thumbnail }, each { data, extension }
+ */
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new HttpError(400, 'The file is not a readable image.');
+  }
+
+  const extension = SHARP_FORMATS[metadata.format];
+  if (!extension) {
+    throw new HttpError(415, 'Only JPEG, PNG and WebP images are allowed.');
+  }
+
+  const { maxImageDimension, thumbnailSize } = uploadConfig;
+
+  // rotate() applies the EXIF orientation before it is stripped
+  const image = await sharp(buffer)
+    .rotate()
+    .resize(maxImageDimension, maxImageDimension, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(metadata.format)
+    .toBuffer();
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(thumbnailSize, thumbnailSize, { fit: 'cover' })
+    .webp()
+    .toBuffer();
+
+  return {
+    image: { data: image, extension },
+    thumbnail: { data: thumbnail, extension: 'webp' }
+  };
+};
+
+/**
+ * Process an uploaded image and save it and its thumbnail under a new key
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} folder - Key prefix, e.g. "teams/3"
+ * @returns {Promise<Object>} Storage keys { imageKey, thumbKey }
+ */
+export const storeImage = async (buffer, folder) => {
+  const { image, thumbnail } = await processImage(buffer);
+
+  // A fresh name per upload, so cached copies of an old image never linger
+  const name = crypto.randomUUID();
+  const imageKey = `${folder}/${name}.${image.extension}`;
+  const thumbKey = `${folder}/${name}-thumb.${thumbnail.extension}`;
+
+  await storage.save(imageKey, image.data);
+  await storage.save(thumbKey, thumbnail.data);
+
+  return { imageKey, thumbKey };
+};
+
+/**
+ * Copy a stored image and its thumbnail to new keys, e.g. for a cloned team
+ * @param {Object} keys - Source storage keys { imageKey, thumbKey }
+ * @param {string} folder - Key prefix for the copies
+ * @returns {Promise<Object|null>} New keys { imageKey, thumbKey }, or null if the source is gone
+ */
+export const copyImage = async ({ imageKey, thumbKey }, folder) => {
+  const [image, thumbnail] = await Promise.all([storage.read(imageKey), storage.read(thumbKey)]);
+  if (!image || !thumbnail) return null;
+
+  const name = crypto.randomUUID();
+  const copy = {
+    imageKey: `${folder}/${name}.${imageKey.split('.').pop()}`,
+    thumbKey: `${folder}/${name}-thumb.${thumbKey.split('.').pop()}`
+  };
+
+  await storage.save(copy.imageKey, image);
+  await storage.save(copy.thumbKey, thumbnail);
+
+  return copy;
+};
@@ -0,0 +1,87 @@
+/**
+ * Media URLs
+ * Signed, expiring URLs for stored images. The signature stands in for the
+ * Authorization header, so the URLs work directly in <img> tags.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import uploadConfig from '../config/uploads.js';
+
+dotenv.config();
+
+// Content types for the extensions images are stored with
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+/**
+ * Sign a storage key and expiry time
+ * @param {string} key - Storage key
+ * @param {number} expires - Unix time in seconds
+ * @returns {string} Hex HMAC signature
+ */
+const sign = (key, expires) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${key}:${expires}`).digest('hex');
+};
+
+/**
+ * Build a signed URL for a stored image
+ * @param {string|null} key - Storage key
+ * @returns {string|null} URL under /api/media, or null when there is no image
+ */
+export const signMediaUrl = (key) => {
+  if (!key) return null;
+
+  const expires = Math.floor(Date.now() / 1000) + uploadConfig.urlTtlSeconds;
+  return `/api/media/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+/**
+ * Check a signed media URL
+ * @param {string} key - Storage key from the path
+ * @param {string} expires - expires query value
+ * @param {string} signature - signature query value
+ * @returns {boolean} True if the signature matches and has not expired
+ */
+export const verifyMediaSignature = (key, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) return false;
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(sign(key, expiresAt), 'hex'), Buffer.from(signature, 'hex'));
+};
+
+/**
+ * Get the content type for a storage key
+ * @param {string} key - Storage key
+ * @returns {string} MIME type
+ */
+export const getMediaContentType = (key) => {
+  return CONTENT_TYPES[key.split('.').pop()] || 'application/octet-stream';
+};
+
+/**
+ * Swap a player's photo storage keys for signed URLs
+ * @param {Object} player - Player row with photo_key and photo_thumb_key
+ * @returns {Object} Player with photo_url and photo_thumbnail_url
+ */
+export const withPlayerPhoto = ({ photo_key, photo_thumb_key, ...player }) => ({
+  ...player,
+  photo_url: signMediaUrl(photo_key),
+  photo_thumbnail_url: signMediaUrl(photo_thumb_key)
+});
+
+/**
+ * Swap a team's logo storage keys for signed URLs (and its players' photos, for a hierarchy)
+ * @param {Object} team - Team row with logo_key and logo_thumb_key
+ * @returns {Object} Team with logo_url and logo_thumbnail_url
+ */
+export const withTeamImages = ({ logo_key, logo_thumb_key, ...team }) => ({
+  ...team,
+  logo_url: signMediaUrl(logo_key),
+  logo_thumbnail_url: signMediaUrl(logo_thumb_key),
+  ...(Array.isArray(team.players) && { players: team.players.map(withPlayerPhoto) })
+});
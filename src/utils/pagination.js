@@ -0,0 +1,94 @@
+/**
+ * List Query Helpers
+ * Parses limit/offset paging and sort options and builds next/prev links
+ */
+
+export const MAX_PAGE_SIZE = 200;
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+/**
+ * Read a non-negative integer query parameter
+ * @param {*} value - Raw query value
+ * @returns {number|null} Parsed value, or null if not a whole number
+ */
+const parseWholeNumber = (value) => (/^\d+$/.test(String(value)) ? parseInt(value) : null);
+
+/**
+ * Read and validate paging options from the query string
+ * Without a limit every row is returned, so existing clients keep working.
+ * @param {Object} queryParams - req.query
+ * @returns {Object} { paging: { limit, offset } } or { error } with a validation message
+ */
+export const parsePaging = (queryParams) => {
+  let limit = null;
+  let offset = 0;
+
+  if (queryParams.limit !== undefined) {
+    limit = parseWholeNumber(queryParams.limit);
+    if (limit === null || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+  }
+
+  if (queryParams.offset !== undefined) {
+    offset = parseWholeNumber(queryParams.offset);
+    if (offset === null) {
+      return { error: 'offset must be a whole number of 0 or more.' };
+    }
+  }
+
+  return { paging: { limit, offset } };
+};
+
+/**
+ * Read and validate sort options from the query string (?sort=field&direction=asc|desc)
+ * @param {Object} queryParams - req.query
+ * @param {Array<string>} fields - Sortable fields
+ * @returns {Object} { sort } (null when not requested) or { error } with a validation message
+ */
+export const parseSort = (queryParams, fields) => {
+  if (queryParams.sort === undefined) {
+    return queryParams.direction === undefined
+      ? { sort: null }
+      : { error: 'direction needs a sort field.' };
+  }
+
+  const field = String(queryParams.sort).trim().toLowerCase();
+  const direction = String(queryParams.direction || 'asc').trim().toLowerCase();
+
+  if (!fields.includes(field)) {
+    return { error: `sort must be one of: ${fields.join(', ')}.` };
+  }
+  if (!SORT_DIRECTIONS.includes(direction)) {
+    return { error: 'direction must be asc or desc.' };
+  }
+
+  return { sort: { field, direction } };
+};
+
+/**
+ * Build the paging block of a list response with next/prev links
+ * Links keep every other query parameter of the current request.
+ * @param {Object} req - Express request object
+ * @param {Object} paging - Paging from parsePaging
+ * @param {number} total - Rows matching the filters
+ * @returns {Object} { total, limit, offset, next, prev }
+ */
+export const buildPageInfo = (req, { limit, offset }, total) => {
+  const linkTo = (pageOffset) => {
+    const params = new URLSearchParams(req.query);
+    params.set('limit', limit);
+    params.set('offset', pageOffset);
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+  };
+
+  const hasPages = limit !== null;
+
+  return {
+    total,
+    limit,
+    offset,
+    next: hasPages && offset + limit < total ? linkTo(offset + limit) : null,
+    prev: hasPages && offset > 0 ? linkTo(Math.max(0, offset - limit)) : null
+  };
+};
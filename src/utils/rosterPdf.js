@@ -0,0 +1,265 @@
+/**
+ * Roster PDF Builder
+ * Renders printable team rosters using jsPDF and jspdf-autotable
+ */
+
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+
+const require = createRequire(import.meta.url);
+
+const PAGE_MARGIN = 14;
+const HEADER_HEIGHT = 32;
+const DEFAULT_TEAM_COLOR = '#0ea5e9';
+
+// The built-in PDF fonts only cover Latin-1, so text with Kannada in it is drawn
+// with an embedded Noto Sans Kannada (which also has the ASCII range). jsPDF does
+// not shape text: conjuncts print with a visible virama, but stay readable.
+const KANNADA_FONT = 'NotoSansKannada';
+const KANNADA_CHARACTERS = /[\u0C80-\u0CFF]/;
+const KANNADA_FONT_FILES = {
+  normal: '@expo-google-fonts/noto-sans-kannada/400Regular/NotoSansKannada_400Regular.ttf',
+  bold: '@expo-google-fonts/noto-sans-kannada/700Bold/NotoSansKannada_700Bold.ttf'
+};
+
+let kannadaFontData = null;
+
+/**
+ * Convert a hex color to an RGB array
+ * @param {string} hex - Hex color (e.g. '#0ea5e9')
+ * @returns {Array<number>} [r, g, b]
+ */
+const hexToRgb = (hex) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  const value = parseInt(match ? match[1] : DEFAULT_TEAM_COLOR.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+/**
+ * Pick black or white text for readability on a background color
+ * @param {Array<number>} rgb - Background color
+ * @returns {Array<number>} Text color
+ */
+const contrastText = ([r, g, b]) => {
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.6 ? [17, 24, 39] : [255, 255, 255];
+};
+
+/**
+ * Check whether text can be drawn with the built-in PDF fonts or the Kannada font.
+ * Emoji logos fall outside both and would render as garbage.
+ * @param {string} text - Text to check
+ * @returns {boolean} True if printable
+ */
+const isPrintable = (text) => /^[\x20-\xff\u0C80-\u0CFF]+$/.test(text || '');
+
+/**
+ * Check whether text needs the Kannada font
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text has Kannada characters
+ */
+const hasKannada = (text) => KANNADA_CHARACTERS.test(text || '');
+
+/**
+ * Add the Kannada font (regular and bold) to a document
+ * The font files are read once and kept as base64 for later documents.
+ * @param {jsPDF} doc - PDF document
+ */
+const registerKannadaFont = (doc) => {
+  if (!kannadaFontData) {
+    kannadaFontData = Object.fromEntries(
+      Object.entries(KANNADA_FONT_FILES).map(([style, file]) => [style, readFileSync(require.resolve(file)).toString('base64')])
+    );
+  }
+
+  Object.entries(kannadaFontData).forEach(([style, data]) => {
+    const fileName = `${KANNADA_FONT}-${style}.ttf`;
+    doc.addFileToVFS(fileName, data);
+    doc.addFont(fileName, KANNADA_FONT, style);
+  });
+};
+
+/**
+ * Select a font that can draw the text: the Kannada font when needed, else Helvetica
+ * @param {jsPDF} doc - PDF document
+ * @param {string} text - Text about to be drawn
+ * @param {string} style - 'normal' or 'bold'
+ */
+const setFontFor = (doc, text, style) => {
+  doc.setFont(hasKannada(text) ? KANNADA_FONT : 'helvetica', style);
+};
+
+/**
+ * Sort players by position (unset last), then jersey number (unset last), then name
+ * @param {Array} players - Players from the team hierarchy
+ * @returns {Array} Sorted copy of players
+ */
+export const sortRosterPlayers = (players) => {
+  return [...players].sort((a, b) => {
+    if (!a.position !== !b.position) return a.position ? -1 : 1;
+    const byPosition = (a.position || '').localeCompare(b.position || '');
+    if (byPosition !== 0) return byPosition;
+
+    const aJersey = a.jersey_number ?? null;
+    const bJersey = b.jersey_number ?? null;
+    if (aJersey === null && bJersey !== null) return 1;
+    if (aJersey !== null && bJersey === null) return -1;
+    if (aJersey !== bJersey) return aJersey - bJersey;
+
+    return a.player_name.localeCompare(b.player_name);
+  });
+};
+
+/**
+ * Draw the team logo badge inside the header band
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} team - Team hierarchy
+ * @param {Array<number>} textColor - Header text color
+ */
+const drawLogo = (doc, team, textColor) => {
+  const size = 20;
+  const x = PAGE_MARGIN;
+  const y = (HEADER_HEIGHT - size) / 2;
+
+  doc.setDrawColor(...textColor);
+  doc.setLineWidth(0.6);
+  doc.circle(x + size / 2, y + size / 2, size / 2, 'S');
+
+  // Fall back to team initials when the logo is an emoji
+  const logo = isPrintable(team.team_logo)
+    ? team.team_logo
+    : team.team_name
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 3)
+        .map(word => word[0].toUpperCase())
+        .join('');
+
+  setFontFor(doc, logo, 'bold');
+  doc.setFontSize(11);
+  doc.text(isPrintable(logo) ? logo : '', x + size / 2, y + size / 2, {
+    align: 'center',
+    baseline: 'middle'
+  });
+};
+
+/**
+ * Render one team onto the current page
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} team - Team hierarchy from Team.getTeamHierarchy
+ */
+const renderTeamPage = (doc, team) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const bandColor = hexToRgb(team.team_color);
+  const textColor = contrastText(bandColor);
+
+  // Header band in the team color
+  doc.setFillColor(...bandColor);
+  doc.rect(0, 0, pageWidth, HEADER_HEIGHT, 'F');
+  doc.setTextColor(...textColor);
+
+  drawLogo(doc, team, textColor);
+
+  setFontFor(doc, team.team_name, 'bold');
+  doc.setFontSize(20);
+  doc.text(team.team_name, PAGE_MARGIN + 26, HEADER_HEIGHT / 2 - 2);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(
+    `${team.players.length} player${team.players.length === 1 ? '' : 's'}`,
+    PAGE_MARGIN + 26,
+    HEADER_HEIGHT / 2 + 6
+  );
+
+  let cursorY = HEADER_HEIGHT + 10;
+  doc.setTextColor(55, 65, 81);
+
+  if (team.description) {
+    setFontFor(doc, team.description, 'normal');
+    doc.setFontSize(10);
+    const lines = doc.splitTextToSize(team.description, pageWidth - PAGE_MARGIN * 2);
+    doc.text(lines, PAGE_MARGIN, cursorY);
+    cursorY += lines.length * 5 + 4;
+  }
+
+  const players = sortRosterPlayers(team.players);
+
+  autoTable(doc, {
+    startY: cursorY,
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN },
+    head: [['#', 'Player', 'Position', 'Jersey']],
+    body: players.length > 0
+      ? players.map((player, index) => [
+          index + 1,
+          player.player_name,
+          player.position || '-',
+          player.jersey_number ?? '-'
+        ])
+      : [[{ content: 'No players assigned', colSpan: 4, styles: { halign: 'center' } }]],
+    headStyles: { fillColor: bandColor, textColor },
+    columnStyles: {
+      0: { cellWidth: 12, halign: 'right' },
+      3: { cellWidth: 20, halign: 'center' }
+    },
+    styles: { fontSize: 10 },
+    didParseCell: (data) => {
+      if (hasKannada(data.cell.text.join(' '))) data.cell.styles.font = KANNADA_FONT;
+    }
+  });
+};
+
+/**
+ * Add a generation footer with page numbers to every page
+ * @param {jsPDF} doc - PDF document
+ */
+const addFooters = (doc) => {
+  const pageCount = doc.getNumberOfPages();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const generatedAt = new Date().toLocaleString('en-IN');
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    doc.text(`Generated ${generatedAt}`, PAGE_MARGIN, pageHeight - 8);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, pageHeight - 8, { align: 'right' });
+  }
+};
+
+/**
+ * Build a roster PDF for one or more teams (one team per page)
+ * @param {Array} teams - Team hierarchies from Team.getTeamHierarchy
+ * @returns {Buffer} PDF file contents
+ */
+export const buildRosterPdf = (teams) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+
+  // Only embed the Kannada font when some text needs it
+  const needsKannada = teams.some(team => [
+    team.team_name,
+    team.team_logo,
+    team.description,
+    ...team.players.flatMap(player => [player.player_name, player.position])
+  ].some(hasKannada));
+  if (needsKannada) registerKannadaFont(doc);
+
+  if (teams.length === 0) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(12);
+    doc.text('No teams to display.', PAGE_MARGIN, PAGE_MARGIN + 6);
+  }
+
+  teams.forEach((team, index) => {
+    if (index > 0) doc.addPage();
+    renderTeamPage(doc, team);
+  });
+
+  addFooters(doc);
+
+  return Buffer.from(doc.output('arraybuffer'));
+};
@@ -0,0 +1,69 @@
+/**
+ * Spreadsheet Export Helpers
+ * Sends tabular data as CSV or XLSX downloads
+ */
+
+import ExcelJS from 'exceljs';
+import { toCsv } from './csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Read and validate the export format from the query string
+ * @param {Object} queryParams - req.query
+ * @returns {string|null} 'csv' (default) or 'xlsx', or null if unsupported
+ */
+export const parseExportFormat = (queryParams) => {
+  const format = String(queryParams.format || 'csv').toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+};
+
+/**
+ * Build an XLSX workbook buffer with a single sheet
+ * @param {string} sheetName - Worksheet name
+ * @param {Array<Object>} columns - Column definitions ({ key, header, width })
+ * @param {Array<Object>} rows - Row objects keyed by column key
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+const buildXlsx = async (sheetName, columns, rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.columns = columns.map(column => ({
+    key: column.key,
+    header: column.header,
+    width: column.width || 16
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(rows.map(row => Object.fromEntries(
+    columns.map(column => [column.key, row[column.key] ?? null])
+  )));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Send rows as a CSV or XLSX download
+ * @param {Object} res - Express response object
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} options.fileName - File name without extension
+ * @param {string} options.sheetName - Worksheet name (XLSX only)
+ * @param {Array<Object>} options.columns - Column definitions ({ key, header, width })
+ * @param {Array<Object>} options.rows - Row objects keyed by column key
+ */
+export const sendSpreadsheet = async (res, { format, fileName, sheetName, columns, rows }) => {
+  if (format === 'xlsx') {
+    const file = await buildXlsx(sheetName, columns, rows);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+    return res.send(file);
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+  // BOM so Excel detects UTF-8 (Kannada names); parseCsv strips it on import
+  res.send(`\uFEFF${toCsv(columns, rows)}`);
+};
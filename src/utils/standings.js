@@ -0,0 +1,162 @@
+/**
+ * Standings Utility
+ * Builds the points table (results, points and net run rate) from match totals
+ */
+
+import { BALLS_PER_OVER, MAX_WICKETS, ballsToOvers } from '../models/Scorecard.js';
+
+// Rules that can separate teams level on points, applied in the league's chosen order
+export const TIE_BREAKERS = ['won', 'net_run_rate', 'head_to_head', 'runs_for', 'fewer_lost'];
+
+/**
+ * Work out the result of a finished match from its first two innings
+ * Abandoned matches, and completed ones without both innings entered, are no result.
+ * @param {Object} match - { status, innings: [{ batting_team_id, runs }] }
+ * @returns {Object} { type: 'won'|'tied'|'no_result', winnerId, loserId }
+ */
+export const getMatchResult = (match) => {
+  const [first, second] = match.innings;
+  if (match.status !== 'completed' || !second || first.batting_team_id === second.batting_team_id) {
+    return { type: 'no_result', winnerId: null, loserId: null };
+  }
+  if (first.runs === second.runs) {
+    return { type: 'tied', winnerId: null, loserId: null };
+  }
+
+  const [winner, loser] = first.runs > second.runs ? [first, second] : [second, first];
+  return { type: 'won', winnerId: winner.batting_team_id, loserId: loser.batting_team_id };
+};
+
+/**
+ * Balls an innings counts for in net run rate
+ * A side bowled out is charged its full quota of overs.
+ * @param {Object} innings - { wickets, balls }
+ * @param {number} overs - Overs per innings in the match
+ * @returns {number} Balls
+ */
+const ballsForRunRate = (innings, overs) => {
+  return innings.wickets >= MAX_WICKETS ? overs * BALLS_PER_OVER : innings.balls;
+};
+
+/**
+ * Points a team earned from a result
+ * @param {Object} result - Match result
+ * @param {number} teamId - Team ID
+ * @param {Object} rules - Standings rules
+ * @returns {number} Points
+ */
+const pointsFor = (result, teamId, rules) => {
+  if (result.type === 'won') return result.winnerId === teamId ? rules.points_for_win : 0;
+  return result.type === 'tied' ? rules.points_for_tie : rules.points_for_no_result;
+};
+
+/**
+ * Sort key for each tie-break rule (higher ranks first)
+ * head_to_head counts only points from matches between the teams still level.
+ */
+const TIE_BREAK_KEYS = {
+  points: (row) => row.points,
+  won: (row) => row.won,
+  net_run_rate: (row) => row.net_run_rate,
+  runs_for: (row) => row.runs_for,
+  fewer_lost: (row) => -row.lost,
+  head_to_head: (row, group, results, rules) => {
+    const levelIds = new Set(group.map(team => team.team_id));
+    return results
+      .filter(result => result.teamIds.includes(row.team_id) && result.teamIds.every(id => levelIds.has(id)))
+      .reduce((sum, result) => sum + pointsFor(result, row.team_id, rules), 0);
+  }
+};
+
+/**
+ * Order teams by the given rules, splitting each level group by the next rule
+ * Teams still level after every rule are listed by name.
+ * @param {Array} group - Standings rows
+ * @param {Array<string>} breakers - Rules left to apply
+ * @param {Array} results - Match results
+ * @param {Object} rules - Standings rules
+ * @returns {Array} Ordered rows
+ */
+const rankGroup = (group, breakers, results, rules) => {
+  if (group.length <= 1 || breakers.length === 0) {
+    return [...group].sort((a, b) => a.team_name.localeCompare(b.team_name));
+  }
+
+  const [breaker, ...rest] = breakers;
+  const keys = new Map(group.map(row => [row.team_id, TIE_BREAK_KEYS[breaker](row, group, results, rules)]));
+  const levels = [...new Set(keys.values())].sort((a, b) => b - a);
+
+  return levels.flatMap(level => rankGroup(group.filter(row => keys.get(row.team_id) === level), rest, results, rules));
+};
+
+/**
+ * Build the points table
+ * Net run rate is runs scored per over minus runs conceded per over, over
+ * matches with a result.
+ * @param {Array} teams - Teams to rank ({ id, team_name, ... })
+ * @param {Array} matches - Finished matches ({ id, home_team_id, away_team_id, overs, status, innings })
+ * @param {Object} rules - { points_for_win, points_for_tie, points_for_no_result, tie_breakers }
+ * @returns {Array} Standings rows, top of the table first
+ */
+export const buildStandings = (teams, matches, rules) => {
+  const rows = new Map(teams.map(team => [team.id, {
+    team_id: team.id,
+    team_name: team.team_name,
+    team_logo: team.team_logo,
+    team_color: team.team_color,
+    played: 0,
+    won: 0,
+    lost: 0,
+    tied: 0,
+    no_result: 0,
+    points: 0,
+    runs_for: 0,
+    balls_for: 0,
+    runs_against: 0,
+    balls_against: 0
+  }]));
+
+  const results = [];
+  matches
+    .filter(match => rows.has(match.home_team_id) && rows.has(match.away_team_id))
+    .forEach(match => {
+      const result = { ...getMatchResult(match), matchId: match.id, teamIds: [match.home_team_id, match.away_team_id] };
+      results.push(result);
+
+      result.teamIds.forEach(teamId => {
+        const row = rows.get(teamId);
+        row.played++;
+        row.points += pointsFor(result, teamId, rules);
+        if (result.type === 'won') {
+          row[result.winnerId === teamId ? 'won' : 'lost']++;
+        } else {
+          row[result.type]++;
+        }
+      });
+
+      if (result.type === 'no_result') return;
+      match.innings.slice(0, 2).forEach(innings => {
+        const batting = rows.get(innings.batting_team_id);
+        const bowling = rows.get(result.teamIds.find(id => id !== innings.batting_team_id));
+        const balls = ballsForRunRate(innings, match.overs);
+        batting.runs_for += innings.runs;
+        batting.balls_for += balls;
+        bowling.runs_against += innings.runs;
+        bowling.balls_against += balls;
+      });
+    });
+
+  const standings = [...rows.values()].map(({ balls_for, balls_against, ...row }) => {
+    const rateFor = balls_for > 0 ? row.runs_for / (balls_for / BALLS_PER_OVER) : 0;
+    const rateAgainst = balls_against > 0 ? row.runs_against / (balls_against / BALLS_PER_OVER) : 0;
+    return {
+      ...row,
+      overs_for: ballsToOvers(balls_for),
+      overs_against: ballsToOvers(balls_against),
+      net_run_rate: Math.round((rateFor - rateAgainst) * 1000) / 1000
+    };
+  });
+
+  return rankGroup(standings, ['points', ...rules.tie_breakers], results, rules)
+    .map((row, index) => ({ position: index + 1, ...row }));
+};